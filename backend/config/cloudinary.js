@@ -145,34 +145,6 @@ const uploadAvatar = multer({
   }
 });
 
-// Combined upload for video + thumbnail
-const uploadReel = multer({
-  storage: multer.memoryStorage(), // We'll handle storage per field
-  limits: {
-    fileSize: parseInt(process.env.MAX_VIDEO_SIZE) || 350 * 1024 * 1024,
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.fieldname === 'video') {
-      if (file.mimetype.startsWith('video/')) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only video files are allowed for video field!'), false);
-      }
-    } else if (file.fieldname === 'thumbnail') {
-      if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-      } else {
-        cb(new Error('Only image files are allowed for thumbnail field!'), false);
-      }
-    } else {
-      cb(null, true); // Allow other fields
-    }
-  }
-}).fields([
-  { name: 'video', maxCount: 1 },
-  { name: 'thumbnail', maxCount: 1 }
-]);
-
 // Helper functions
 const uploadToCloudinary = async (buffer, resourceType = 'video', folder = 'shortzo/videos') => {
   return new Promise((resolve, reject) => {
@@ -234,7 +206,6 @@ module.exports = {
   uploadVideo,
   uploadImage,
   uploadAvatar,
-  uploadReel,
   videoStorage,
   imageStorage,
   avatarStorage,
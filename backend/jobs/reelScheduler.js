@@ -0,0 +1,44 @@
+const Reel = require('../models/Reel');
+const { publishReel } = require('../utils/reelPublishing');
+
+// Publishes scheduled reels once their publishAt time has passed. Runs every
+// minute, so reels go live within a minute of the time the creator picked.
+
+const SCHEDULER_INTERVAL = 60 * 1000;
+
+const publishDueReels = async () => {
+  try {
+    const dueReels = await Reel.find({
+      status: 'scheduled',
+      publishAt: { $lte: new Date() },
+      deletedAt: null // Reels in the trash wait until they're restored
+    }).select('_id author category tags');
+
+    let published = 0;
+    for (const reel of dueReels) {
+      try {
+        if (await publishReel(reel)) {
+          published++;
+        }
+      } catch (error) {
+        console.error(`Failed to publish scheduled reel ${reel._id}:`, error);
+      }
+    }
+
+    if (published > 0) {
+      console.log(`📅 Published ${published} scheduled reels`);
+    }
+  } catch (error) {
+    console.error('Reel scheduler failed:', error);
+  }
+};
+
+const startReelScheduler = () => {
+  publishDueReels();
+  setInterval(publishDueReels, SCHEDULER_INTERVAL).unref();
+};
+
+module.exports = {
+  publishDueReels,
+  startReelScheduler
+};
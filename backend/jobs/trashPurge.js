@@ -0,0 +1,40 @@
+const Reel = require('../models/Reel');
+const { getTrashRetentionDays, purgeReel } = require('../utils/reelCleanup');
+
+// Permanently deletes reels that have been in the trash longer than the
+// retention window (REEL_TRASH_RETENTION_DAYS). Runs every hour.
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+const purgeExpiredReels = async () => {
+  try {
+    const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+    const expiredReels = await Reel.find({ deletedAt: { $lte: cutoff } });
+
+    let purged = 0;
+    for (const reel of expiredReels) {
+      try {
+        await purgeReel(reel);
+        purged++;
+      } catch (error) {
+        console.error(`Failed to purge reel ${reel._id}:`, error);
+      }
+    }
+
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} reels from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+  }
+};
+
+const startTrashPurge = () => {
+  purgeExpiredReels();
+  setInterval(purgeExpiredReels, PURGE_INTERVAL).unref();
+};
+
+module.exports = {
+  purgeExpiredReels,
+  startTrashPurge
+};
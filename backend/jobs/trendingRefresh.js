@@ -0,0 +1,27 @@
+const { computeTrending } = require('../utils/trending');
+const { computeHashtagVelocity } = require('../utils/hashtags');
+
+// Recomputes the trending snapshots for every window (today, week, month) and
+// how fast each hashtag is being used. Running on a timer rather than when
+// engagement happens means reels nobody touches still decay out of trending.
+
+const TRENDING_INTERVAL = 10 * 60 * 1000;
+
+const refreshTrending = async () => {
+  try {
+    await computeTrending();
+    await computeHashtagVelocity();
+  } catch (error) {
+    console.error('Trending refresh failed:', error);
+  }
+};
+
+const startTrendingRefresh = () => {
+  refreshTrending();
+  setInterval(refreshTrending, TRENDING_INTERVAL).unref();
+};
+
+module.exports = {
+  refreshTrending,
+  startTrendingRefresh
+};
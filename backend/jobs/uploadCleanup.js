@@ -0,0 +1,37 @@
+const UploadSession = require('../models/UploadSession');
+const { removeUploadFile } = require('../utils/uploadSessions');
+
+// Abandoned resumable uploads leave partial files in the upload temp dir;
+// sweep expired sessions every hour and remove their data
+
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const cleanupExpiredUploads = async () => {
+  try {
+    const sessions = await UploadSession.find({ expiresAt: { $lt: new Date() } }).select('tempPath status');
+
+    for (const session of sessions) {
+      // Completed uploads hand their file to the video processing job
+      if (session.status !== 'completed') {
+        await removeUploadFile(session.tempPath);
+      }
+      await session.deleteOne();
+    }
+
+    if (sessions.length > 0) {
+      console.log(`🧹 Removed ${sessions.length} expired upload sessions`);
+    }
+  } catch (error) {
+    console.error('Upload cleanup failed:', error);
+  }
+};
+
+const startUploadCleanup = () => {
+  cleanupExpiredUploads();
+  setInterval(cleanupExpiredUploads, CLEANUP_INTERVAL).unref();
+};
+
+module.exports = {
+  cleanupExpiredUploads,
+  startUploadCleanup
+};
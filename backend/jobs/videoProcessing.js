@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Reel = require('../models/Reel');
+const { getStorage } = require('../storage');
+const { probe } = require('../utils/ffmpeg');
+const { transcodeToHls } = require('../utils/hls');
+const { extractRepresentativeFrame, createAnimatedPreview } = require('../utils/thumbnails');
+
+// In-process queue for video ingest jobs (thumbnails, previews and HLS transcoding).
+// Jobs run one at a time since ffmpeg is CPU bound; anything interrupted by a
+// restart is picked up again by resumePendingProcessing().
+
+const queue = [];
+let isRunning = false;
+
+const isVideoProcessingEnabled = () => process.env.VIDEO_PROCESSING !== 'false';
+const isTranscodingEnabled = () => isVideoProcessingEnabled() && process.env.VIDEO_TRANSCODING !== 'false';
+
+// Generate a cover frame (when the creator didn't upload one) and an animated preview
+const generateThumbnails = async (reel, inputPath, source, storage, workDir) => {
+  const updates = {};
+
+  if (!reel.thumbnailUrl) {
+    const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+    const timestamp = await extractRepresentativeFrame(inputPath, thumbnailPath, { duration: source.duration });
+    const thumbnail = await storage.upload(await fs.promises.readFile(thumbnailPath), {
+      resourceType: 'image',
+      folder: 'thumbnails',
+      filename: 'thumbnail.jpg'
+    });
+
+    updates.thumbnailUrl = thumbnail.url;
+    updates.cloudinaryThumbnailId = thumbnail.id;
+    updates.thumbnailTimestamp = timestamp;
+  }
+
+  if (!reel.previewUrl) {
+    const previewPath = path.join(workDir, 'preview.webp');
+    await createAnimatedPreview(inputPath, previewPath, { duration: source.duration });
+    const preview = await storage.upload(await fs.promises.readFile(previewPath), {
+      resourceType: 'image',
+      folder: 'previews',
+      filename: 'preview.webp'
+    });
+
+    updates.previewUrl = preview.url;
+    updates.previewStorageId = preview.id;
+  }
+
+  return updates;
+};
+
+// Probe a reel's video, generate missing thumbnails and transcode it into
+// HLS renditions, then store the results on the reel
+const processReel = async ({ reelId, sourcePath, removeSource }) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shortzo-'));
+  // Thumbnails are kept even if transcoding fails afterwards
+  let thumbnailUpdates = {};
+
+  try {
+    const reel = await Reel.findById(reelId);
+    if (!reel) {
+      return;
+    }
+
+    await Reel.updateOne({ _id: reelId }, { $set: { processingStatus: 'processing' } });
+
+    const storage = getStorage(reel.storageProvider);
+
+    // Jobs resumed after a restart no longer have the upload, so fetch it back from storage
+    let inputPath = sourcePath;
+    if (!inputPath) {
+      inputPath = path.join(workDir, 'source');
+      await storage.download(reel.cloudinaryVideoId, inputPath, 'video');
+    }
+
+    const source = await probe(inputPath);
+    console.log(`🎞️  Processing reel ${reelId} (${source.width}x${source.height}, ${source.duration.toFixed(1)}s)`);
+
+    // A missing thumbnail shouldn't stop the reel from being transcoded
+    try {
+      thumbnailUpdates = await generateThumbnails(reel, inputPath, source, storage, workDir);
+    } catch (thumbnailError) {
+      console.error(`Thumbnail generation failed for reel ${reelId}:`, thumbnailError.message);
+    }
+
+    const updates = { ...thumbnailUpdates, processingStatus: 'ready' };
+
+    if (isTranscodingEnabled()) {
+      const hlsDir = path.join(workDir, 'hls');
+      const { masterPlaylist, renditions } = await transcodeToHls(inputPath, hlsDir, source);
+
+      const uploaded = await storage.uploadDirectory(hlsDir, { folder: `hls/${reelId}` });
+
+      updates.hls = {
+        masterUrl: uploaded.files[masterPlaylist],
+        storageId: uploaded.id,
+        renditions: renditions.map(rendition => ({
+          quality: rendition.quality,
+          width: rendition.width,
+          height: rendition.height,
+          bandwidth: rendition.bandwidth,
+          playlistUrl: uploaded.files[rendition.playlist]
+        }))
+      };
+      updates.quality = renditions[renditions.length - 1].quality;
+    }
+
+    const result = await Reel.updateOne({ _id: reelId }, {
+      $set: updates,
+      $unset: { processingError: 1 }
+    });
+
+    // The reel was deleted while we were processing it
+    if (result.matchedCount === 0) {
+      if (updates.hls) {
+        await storage.removeDirectory(updates.hls.storageId);
+      }
+      await Promise.all(
+        [updates.cloudinaryThumbnailId, updates.previewStorageId]
+          .filter(Boolean)
+          .map(id => storage.remove(id, 'image'))
+      );
+      return;
+    }
+
+    console.log(`✅ Reel ${reelId} processed${updates.hls ? ` with ${updates.hls.renditions.map(r => r.quality).join(', ')}` : ''}`);
+  } catch (error) {
+    console.error(`❌ Video processing failed for reel ${reelId}:`, error.message);
+    // The original upload is still playable, so a failure only means no adaptive streaming
+    await Reel.updateOne({ _id: reelId }, {
+      $set: { ...thumbnailUpdates, processingStatus: 'failed', processingError: error.message.slice(0, 500) }
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    if (sourcePath && removeSource) {
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  }
+};
+
+const runQueue = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await processReel(job);
+    } catch (error) {
+      console.error('Video processing queue error:', error);
+    }
+  }
+
+  isRunning = false;
+};
+
+// Queue a reel for processing. sourcePath is an optional local copy of the upload,
+// removed once the job is done when removeSource is set.
+const enqueueVideoProcessing = (reelId, { sourcePath = null, removeSource = false } = {}) => {
+  queue.push({ reelId: reelId.toString(), sourcePath, removeSource });
+  setImmediate(runQueue);
+};
+
+// Re-queue reels whose processing was interrupted (e.g. by a restart)
+const resumePendingProcessing = async () => {
+  if (!isVideoProcessingEnabled()) return;
+
+  try {
+    const reels = await Reel.find({ processingStatus: { $in: ['pending', 'processing'] } }).select('_id');
+    reels.forEach(reel => enqueueVideoProcessing(reel._id));
+
+    if (reels.length > 0) {
+      console.log(`🎞️  Resumed processing for ${reels.length} reels`);
+    }
+  } catch (error) {
+    console.error('Failed to resume video processing:', error);
+  }
+};
+
+module.exports = {
+  isVideoProcessingEnabled,
+  isTranscodingEnabled,
+  enqueueVideoProcessing,
+  resumePendingProcessing
+};
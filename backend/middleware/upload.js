@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getUploadTempDir } = require('../utils/uploadSessions');
 
 // Ensure upload directories exist
 const createUploadDirs = () => {
@@ -41,17 +42,6 @@ const thumbnailStorage = multer.diskStorage({
   }
 });
 
-// Storage configuration for profile pictures
-const profileStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads/profiles'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `profile-${uniqueSuffix}${path.extname(file.originalname)}`);
-  }
-});
-
 // File filter for videos
 const videoFileFilter = (req, file, cb) => {
   const allowedTypes = ['video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm'];
@@ -95,8 +85,9 @@ const uploadThumbnail = multer({
 }).single('thumbnail');
 
 // Profile picture upload middleware
+// Kept in memory so the configured storage driver decides where it ends up
 const uploadProfile = multer({
-  storage: profileStorage,
+  storage: multer.memoryStorage(),
   fileFilter: imageFileFilter,
   limits: {
     fileSize: 2 * 1024 * 1024, // 2MB limit
@@ -104,6 +95,17 @@ const uploadProfile = multer({
   }
 }).single('profilePicture');
 
+// Optional cover image sent when completing a resumable upload,
+// kept in memory for the storage driver
+const uploadReelThumbnail = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+}).single('thumbnail');
+
 // Multiple files upload for reel creation (video + thumbnail)
 const uploadReelFiles = multer({
   storage: multer.diskStorage({
@@ -138,6 +140,53 @@ const uploadReelFiles = multer({
   { name: 'thumbnail', maxCount: 1 }
 ]);
 
+// Reel videos are written to the upload temp dir as they arrive, so large
+// uploads aren't held in memory; the thumbnail is kept in memory for the
+// storage driver
+const reelVideoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = getUploadTempDir();
+    fs.promises.mkdir(dir, { recursive: true }).then(() => cb(null, dir), cb);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `shortzo-upload-${uniqueSuffix}`);
+  }
+});
+const reelThumbnailStorage = multer.memoryStorage();
+const reelStorageFor = (file) => (file.fieldname === 'video' ? reelVideoStorage : reelThumbnailStorage);
+
+// Combined upload for video + thumbnail
+const uploadReel = multer({
+  storage: {
+    _handleFile: (req, file, cb) => reelStorageFor(file)._handleFile(req, file, cb),
+    _removeFile: (req, file, cb) => reelStorageFor(file)._removeFile(req, file, cb)
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_VIDEO_SIZE) || 350 * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'video') {
+      if (file.mimetype.startsWith('video/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only video files are allowed for video field!'), false);
+      }
+    } else if (file.fieldname === 'thumbnail') {
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only image files are allowed for thumbnail field!'), false);
+      }
+    } else {
+      cb(null, true); // Allow other fields
+    }
+  }
+}).fields([
+  { name: 'video', maxCount: 1 },
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -180,5 +229,7 @@ module.exports = {
   uploadThumbnail,
   uploadProfile,
   uploadReelFiles,
+  uploadReel,
+  uploadReelThumbnail,
   handleUploadError
 };
@@ -28,6 +28,16 @@ const categorySchema = new mongoose.Schema({
     default: '#007bff',
     match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
   },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, top level first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -68,15 +78,32 @@ const categorySchema = new mongoose.Schema({
 // Index for better performance
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1, sortOrder: 1 });
+categorySchema.index({ parent: 1, isActive: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
 
-// Pre-save middleware to generate slug
-categorySchema.pre('save', function(next) {
+// Pre-save middleware to generate slug and ancestors
+categorySchema.pre('save', async function() {
   if (this.isModified('name')) {
     this.slug = slugify(this.name, { lower: true, strict: true });
   }
-  next();
+  if (this.isModified('parent')) {
+    const parent = this.parent && await this.constructor.findById(this.parent).select('ancestors');
+    this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  }
 });
 
+// Rewrites the ancestors of every category below this one after it moved
+categorySchema.methods.updateDescendantAncestors = async function() {
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors');
+  await Promise.all(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)) + 1);
+    return this.constructor.updateOne(
+      { _id: descendant._id },
+      { $set: { ancestors: [...this.ancestors, this._id, ...below] } }
+    );
+  }));
+};
+
 // Method to increment reel count
 categorySchema.methods.incrementReelCount = function() {
   this.reelsCount += 1;
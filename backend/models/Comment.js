@@ -72,7 +72,7 @@ const commentSchema = new mongoose.Schema({
 // Indexes for better performance
 commentSchema.index({ reel: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
-commentSchema.index({ parentComment: 1 });
+commentSchema.index({ parentComment: 1, createdAt: 1, _id: 1 });
 
 // Virtual for likes count
 commentSchema.virtual('likesCount').get(function() {
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Negative feedback a user gave about what they see: a reel they're not
+// interested in, a category they want less of, or a creator they've hidden.
+// Feeds and search leave these out until the user undoes them in Settings.
+const feedFeedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['not_interested', 'fewer_category', 'hide_creator'],
+    required: true
+  },
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel' // For not_interested
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // For hide_creator
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category' // For fewer_category
+  }
+}, {
+  timestamps: true
+});
+
+feedFeedbackSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+// A user has each choice at most once
+feedFeedbackSchema.index(
+  { user: 1, type: 1, reel: 1 },
+  { unique: true, partialFilterExpression: { type: 'not_interested' } }
+);
+feedFeedbackSchema.index(
+  { user: 1, type: 1, creator: 1 },
+  { unique: true, partialFilterExpression: { type: 'hide_creator' } }
+);
+feedFeedbackSchema.index(
+  { user: 1, type: 1, category: 1 },
+  { unique: true, partialFilterExpression: { type: 'fewer_category' } }
+);
+
+module.exports = mongoose.model('FeedFeedback', feedFeedbackSchema);
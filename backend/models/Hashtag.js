@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A tag used on reels. Reels keep their tags as plain strings; this keeps the
+// per-tag numbers: how many listed reels use it, who follows it and how fast
+// it's being picked up.
+const hashtagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  },
+  reelsCount: {
+    type: Number,
+    default: 0
+  },
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  firstUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set by the trending job
+  usesLast24h: {
+    type: Number,
+    default: 0
+  },
+  velocity: {
+    type: Number, // New reels in the last 24 hours minus the daily average of the 6 days before
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+hashtagSchema.index({ reelsCount: -1 });
+hashtagSchema.index({ velocity: -1 });
+
+module.exports = mongoose.model('Hashtag', hashtagSchema);
@@ -17,7 +17,7 @@ const reelSchema = new mongoose.Schema({
     required: [true, 'Video URL is required']
   },
   cloudinaryVideoId: {
-    type: String,
+    type: String, // Storage id of the video (Cloudinary public_id or local path)
     default: ''
   },
   thumbnailUrl: {
@@ -25,21 +25,47 @@ const reelSchema = new mongoose.Schema({
     default: ''
   },
   cloudinaryThumbnailId: {
+    type: String, // Storage id of the thumbnail
+    default: ''
+  },
+  thumbnailTimestamp: {
+    type: Number // Seconds into the video a generated thumbnail was taken from
+  },
+  previewUrl: {
+    type: String, // Short animated WebP preview
+    default: ''
+  },
+  previewStorageId: {
     type: String,
     default: ''
   },
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    default: 'cloudinary' // Reels created before pluggable storage all live on Cloudinary
+  },
   duration: {
-    type: Number, // Duration in seconds
+    type: Number, // Duration in seconds, probed from the uploaded file
     required: [true, 'Video duration is required']
   },
+  videoMetadata: {
+    width: Number,
+    height: Number,
+    aspectRatio: Number, // width / height
+    displayAspectRatio: String, // e.g. "9:16"
+    videoCodec: String,
+    audioCodec: String,
+    frameRate: Number,
+    bitrate: Number // bits per second
+  },
   fileSize: {
     type: Number, // File size in bytes
     required: [true, 'File size is required']
   },
   category: {
-    type: String,
-    required: [true, 'Category is required'],
-    enum: ['Infotainment', 'Entertainment', 'News', 'Music', 'Dance', 'Makeup', 'Beauty', 'Edits', 'Comedy', 'Sports', 'Food', 'Travel', 'Education', 'Technology']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category', // Validated against the active categories in utils/categories.js
+    required: [true, 'Category is required']
   },
   tags: [{
     type: String,
@@ -52,48 +78,55 @@ const reelSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Author is required']
   },
-  likes: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    likedAt: {
-      type: Date,
-      default: Date.now
-    }
+  // Users @mentioned in the title or description, resolved on save
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Mentioned users who removed their tag; they aren't tagged again when the text is edited
+  removedMentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }],
   comments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
   }],
-  shares: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    sharedAt: {
-      type: Date,
-      default: Date.now
-    },
-    platform: {
-      type: String,
-      enum: ['internal', 'facebook', 'twitter', 'instagram', 'whatsapp', 'copy-link']
-    }
-  }],
-  views: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    viewedAt: {
-      type: Date,
-      default: Date.now
-    },
-    watchTime: {
-      type: Number, // in seconds
-      default: 0
-    }
-  }],
+  // Engagement counters. Individual likes, views and shares live in the
+  // ReelLike, ReelView and ReelShare collections; these are kept in step with
+  // atomic $inc updates so listings never load them.
+  likesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sharesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  viewsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  watchTimeTotal: {
+    type: Number, // Seconds watched across all views
+    default: 0
+  },
+  completionRateTotal: {
+    type: Number, // Sum of per-view completion rates; divide by viewsCount for the average
+    default: 0
+  },
+  loopsTotal: {
+    type: Number,
+    default: 0
+  },
+  // Weighted sum of the counters above plus comments, for the "popular" sort
+  popularityScore: {
+    type: Number,
+    default: 0
+  },
   isNSFW: {
     type: Boolean,
     default: false
@@ -110,6 +143,10 @@ const reelSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  trendingScore: {
+    type: Number, // Score in the latest "today" trending snapshot, set by the trending job
+    default: 0
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -126,22 +163,80 @@ const reelSchema = new mongoose.Schema({
       type: String,
       enum: ['spam', 'inappropriate', 'copyright', 'violence', 'harassment', 'misinformation', 'other']
     },
-    description: String,
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Report description cannot exceed 200 characters']
+    },
     reportedAt: {
       type: Date,
       default: Date.now
+    },
+    resolvedAt: {
+      type: Date // Set once a moderator dealt with it; kept so the user can't report again
     }
   }],
+  autoHiddenAt: {
+    type: Date // Set when the reel was hidden for reaching the report threshold
+  },
   visibility: {
     type: String,
     enum: ['public', 'private', 'unlisted'],
     default: 'public'
   },
-  quality: {
+  // Drafts and scheduled reels are only visible to their author until they're published
+  status: {
     type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  publishAt: {
+    type: Date // When a scheduled reel goes live
+  },
+  publishedAt: {
+    type: Date
+  },
+  // Set when the reel is moved to the trash; it's purged after the retention window
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quality: {
+    type: String, // Highest HLS rendition available
     enum: ['360p', '720p', '1080p'],
     default: '720p'
   },
+  processingStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'ready' // Reels without a processing job just play the original upload
+  },
+  processingError: {
+    type: String
+  },
+  hls: {
+    masterUrl: {
+      type: String,
+      default: ''
+    },
+    storageId: {
+      type: String, // Storage folder holding the playlists and segments
+      default: ''
+    },
+    renditions: [{
+      quality: {
+        type: String,
+        enum: ['360p', '720p', '1080p']
+      },
+      width: Number,
+      height: Number,
+      bandwidth: Number, // bits per second
+      playlistUrl: String
+    }]
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
@@ -155,82 +250,134 @@ reelSchema.index({ category: 1, isActive: 1 });
 reelSchema.index({ tags: 1 });
 reelSchema.index({ author: 1 });
 reelSchema.index({ uploadedAt: -1 });
-reelSchema.index({ 'likes.user': 1 });
 reelSchema.index({ isTrending: 1, isActive: 1 });
 reelSchema.index({ isNSFW: 1 });
+reelSchema.index({ visibility: 1 });
+reelSchema.index({ status: 1, publishAt: 1 });
+reelSchema.index({ deletedAt: 1 }, { sparse: true });
+reelSchema.index({ mentions: 1, createdAt: -1, _id: -1 });
 
-// Virtual for likes count
-reelSchema.virtual('likesCount').get(function() {
-  return this.likes.length;
-});
+// Feed pagination walks these sort orders with _id as the tiebreaker
+reelSchema.index({ createdAt: -1, _id: -1 });
+reelSchema.index({ trendingScore: -1, createdAt: -1, _id: -1 });
+reelSchema.index({ popularityScore: -1, createdAt: -1, _id: -1 });
+
+// Full-text search (GET /api/search). Matches in the title count most.
+reelSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'reel_text_search', weights: { title: 10, tags: 5, description: 2 } }
+);
 
 // Virtual for comments count
 reelSchema.virtual('commentsCount').get(function() {
-  return this.comments.length;
+  return this.comments?.length || 0;
 });
 
-// Virtual for shares count
-reelSchema.virtual('sharesCount').get(function() {
-  return this.shares.length;
-});
+// How much each kind of engagement adds to popularityScore. Views count a little
+// on their own and up to one more point for being watched to the end.
+const POPULARITY_WEIGHTS = { view: 0.5, completion: 1, like: 3, comment: 5, share: 7 };
 
-// Virtual for views count
-reelSchema.virtual('viewsCount').get(function() {
-  return this.views.length;
-});
+// Builds the $inc for an engagement change so the counters and popularityScore
+// always move together. completionRate is in percent, like on ReelView.
+reelSchema.statics.engagementInc = function({ likes = 0, comments = 0, shares = 0, views = 0, watchTime = 0, completionRate = 0, loops = 0 }) {
+  const inc = {
+    likesCount: likes,
+    sharesCount: shares,
+    viewsCount: views,
+    watchTimeTotal: watchTime,
+    completionRateTotal: completionRate,
+    loopsTotal: loops,
+    popularityScore: views * POPULARITY_WEIGHTS.view +
+      (completionRate / 100) * POPULARITY_WEIGHTS.completion +
+      likes * POPULARITY_WEIGHTS.like +
+      comments * POPULARITY_WEIGHTS.comment +
+      shares * POPULARITY_WEIGHTS.share
+  };
+
+  // Leave out fields that don't change
+  return Object.fromEntries(Object.entries(inc).filter(([, value]) => value !== 0));
+};
+
+// @username, but not the domain part of an email address
+const MENTION_PATTERN = /(?<![\w.])@(\w+)/g;
+const MAX_MENTIONS = 20;
+
+// Resolves @mentions in the title and description to user ids. The author and
+// users who removed their tag are left out.
+reelSchema.methods.resolveMentions = async function() {
+  const usernames = new Set();
+  for (const text of [this.title, this.description]) {
+    for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+      usernames.add(match[1]);
+    }
+  }
+
+  if (usernames.size === 0) {
+    this.mentions = [];
+    return;
+  }
+
+  const users = await mongoose.model('User').find({
+    username: { $in: [...usernames].slice(0, MAX_MENTIONS) },
+    _id: { $nin: [this.author, ...this.removedMentions] }
+  }).select('_id');
+  this.mentions = users.map(user => user._id);
+};
 
-// Method to add a like
-reelSchema.methods.addLike = function(userId) {
-  const likeIndex = this.likes.findIndex(like => like.user.toString() === userId.toString());
-  
-  if (likeIndex === -1) {
-    this.likes.push({ user: userId });
-    return true; // Added like
-  } else {
-    this.likes.splice(likeIndex, 1);
-    return false; // Removed like
+// Pre-save middleware to keep mentions in step with the text
+reelSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    await this.resolveMentions();
   }
+});
+
+// Reels created before drafts existed have no status and count as published
+reelSchema.methods.isPublished = function() {
+  return !['draft', 'scheduled'].includes(this.status);
 };
 
-// Method to add a view
-reelSchema.methods.addView = function(userId, watchTime = 0) {
-  // Don't count multiple views from the same user within 24 hours
-  const now = new Date();
-  const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-  
-  const recentView = this.views.find(view => 
-    view.user.toString() === userId.toString() && 
-    view.viewedAt > twentyFourHoursAgo
-  );
-  
-  if (!recentView) {
-    this.views.push({ user: userId, watchTime });
+// Whether a viewer may open this reel by direct link; private and unpublished
+// reels are for their author only, and reels in the trash for nobody
+reelSchema.methods.isViewableBy = function(userId) {
+  if (this.deletedAt) {
+    return false;
+  }
+  if (this.visibility !== 'private' && this.isPublished()) {
     return true;
   }
-  
-  return false;
+  const authorId = this.author?._id || this.author;
+  return !!userId && authorId.toString() === userId.toString();
 };
 
-// Method to get engagement score (for trending algorithm)
-reelSchema.methods.getEngagementScore = function() {
-  const now = new Date();
-  const hoursAgo24 = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-  
-  // Recent interactions count more
-  const recentLikes = this.likes.filter(like => like.likedAt > hoursAgo24).length;
-  const recentViews = this.views.filter(view => view.viewedAt > hoursAgo24).length;
-  const recentShares = this.shares.filter(share => share.sharedAt > hoursAgo24).length;
-  const recentComments = this.comments.length; // Comments don't have timestamps in this reference
-  
-  // Weighted engagement score
-  return (recentViews * 1) + (recentLikes * 3) + (recentComments * 5) + (recentShares * 7);
+// Query conditions for reels that have gone live and aren't in the trash
+reelSchema.statics.publishedFilter = function() {
+  return { status: { $nin: ['draft', 'scheduled'] }, deletedAt: null };
 };
 
-// Pre-save middleware to update trending status
-reelSchema.pre('save', function(next) {
-  const engagementScore = this.getEngagementScore();
-  this.isTrending = engagementScore > 50; // Threshold for trending
-  next();
-});
+// Query conditions for reels that appear in listings (feeds, trending, categories,
+// other people's profiles). Unlisted reels are only reachable by direct link.
+reelSchema.statics.listedFilter = function() {
+  return { visibility: { $nin: ['private', 'unlisted'] }, ...this.publishedFilter() };
+};
+
+// Query conditions for reels a viewer may open: everything except other people's
+// private and unpublished reels
+reelSchema.statics.viewableFilter = function(userId) {
+  const viewable = { visibility: { $ne: 'private' }, ...this.publishedFilter() };
+  if (!userId) {
+    return viewable;
+  }
+  return { $or: [viewable, { author: userId }] };
+};
+
+// Reports a moderator hasn't dealt with yet
+reelSchema.methods.getOpenReports = function() {
+  return this.reports.filter(report => !report.resolvedAt);
+};
+
+// Filter for reels with reports waiting on a moderator
+reelSchema.statics.reportedFilter = function() {
+  return { reports: { $elemMatch: { resolvedAt: null } } };
+};
 
 module.exports = mongoose.model('Reel', reelSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One document per user who likes a reel. Reel.likesCount is kept in step
+// with these so listings never have to count them.
+const reelLikeSchema = new mongoose.Schema({
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  likedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reelLikeSchema.index({ reel: 1, user: 1 }, { unique: true });
+reelLikeSchema.index({ user: 1, likedAt: -1 });
+
+// Which of the given reels a user has liked, as a Set of id strings
+reelLikeSchema.statics.getLikedReelIds = async function(userId, reelIds) {
+  if (!userId || reelIds.length === 0) {
+    return new Set();
+  }
+  const likes = await this.find({ user: userId, reel: { $in: reelIds } }).select('reel').lean();
+  return new Set(likes.map(like => like.reel.toString()));
+};
+
+// Likes the reel if the user hasn't yet, unlikes it otherwise, and keeps
+// Reel.likesCount in step. Returns true when the reel is now liked.
+reelLikeSchema.statics.toggleLike = async function(reelId, userId) {
+  const Reel = mongoose.model('Reel');
+
+  const removed = await this.findOneAndDelete({ reel: reelId, user: userId });
+  if (removed) {
+    await Reel.updateOne({ _id: reelId, likesCount: { $gt: 0 } }, { $inc: Reel.engagementInc({ likes: -1 }) });
+    return false;
+  }
+
+  try {
+    await this.create({ reel: reelId, user: userId });
+  } catch (error) {
+    // A concurrent request already liked it
+    if (error.code === 11000) {
+      return true;
+    }
+    throw error;
+  }
+  await Reel.updateOne({ _id: reelId }, { $inc: Reel.engagementInc({ likes: 1 }) });
+  return true;
+};
+
+module.exports = mongoose.model('ReelLike', reelLikeSchema);
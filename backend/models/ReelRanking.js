@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// The order of a reel list sorted on a score (popularity, trending, search
+// relevance, For You) as it was when its first page was served. Later pages read from
+// it, so reels moving up or down in the meantime aren't skipped or shown twice.
+const reelRankingSchema = new mongoose.Schema({
+  // Hash of the route, query and viewer the list was ranked for, so a cursor
+  // can't be reused on a different list
+  listKey: {
+    type: String,
+    required: true
+  },
+  reels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel'
+  }],
+  // Why each reel was picked, in the same order, for feeds that show it
+  reasons: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Rankings are kept for an hour; after that the client starts from the first page
+reelRankingSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('ReelRanking', reelRankingSchema);
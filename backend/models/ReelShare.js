@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const reelShareSchema = new mongoose.Schema({
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['internal', 'facebook', 'twitter', 'instagram', 'whatsapp', 'copy-link']
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reelShareSchema.index({ reel: 1, sharedAt: -1 });
+
+module.exports = mongoose.model('ReelShare', reelShareSchema);
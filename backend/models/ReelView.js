@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A view of a reel. Repeat watches by the same viewer within 24 hours are
+// folded into the same document instead of counting again.
+const reelViewSchema = new mongoose.Schema({
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: {
+    type: String, // Device/session id for anonymous viewers
+    trim: true
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  watchTime: {
+    type: Number, // in seconds
+    default: 0
+  },
+  completionRate: {
+    type: Number, // Furthest point reached, 0-100 percent
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  loops: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+reelViewSchema.index({ reel: 1, user: 1, viewedAt: -1 });
+reelViewSchema.index({ reel: 1, sessionId: 1, viewedAt: -1 });
+reelViewSchema.index({ viewedAt: -1 });
+
+const VIEW_WINDOW = 24 * 60 * 60 * 1000;
+
+// Records a view and keeps the reel's view counters in step.
+// viewer is { userId, sessionId } - anonymous viewers are identified by sessionId only.
+// Returns true when this counted as a new view.
+reelViewSchema.statics.recordView = async function(reelId, viewer, { watchTime = 0, completionRate = 0, loops = 0 } = {}) {
+  const Reel = mongoose.model('Reel');
+  const viewerFilter = viewer.userId
+    ? { user: viewer.userId }
+    : { user: null, sessionId: viewer.sessionId };
+
+  const recentView = await this.findOne({
+    reel: reelId,
+    ...viewerFilter,
+    viewedAt: { $gt: new Date(Date.now() - VIEW_WINDOW) }
+  });
+
+  if (!recentView) {
+    await this.create({
+      reel: reelId,
+      user: viewer.userId,
+      sessionId: viewer.sessionId,
+      watchTime,
+      completionRate,
+      loops
+    });
+    await Reel.updateOne({ _id: reelId }, {
+      $inc: Reel.engagementInc({ views: 1, watchTime, completionRate, loops })
+    });
+    return true;
+  }
+
+  // Repeat watches within the window add to the existing view instead of counting again
+  const previousCompletion = recentView.completionRate || 0;
+  const updated = await this.findOneAndUpdate(
+    { _id: recentView._id },
+    { $inc: { watchTime, loops }, $max: { completionRate } },
+    { new: true }
+  );
+  const inc = Reel.engagementInc({
+    watchTime,
+    completionRate: Math.max(updated.completionRate - previousCompletion, 0),
+    loops
+  });
+  if (Object.keys(inc).length > 0) {
+    await Reel.updateOne({ _id: reelId }, { $inc: inc });
+  }
+
+  return false;
+};
+
+module.exports = mongoose.model('ReelView', reelViewSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Reel = require('./Reel');
+const ReelView = require('./ReelView');
+
+const reelId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  jest.spyOn(Reel, 'updateOne').mockResolvedValue({});
+  jest.spyOn(ReelView, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReelView.recordView', () => {
+  it('counts the first view in the window', async () => {
+    const findOne = jest.spyOn(ReelView, 'findOne').mockResolvedValue(null);
+
+    const counted = await ReelView.recordView(reelId, { userId }, { watchTime: 12, completionRate: 60, loops: 0 });
+
+    expect(counted).toBe(true);
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ reel: reelId, user: userId }));
+    expect(ReelView.create).toHaveBeenCalledWith(expect.objectContaining({
+      reel: reelId,
+      user: userId,
+      watchTime: 12,
+      completionRate: 60
+    }));
+    expect(Reel.updateOne).toHaveBeenCalledWith({ _id: reelId }, {
+      $inc: Reel.engagementInc({ views: 1, watchTime: 12, completionRate: 60, loops: 0 })
+    });
+  });
+
+  it('folds a repeat watch into the recent view without counting it again', async () => {
+    const recentView = { _id: new mongoose.Types.ObjectId(), completionRate: 60 };
+    jest.spyOn(ReelView, 'findOne').mockResolvedValue(recentView);
+    const findOneAndUpdate = jest.spyOn(ReelView, 'findOneAndUpdate').mockResolvedValue({ ...recentView, completionRate: 90 });
+
+    const counted = await ReelView.recordView(reelId, { userId }, { watchTime: 5, completionRate: 90, loops: 1 });
+
+    expect(counted).toBe(false);
+    expect(ReelView.create).not.toHaveBeenCalled();
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: recentView._id },
+      { $inc: { watchTime: 5, loops: 1 }, $max: { completionRate: 90 } },
+      { new: true }
+    );
+    // Only the extra completion is added; the view itself isn't counted again
+    const [, update] = Reel.updateOne.mock.calls[0];
+    expect(update).toEqual({ $inc: Reel.engagementInc({ watchTime: 5, completionRate: 30, loops: 1 }) });
+    expect(update.$inc.viewsCount).toBeUndefined();
+  });
+
+  it('adds nothing to the reel when a repeat watch brings nothing new', async () => {
+    const recentView = { _id: new mongoose.Types.ObjectId(), completionRate: 80 };
+    jest.spyOn(ReelView, 'findOne').mockResolvedValue(recentView);
+    jest.spyOn(ReelView, 'findOneAndUpdate').mockResolvedValue(recentView);
+
+    await ReelView.recordView(reelId, { userId }, { watchTime: 0, completionRate: 50, loops: 0 });
+
+    expect(Reel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('tells anonymous viewers apart by session', async () => {
+    const findOne = jest.spyOn(ReelView, 'findOne').mockResolvedValue(null);
+
+    await ReelView.recordView(reelId, { sessionId: 'device-1' });
+
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ reel: reelId, user: null, sessionId: 'device-1' }));
+  });
+});
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One entry per search made through GET /api/search. Signed-in users get
+// their recent searches back as suggestions; all searches together make up
+// the trending queries.
+const searchLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty for anonymous searches
+  },
+  sessionId: {
+    type: String, // From X-Session-Id, for anonymous searches
+    maxlength: 100
+  },
+  query: {
+    type: String, // Trimmed and lowercased
+    required: true,
+    maxlength: 100
+  },
+  searchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchLogSchema.index({ user: 1, searchedAt: -1 });
+// Searches are forgotten after 30 days
+searchLogSchema.index({ searchedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchLog', searchLogSchema);
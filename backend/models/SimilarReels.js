@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Cached "similar reels" ranking for one reel, written by GET /api/reels/:id/similar.
+// The like count and popularity score the ranking was based on are kept so the
+// cache can be thrown away once the reel's engagement has moved enough to
+// change co-engagement.
+const similarReelsSchema = new mongoose.Schema({
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel',
+    required: true,
+    unique: true
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  likesCount: {
+    type: Number, // The reel's likes when the ranking was computed
+    default: 0
+  },
+  popularityScore: {
+    type: Number, // Views, comments and shares move this too
+    default: 0
+  },
+  entries: [{
+    _id: false,
+    reel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reel'
+    },
+    score: Number
+  }]
+});
+
+// Rankings are recomputed at least once a day
+similarReelsSchema.index({ computedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SimilarReels', similarReelsSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A ranked list of trending reels for one time window, written by the trending
+// job. GET /api/reels/trending serves the latest snapshot for each window.
+const trendingSnapshotSchema = new mongoose.Schema({
+  window: {
+    type: String,
+    enum: ['today', 'week', 'month'],
+    required: true
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  entries: [{
+    _id: false,
+    reel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reel'
+    },
+    rank: Number,
+    score: Number, // Category-normalized score the ranking is based on
+    rawScore: Number, // Decayed engagement before normalization
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    isNSFW: Boolean
+  }]
+});
+
+trendingSnapshotSchema.index({ window: 1, computedAt: -1 });
+// Older snapshots are kept for a week for debugging ranking changes
+trendingSnapshotSchema.index({ computedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+trendingSnapshotSchema.statics.getLatest = function(window) {
+  return this.findOne({ window }).sort({ computedAt: -1 });
+};
+
+module.exports = mongoose.model('TrendingSnapshot', trendingSnapshotSchema);
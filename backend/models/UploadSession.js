@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A resumable reel upload. Chunks are appended to tempPath on disk until
+// offset reaches size, then the session is completed into a reel.
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Client-side file identity (name, size, modified time) so an upload can be
+  // picked up again after a page reload
+  fingerprint: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed', 'aborted'],
+    default: 'active'
+  },
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, fingerprint: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
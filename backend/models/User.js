@@ -27,6 +27,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  profilePictureId: {
+    type: String, // Storage id of the uploaded avatar, used to clean up replaced ones
+    default: ''
+  },
+  profilePictureStorage: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    default: 'local'
+  },
   bio: {
     type: String,
     maxlength: [160, 'Bio cannot exceed 160 characters'],
@@ -36,6 +45,11 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Stored so users can be sorted by it; kept in step with followers on save
+  followersCount: {
+    type: Number,
+    default: 0
+  },
   following: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -52,14 +66,22 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Reel'
   }],
+  followedHashtags: [{
+    type: String, // Hashtag names
+    lowercase: true
+  }],
   preferredCategories: [{
-    type: String,
-    enum: ['Infotainment', 'Entertainment', 'News', 'Music', 'Dance', 'Makeup', 'Beauty', 'Edits', 'Comedy', 'Sports', 'Food', 'Travel', 'Education', 'Technology']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
   }],
   isVerified: {
     type: Boolean,
     default: false
   },
+  watchHistoryPaused: {
+    type: Boolean,
+    default: false // While paused, watched reels aren't added to the watch history
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -84,6 +106,14 @@ const userSchema = new mongoose.Schema({
 // Index for better search performance
 userSchema.index({ username: 1, email: 1 });
 userSchema.index({ preferredCategories: 1 });
+userSchema.index({ followersCount: -1, _id: -1 });
+
+userSchema.pre('save', function(next) {
+  if (this.isModified('followers')) {
+    this.followersCount = this.followers.length;
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -118,11 +148,6 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
-// Virtual for followers count
-userSchema.virtual('followersCount').get(function() {
-  return this.followers.length;
-});
-
 // Virtual for following count
 userSchema.virtual('followingCount').get(function() {
   return this.following.length;
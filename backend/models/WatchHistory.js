@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Where a user left off in each reel they watched. Unlike ReelView, which
+// counts views for engagement, there is one entry per user and reel, moved to
+// the top of the history every time the reel is watched again.
+const watchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reel',
+    required: true
+  },
+  position: {
+    type: Number, // Seconds into the reel the user stopped at
+    default: 0
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchHistorySchema.index({ user: 1, reel: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, watchedAt: -1, _id: -1 });
+
+// Reels watched to the end start over next time
+const COMPLETED_RATE = 95;
+
+watchHistorySchema.statics.record = async function(userId, reel, { position = 0, completionRate = 0, loops = 0 } = {}) {
+  // Resumed reels only report the part watched this time, so reaching the end counts too
+  const completed = loops > 0 || completionRate >= COMPLETED_RATE ||
+    (reel.duration > 0 && position >= reel.duration * COMPLETED_RATE / 100);
+  const query = { user: userId, reel: reel._id };
+  const update = {
+    position: completed ? 0 : Math.min(position, reel.duration || position),
+    completed,
+    watchedAt: new Date()
+  };
+
+  try {
+    return await this.findOneAndUpdate(query, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (error) {
+    // A concurrent report created the entry first; update it instead
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return this.findOneAndUpdate(query, update, { new: true });
+  }
+};
+
+// Saved positions of partially watched reels, as a Map of reel id string to seconds
+watchHistorySchema.statics.getResumePositions = async function(userId, reelIds) {
+  if (!userId || reelIds.length === 0) {
+    return new Map();
+  }
+  const entries = await this.find({
+    user: userId,
+    reel: { $in: reelIds },
+    completed: false,
+    position: { $gt: 0 }
+  }).select('reel position').lean();
+  return new Map(entries.map(entry => [entry.reel.toString(), entry.position]));
+};
+
+module.exports = mongoose.model('WatchHistory', watchHistorySchema);
@@ -5,9 +5,19 @@ const Reel = require('../models/Reel');
 const Comment = require('../models/Comment');
 const Category = require('../models/Category');
 const { authenticateToken, requireAdmin, requireModerator } = require('../middleware/auth');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
+const { refreshHashtags } = require('../utils/hashtags');
+const { findCategory, getCategoryTreeIds, refreshCategoryCounts } = require('../utils/categories');
 
 const router = express.Router();
 
+// Aggregation stages that add the category name to results grouped by category id
+const withCategoryName = [
+  { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+  { $addFields: { name: { $arrayElemAt: ['$category.name', 0] } } },
+  { $project: { category: 0 } }
+];
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin only)
@@ -31,23 +41,24 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       reportedComments
     ] = await Promise.all([
       User.countDocuments({ isActive: true }),
-      Reel.countDocuments({ isActive: true }),
+      Reel.countDocuments({ isActive: true, deletedAt: null }),
       Comment.countDocuments({ isActive: true }),
       Category.countDocuments({ isActive: true }),
       User.countDocuments({ createdAt: { $gte: lastWeek }, isActive: true }),
-      Reel.countDocuments({ createdAt: { $gte: lastWeek }, isActive: true }),
+      Reel.countDocuments({ createdAt: { $gte: lastWeek }, isActive: true, deletedAt: null }),
       Comment.countDocuments({ createdAt: { $gte: lastWeek }, isActive: true }),
-      Reel.countDocuments({ isApproved: false, isActive: true }),
-      Reel.countDocuments({ 'reports.0': { $exists: true }, isActive: true }),
+      Reel.countDocuments({ isApproved: false, isActive: true, deletedAt: null }),
+      Reel.countDocuments({ ...Reel.reportedFilter(), isActive: true, deletedAt: null }),
       Comment.countDocuments({ 'reports.0': { $exists: true }, isActive: true })
     ]);
 
     // Get category statistics
     const categoryStats = await Reel.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, deletedAt: null } },
       { $group: { _id: '$category', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
-      { $limit: 10 }
+      { $limit: 10 },
+      ...withCategoryName
     ]);
 
     // Get top users by followers
@@ -57,8 +68,9 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       .limit(5);
 
     // Get recent activity
-    const recentReels = await Reel.find({ isActive: true })
+    const recentReels = await Reel.find({ isActive: true, deletedAt: null })
       .populate('author', 'username profilePicture')
+      .populate('category', 'name slug')
       .select('title author createdAt category')
       .sort({ createdAt: -1 })
       .limit(10);
@@ -103,7 +115,7 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
 router.get('/users', [
   authenticateToken,
   requireAdmin,
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().isString().withMessage('Search must be a string'),
   query('role').optional().isIn(['user', 'admin', 'moderator']).withMessage('Invalid role'),
@@ -120,10 +132,8 @@ router.get('/users', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { search, role, isActive, sortBy = 'newest' } = req.query;
+    const limit = getPageLimit(req.query.limit, 20, 100);
+    const { search, role, isActive, sortBy = 'newest', cursor } = req.query;
 
     // Build filter
     let filter = {};
@@ -154,11 +164,12 @@ router.get('/users', [
         sort = { createdAt: -1 };
     }
 
-    const users = await User.find(filter)
+    const page = applyCursor(filter, sort, cursor);
+    const usersPage = await User.find(page.filter)
       .select('-password')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+      .sort(page.sort)
+      .limit(limit + 1);
+    const { items: users, pagination } = buildPage(usersPage, limit, page.sort);
 
     const usersWithStats = users.map(user => ({
       ...user.toObject(),
@@ -167,25 +178,22 @@ router.get('/users', [
       reelsCount: user.reels.length
     }));
 
-    const totalUsers = await User.countDocuments(filter);
-    const totalPages = Math.ceil(totalUsers / limit);
-
     res.json({
       success: true,
       data: {
         users: usersWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalUsers,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
 
   } catch (error) {
     console.error('Get users error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching users'
@@ -277,11 +285,21 @@ router.get('/reels', [
     const { category, isApproved, isReported, sortBy = 'newest' } = req.query;
 
     // Build filter
-    let filter = { isActive: true };
+    let filter = { isActive: true, deletedAt: null };
     
-    if (category) filter.category = category;
+    if (category) {
+      const selectedCategory = await findCategory(category);
+      if (!selectedCategory) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      // Subcategories are part of their parent
+      filter.category = { $in: await getCategoryTreeIds(selectedCategory._id) };
+    }
     if (isApproved !== undefined) filter.isApproved = isApproved === 'true';
-    if (isReported === 'true') filter['reports.0'] = { $exists: true };
+    if (isReported === 'true') Object.assign(filter, Reel.reportedFilter());
 
     // Build sort
     let sort = {};
@@ -290,7 +308,7 @@ router.get('/reels', [
         sort = { createdAt: 1 };
         break;
       case 'popular':
-        sort = { likesCount: -1, viewsCount: -1 };
+        sort = { popularityScore: -1, createdAt: -1 };
         break;
       case 'reported':
         sort = { 'reports': -1, createdAt: -1 };
@@ -301,17 +319,15 @@ router.get('/reels', [
 
     const reels = await Reel.find(filter)
       .populate('author', 'username profilePicture isVerified')
+      .populate('category', 'name slug')
       .sort(sort)
       .skip(skip)
       .limit(limit);
 
     const reelsWithStats = reels.map(reel => ({
       ...reel.toObject(),
-      likesCount: reel.likes.length,
       commentsCount: reel.comments.length,
-      viewsCount: reel.views.length,
-      sharesCount: reel.shares.length,
-      reportsCount: reel.reports.length
+      reportsCount: reel.getOpenReports().length
     }));
 
     const totalReels = await Reel.countDocuments(filter);
@@ -374,6 +390,8 @@ router.put('/reels/:id/approve', [
     reel.approvedAt = new Date();
 
     await reel.save();
+    await refreshCategoryCounts([reel.category]);
+    await refreshHashtags(reel.tags);
 
     res.json({
       success: true,
@@ -402,13 +420,29 @@ router.get('/reports', authenticateToken, requireModerator, async (req, res) =>
 
     if (type === 'all' || type === 'reels') {
       reportedReels = await Reel.find({
-        'reports.0': { $exists: true },
-        isActive: true
+        ...Reel.reportedFilter(),
+        isActive: true,
+        deletedAt: null
       })
       .populate('author', 'username profilePicture')
       .populate('reports.user', 'username')
       .sort({ 'reports.reportedAt': -1 })
       .limit(10);
+
+      // Summarize reports by reason so moderators can triage quickly
+      reportedReels = reportedReels.map(reel => {
+        const reports = reel.getOpenReports();
+        return {
+          ...reel.toObject(),
+          reports,
+          reportsCount: reports.length,
+          reportReasons: reports.reduce((counts, report) => {
+            counts[report.reason] = (counts[report.reason] || 0) + 1;
+            return counts;
+          }, {}),
+          isAutoHidden: !!reel.autoHiddenAt
+        };
+      });
     }
 
     if (type === 'all' || type === 'comments') {
@@ -484,14 +518,32 @@ router.post('/reports/resolve', [
         // In a real app, you might send a warning to the user
         break;
       case 'dismiss':
-        // Just clear the reports
+        // Just clear the reports, and bring back reels hidden by the report threshold
+        if (contentType === 'reel' && content.autoHiddenAt) {
+          content.isApproved = true;
+          content.autoHiddenAt = undefined;
+        }
         break;
     }
 
-    // Clear reports
-    content.reports = [];
+    // Reel reports are kept, marked resolved, so the same users can't report
+    // it again; comment reports are cleared
+    if (contentType === 'reel') {
+      const resolvedAt = new Date();
+      content.getOpenReports().forEach(report => {
+        report.resolvedAt = resolvedAt;
+      });
+    } else {
+      content.reports = [];
+    }
     await content.save();
 
+    // Removing or bringing back a reel changes its category's and hashtags' counts
+    if (contentType === 'reel') {
+      await refreshCategoryCounts([content.category]);
+      await refreshHashtags(content.tags);
+    }
+
     res.json({
       success: true,
       message: `Report resolved with action: ${action}`
@@ -536,7 +588,8 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
       {
         $match: {
           createdAt: { $gte: startDate },
-          isActive: true
+          isActive: true,
+          deletedAt: null
         }
       },
       {
@@ -553,6 +606,7 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
       {
         $match: {
           isActive: true,
+          deletedAt: null,
           createdAt: { $gte: startDate }
         }
       },
@@ -562,7 +616,8 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
           count: { $sum: 1 }
         }
       },
-      { $sort: { count: -1 } }
+      { $sort: { count: -1 } },
+      ...withCategoryName
     ]);
 
     // Engagement metrics
@@ -570,15 +625,21 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
       {
         $match: {
           isActive: true,
+          deletedAt: null,
           createdAt: { $gte: startDate }
         }
       },
       {
         $project: {
-          likesCount: { $size: '$likes' },
+          likesCount: 1,
           commentsCount: { $size: '$comments' },
-          viewsCount: { $size: '$views' },
-          sharesCount: { $size: '$shares' }
+          viewsCount: 1,
+          sharesCount: 1,
+          watchTime: '$watchTimeTotal',
+          // Reels without views have no completion rate and are left out of the average
+          completionRate: {
+            $cond: [{ $gt: ['$viewsCount', 0] }, { $divide: ['$completionRateTotal', '$viewsCount'] }, null]
+          }
         }
       },
       {
@@ -591,7 +652,9 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
           avgLikes: { $avg: '$likesCount' },
           avgComments: { $avg: '$commentsCount' },
           avgViews: { $avg: '$viewsCount' },
-          avgShares: { $avg: '$sharesCount' }
+          avgShares: { $avg: '$sharesCount' },
+          totalWatchTime: { $sum: '$watchTime' },
+          avgCompletionRate: { $avg: '$completionRate' }
         }
       }
     ]);
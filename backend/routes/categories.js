@@ -2,36 +2,40 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const WatchHistory = require('../models/WatchHistory');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
+const { getListKey, getRankedPage, buildRankedPage } = require('../utils/rankedPages');
+const { getFeedExclusions, excludeFromFeed } = require('../utils/feedFeedback');
+const { clearCategoryCache, findCategory, getCategoryTreeIds, recountCategoryReels, isCategory } = require('../utils/categories');
 const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories, with subcategories nested under their parents
 // @access  Public (optional auth)
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    console.log('GET /api/categories - Fetching categories with real-time counts...');
+    console.log('GET /api/categories - Fetching categories...');
 
     const categories = await Category.find({ isActive: true })
       .sort({ sortOrder: 1, name: 1 })
-      .select('name slug description icon color reelsCount featuredReels');
+      .select('name slug description icon color parent ancestors reelsCount featuredReels');
 
-    // Update reel counts and get featured reels for each category
+    const hideNSFW = !req.user || !req.user.preferredCategories?.includes('NSFW');
+
+    // Get featured reels for each category. reelsCount is kept up to date as
+    // reels are published, moved and removed.
     const categoriesWithReels = await Promise.all(
       categories.map(async (category) => {
-        // Get real-time count of active reels
-        const realTimeReelsCount = await Reel.countDocuments({
-          category: category.name,
-          isActive: true,
-          isApproved: true,
-          ...((!req.user || !req.user.preferredCategories?.includes('NSFW')) && { isNSFW: { $ne: true } })
-        });
-
-        // Update the category's reel count if different
-        if (category.reelsCount !== realTimeReelsCount) {
-          await Category.findByIdAndUpdate(category._id, { reelsCount: realTimeReelsCount });
-        }
+        // A category shows the reels of its subcategories too
+        const treeIds = [
+          category._id,
+          ...categories
+            .filter(other => other.ancestors.some(id => id.equals(category._id)))
+            .map(other => other._id)
+        ];
 
         let featuredReels = [];
         
@@ -39,43 +43,63 @@ router.get('/', optionalAuth, async (req, res) => {
           featuredReels = await Reel.find({
             _id: { $in: category.featuredReels },
             isActive: true,
-            isApproved: true
+            isApproved: true,
+            ...Reel.listedFilter()
           })
           .populate('author', 'username profilePicture isVerified')
+          .populate('mentions', 'username')
+          .populate('category', 'name slug')
           .limit(3);
         } else {
           // If no featured reels, get the most recent ones
           featuredReels = await Reel.find({
-            category: category.name,
+            category: { $in: treeIds },
             isActive: true,
             isApproved: true,
-            ...((!req.user || !req.user.preferredCategories?.includes('NSFW')) && { isNSFW: { $ne: true } })
+            ...Reel.listedFilter(),
+            ...(hideNSFW && { isNSFW: { $ne: true } })
           })
           .populate('author', 'username profilePicture isVerified')
+          .populate('mentions', 'username')
+          .populate('category', 'name slug')
           .sort({ createdAt: -1 })
           .limit(3);
         }
 
         return {
           ...category.toObject(),
-          reelsCount: realTimeReelsCount, // Use real-time count
           featuredReels: featuredReels.map(reel => ({
             _id: reel._id,
             title: reel.title,
             thumbnailUrl: reel.thumbnailUrl,
             author: reel.author,
-            likesCount: reel.likes?.length || 0,
-            viewsCount: reel.views?.length || 0
+            likesCount: reel.likesCount || 0,
+            viewsCount: reel.viewsCount || 0
           }))
         };
       })
     );
 
-    console.log(`Returning ${categoriesWithReels.length} categories with updated counts`);
+    // Nest subcategories under their parents. Subcategories of an inactive
+    // category are left out along with it.
+    const categoriesById = new Map(categoriesWithReels.map(category => [
+      category._id.toString(),
+      { ...category, children: [] }
+    ]));
+    const categoryTree = [];
+    for (const category of categoriesById.values()) {
+      if (!category.parent) {
+        categoryTree.push(category);
+      } else {
+        categoriesById.get(category.parent.toString())?.children.push(category);
+      }
+    }
+
+    console.log(`Returning ${categoriesWithReels.length} categories`);
 
     res.json({
       success: true,
-      data: { categories: categoriesWithReels }
+      data: { categories: categoryTree }
     });
 
   } catch (error) {
@@ -89,11 +113,12 @@ router.get('/', optionalAuth, async (req, res) => {
 
 
 // @route   GET /api/categories/:slug
-// @desc    Get category by slug
+// @desc    Get category by slug with its reels, including those of its subcategories
 // @access  Public (optional auth)
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
-    const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true })
+      .populate('ancestors', 'name slug');
     
     if (!category) {
       return res.status(404).json({
@@ -102,16 +127,15 @@ router.get('/:slug', optionalAuth, async (req, res) => {
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { sortBy = 'newest' } = req.query;
+    const limit = getPageLimit(req.query.limit);
+    const { sortBy = 'newest', cursor } = req.query;
 
     // Build filter
     let filter = {
-      category: category.name,
+      category: { $in: await getCategoryTreeIds(category._id) },
       isActive: true,
-      isApproved: true
+      isApproved: true,
+      ...Reel.listedFilter()
     };
 
     // Filter NSFW content
@@ -126,54 +150,69 @@ router.get('/:slug', optionalAuth, async (req, res) => {
         sort = { createdAt: 1 };
         break;
       case 'popular':
-        sort = { 'likes': -1, 'views': -1 };
+        sort = { popularityScore: -1, createdAt: -1 };
         break;
       case 'trending':
-        sort = { isTrending: -1, createdAt: -1 };
+        sort = { trendingScore: -1, createdAt: -1 }; // Trending reels have the highest scores
         break;
       default:
         sort = { createdAt: -1 };
     }
 
-    const reels = await Reel.find(filter)
+    // Hidden reels and creators stay out; the category itself was picked on purpose
+    const exclusions = await getFeedExclusions(req.user?._id);
+    filter = excludeFromFeed(filter, exclusions, { keepCategories: true });
+
+    // Scores change as reels are watched, so those sorts page through a saved ranking
+    const rankedPage = ['popular', 'trending'].includes(sortBy)
+      ? await getRankedPage(filter, sort, cursor, limit, getListKey(req))
+      : null;
+    const page = rankedPage || applyCursor(filter, sort, cursor);
+    const reelsPage = await Reel.find(page.filter)
       .populate('author', 'username profilePicture isVerified')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(page.sort)
+      .limit(limit + 1)
       .lean();
+    const { items: reels, pagination } = rankedPage
+      ? buildRankedPage(reelsPage, rankedPage)
+      : buildPage(reelsPage, limit, page.sort);
 
+    const subcategories = await Category.find({ parent: category._id, isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('name slug icon color reelsCount');
+
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user?._id, reels.map(reel => reel._id));
+    const resumePositions = await WatchHistory.getResumePositions(req.user?._id, reels.map(reel => reel._id));
     const reelsWithStats = reels.map(reel => ({
       ...reel,
-      likesCount: reel.likes?.length || 0,
       commentsCount: reel.comments?.length || 0,
-      sharesCount: reel.shares?.length || 0,
-      viewsCount: reel.views?.length || 0,
-      isLiked: req.user ? reel.likes?.some(like => like.user.toString() === req.user._id.toString()) : false
+      isLiked: likedReelIds.has(reel._id.toString()),
+      resumePosition: resumePositions.get(reel._id.toString()) || 0
     }));
 
-    const totalReels = await Reel.countDocuments(filter);
-    const totalPages = Math.ceil(totalReels / limit);
-
     res.json({
       success: true,
       data: {
         category: {
           ...category.toObject(),
+          children: subcategories,
           featuredReels: undefined // Remove featured reels from category object to reduce payload
         },
         reels: reelsWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalReels,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
 
   } catch (error) {
     console.error('Get category error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching category'
@@ -191,7 +230,8 @@ router.post('/', [
   body('description').optional().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
   body('icon').optional().isString().withMessage('Icon must be a string'),
   body('color').optional().matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Invalid color format'),
-  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a non-negative integer')
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a non-negative integer'),
+  body('parent').optional({ nullable: true }).custom(isCategory)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -203,7 +243,7 @@ router.post('/', [
       });
     }
 
-    const { name, description, icon, color, sortOrder } = req.body;
+    const { name, description, icon, color, sortOrder, parent } = req.body;
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ name });
@@ -220,10 +260,12 @@ router.post('/', [
       icon,
       color,
       sortOrder,
+      parent: parent ? (await findCategory(parent))._id : null,
       createdBy: req.user._id
     });
 
     await category.save();
+    clearCategoryCache();
 
     res.status(201).json({
       success: true,
@@ -240,6 +282,23 @@ router.post('/', [
   }
 });
 
+// Why a category can't be taken out of use yet, if anything stops it.
+// Deleting and deactivating are the same soft delete, so both check this.
+const getRemovalBlocker = async (category, action) => {
+  // Subcategories would be left without a parent
+  const subcategoryCount = await Category.countDocuments({ parent: category._id, isActive: true });
+  if (subcategoryCount > 0) {
+    return `Cannot ${action} category with ${subcategoryCount} subcategories. Move or delete them first.`;
+  }
+
+  const reelCount = await Reel.countDocuments({ category: category._id, isActive: true, deletedAt: null });
+  if (reelCount > 0) {
+    return `Cannot ${action} category with ${reelCount} active reels. Move or delete reels first.`;
+  }
+
+  return null;
+};
+
 // @route   PUT /api/categories/:id
 // @desc    Update a category
 // @access  Private (Admin only)
@@ -251,7 +310,8 @@ router.put('/:id', [
   body('icon').optional().isString().withMessage('Icon must be a string'),
   body('color').optional().matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Invalid color format'),
   body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a non-negative integer'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('parent').optional({ nullable: true }).custom(isCategory)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -272,7 +332,7 @@ router.put('/:id', [
       });
     }
 
-    const { name, description, icon, color, sortOrder, isActive } = req.body;
+    const { name, description, icon, color, sortOrder, isActive, parent } = req.body;
 
     // If name is being changed, check if new name already exists
     if (name && name !== category.name) {
@@ -290,9 +350,44 @@ router.put('/:id', [
     if (icon !== undefined) category.icon = icon;
     if (color !== undefined) category.color = color;
     if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (isActive === false && category.isActive) {
+      const blocker = await getRemovalBlocker(category, 'deactivate');
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+    }
     if (isActive !== undefined) category.isActive = isActive;
 
+    // Moving a category takes its subcategories along. It can't go under
+    // itself or one of its own subcategories.
+    if (parent !== undefined) {
+      const parentCategory = parent ? await findCategory(parent) : null;
+      if (parentCategory && (
+        parentCategory._id.equals(category._id) ||
+        await Category.exists({ _id: parentCategory._id, ancestors: category._id })
+      )) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be moved under itself or one of its subcategories'
+        });
+      }
+      category.parent = parentCategory ? parentCategory._id : null;
+    }
+    const moved = category.isModified('parent');
+    const previousAncestors = [...category.ancestors];
+
+    // Reels reference the category by id, so a rename carries over to them
     await category.save();
+    if (moved) {
+      await category.updateDescendantAncestors();
+      // The subtree's reels stop counting towards the old parents and start
+      // counting towards the new ones
+      await recountCategoryReels([...previousAncestors, ...category.ancestors]);
+    }
+    clearCategoryCache();
 
     res.json({
       success: true,
@@ -323,19 +418,18 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
-    // Check if category has reels
-    const reelCount = await Reel.countDocuments({ category: category.name, isActive: true });
-    
-    if (reelCount > 0) {
+    const blocker = await getRemovalBlocker(category, 'delete');
+    if (blocker) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category with ${reelCount} active reels. Move or delete reels first.`
+        message: blocker
       });
     }
 
     // Soft delete
     category.isActive = false;
     await category.save();
+    clearCategoryCache();
 
     res.json({
       success: true,
@@ -387,8 +481,9 @@ router.post('/:id/featured-reels', [
       });
     }
 
-    // Check if reel belongs to this category
-    if (reel.category !== category.name) {
+    // Check if reel belongs to this category or one of its subcategories
+    const treeIds = await getCategoryTreeIds(category._id);
+    if (!treeIds.some(id => id.equals(reel.category))) {
       return res.status(400).json({
         success: false,
         message: 'Reel does not belong to this category'
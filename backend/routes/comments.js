@@ -3,7 +3,8 @@ const { body, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Reel = require('../models/Reel');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -30,7 +31,7 @@ router.post('/', [
 
     // Check if reel exists
     const reel = await Reel.findById(reelId);
-    if (!reel) {
+    if (!reel || !reel.isViewableBy(req.user._id)) {
       return res.status(404).json({
         success: false,
         message: 'Reel not found'
@@ -69,8 +70,10 @@ router.post('/', [
     await comment.save();
 
     // Add comment to reel's comments array
-    reel.comments.push(comment._id);
-    await reel.save();
+    await Reel.updateOne({ _id: reel._id }, {
+      $push: { comments: comment._id },
+      $inc: Reel.engagementInc({ comments: 1 })
+    });
 
     // If it's a reply, add to parent comment's replies
     if (parentComment) {
@@ -98,19 +101,28 @@ router.post('/', [
 
 // @route   GET /api/comments/:reelId
 // @desc    Get comments for a reel
-// @access  Public
-router.get('/:reelId', async (req, res) => {
+// @access  Public (optional auth)
+router.get('/:reelId', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit);
+
+    // Comments on a private reel are as private as the reel
+    const reel = await Reel.findById(req.params.reelId).select('author visibility status deletedAt');
+    if (!reel || !reel.isViewableBy(req.user?._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
 
     // Get top-level comments (no parent)
-    const comments = await Comment.find({
+    const page = applyCursor({
       reel: req.params.reelId,
       parentComment: null,
       isActive: true
-    })
+    }, { createdAt: -1 }, req.query.cursor);
+
+    const commentsPage = await Comment.find(page.filter)
     .populate('author', 'username profilePicture isVerified')
     .populate({
       path: 'replies',
@@ -120,9 +132,9 @@ router.get('/:reelId', async (req, res) => {
       },
       options: { limit: 3, sort: { createdAt: -1 } } // Show only 3 recent replies
     })
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+    .sort(page.sort)
+    .limit(limit + 1);
+    const { items: comments, pagination } = buildPage(commentsPage, limit, page.sort);
 
     // Add engagement stats
     const commentsWithStats = comments.map(comment => ({
@@ -131,30 +143,22 @@ router.get('/:reelId', async (req, res) => {
       repliesCount: comment.replies.length
     }));
 
-    const totalComments = await Comment.countDocuments({
-      reel: req.params.reelId,
-      parentComment: null,
-      isActive: true
-    });
-
-    const totalPages = Math.ceil(totalComments / limit);
-
     res.json({
       success: true,
       data: {
         comments: commentsWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalComments,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
 
   } catch (error) {
     console.error('Get comments error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching comments'
@@ -164,50 +168,54 @@ router.get('/:reelId', async (req, res) => {
 
 // @route   GET /api/comments/replies/:parentCommentId
 // @desc    Get replies for a comment
-// @access  Public
-router.get('/replies/:parentCommentId', async (req, res) => {
+// @access  Public (optional auth)
+router.get('/replies/:parentCommentId', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit, 10);
 
-    const replies = await Comment.find({
+    const parentComment = await Comment.findById(req.params.parentCommentId)
+      .select('reel')
+      .populate('reel', 'author visibility status deletedAt');
+    if (!parentComment || !parentComment.reel || !parentComment.reel.isViewableBy(req.user?._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Oldest first for replies
+    const page = applyCursor({
       parentComment: req.params.parentCommentId,
       isActive: true
-    })
+    }, { createdAt: 1 }, req.query.cursor);
+
+    const repliesPage = await Comment.find(page.filter)
     .populate('author', 'username profilePicture isVerified')
-    .sort({ createdAt: 1 }) // Oldest first for replies
-    .skip(skip)
-    .limit(limit);
+    .sort(page.sort)
+    .limit(limit + 1);
+    const { items: replies, pagination } = buildPage(repliesPage, limit, page.sort);
 
     const repliesWithStats = replies.map(reply => ({
       ...reply.toObject(),
       likesCount: reply.likes.length
     }));
 
-    const totalReplies = await Comment.countDocuments({
-      parentComment: req.params.parentCommentId,
-      isActive: true
-    });
-
-    const totalPages = Math.ceil(totalReplies / limit);
-
     res.json({
       success: true,
       data: {
         replies: repliesWithStats,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalReplies,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
 
   } catch (error) {
     console.error('Get replies error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching replies'
@@ -340,9 +348,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     comment.isActive = false;
     await comment.save();
 
-    // Remove comment from reel's comments array
-    await Reel.findByIdAndUpdate(comment.reel, {
-      $pull: { comments: comment._id }
+    // Remove comment from reel's comments array (only counted once if deleted twice)
+    await Reel.updateOne({ _id: comment.reel, comments: comment._id }, {
+      $pull: { comments: comment._id },
+      $inc: Reel.engagementInc({ comments: -1 })
     });
 
     // If it's a reply, remove from parent comment's replies
@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const FeedFeedback = require('../models/FeedFeedback');
+const WatchHistory = require('../models/WatchHistory');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { rankForYouFeed, feedPageFilter } = require('../utils/forYouFeed');
+const { getFeedExclusions, excludeFromFeed } = require('../utils/feedFeedback');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
+const { getListKey, getRankingPage } = require('../utils/rankedPages');
+
+const router = express.Router();
+
+// Loads the full reels for a page of feed items, in feed order, with the
+// viewer's like/save status. Reels that no longer match filter are left out.
+const hydrateFeedPage = async (items, user, filter) => {
+  const reels = await Reel.find({ $and: [filter, { _id: { $in: items.map(item => item.reel._id) } }] })
+    .populate('author', 'username profilePicture isVerified')
+    .populate('mentions', 'username')
+    .populate('category', 'name slug')
+    .lean();
+  const reelsById = new Map(reels.map(reel => [reel._id.toString(), reel]));
+  const likedReelIds = await ReelLike.getLikedReelIds(user?._id, reels.map(reel => reel._id));
+  const resumePositions = await WatchHistory.getResumePositions(user?._id, reels.map(reel => reel._id));
+
+  return items
+    .filter(item => reelsById.has(item.reel._id.toString()))
+    .map(item => {
+      const reel = reelsById.get(item.reel._id.toString());
+      return {
+        ...reel,
+        commentsCount: reel.comments?.length || 0,
+        isLiked: likedReelIds.has(reel._id.toString()),
+        isSaved: user ? user.savedReels?.some(id => id.toString() === reel._id.toString()) : false,
+        resumePosition: resumePositions.get(reel._id.toString()) || 0,
+        feedReason: item.reason
+      };
+    });
+};
+
+// @route   GET /api/feed/for-you
+// @desc    Get personalized reels ranked for the viewer, each with the reason it was picked
+// @access  Public (optional auth, anonymous viewers can send X-Session-Id)
+router.get('/for-you', [
+  optionalAuth,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = getPageLimit(req.query.limit, 10);
+
+    // Ranking the feed is expensive and its scores keep changing, so the first
+    // page saves the order and later pages read from it
+    const { reelIds, reasons, pagination } = await getRankingPage(req.query.cursor, limit, async () => {
+      const ranked = await rankForYouFeed({
+        user: req.user,
+        sessionId: req.headers['x-session-id']
+      });
+      return {
+        reelIds: ranked.map(item => item.reel._id),
+        reasons: ranked.map(item => item.reason)
+      };
+    }, getListKey(req));
+
+    const exclusions = await getFeedExclusions(req.user?._id);
+    const pageItems = reelIds.map((id, index) => ({ reel: { _id: id }, reason: reasons[index] }));
+
+    res.json({
+      success: true,
+      data: await hydrateFeedPage(pageItems, req.user, feedPageFilter(req.user, exclusions)),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get for you feed error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your feed'
+    });
+  }
+});
+
+// @route   GET /api/feed/following
+// @desc    Get reels from creators the user follows, newest first
+// @access  Private
+router.get('/following', [
+  authenticateToken,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = getPageLimit(req.query.limit, 10);
+
+    const filter = {
+      author: { $in: req.user.following || [] },
+      isActive: true,
+      isApproved: true,
+      ...Reel.listedFilter()
+    };
+
+    // Filter NSFW content
+    if (!req.user.preferredCategories?.includes('NSFW')) {
+      filter.isNSFW = { $ne: true };
+    }
+
+    // Following a creator doesn't bring back reels the user hid
+    const exclusions = await getFeedExclusions(req.user._id);
+    const page = applyCursor(excludeFromFeed(filter, exclusions), { createdAt: -1 }, req.query.cursor);
+    const reelsPage = await Reel.find(page.filter)
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(page.sort)
+      .limit(limit + 1)
+      .lean();
+    const { items: reels, pagination } = buildPage(reelsPage, limit, page.sort);
+
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user._id, reels.map(reel => reel._id));
+    const resumePositions = await WatchHistory.getResumePositions(req.user._id, reels.map(reel => reel._id));
+    const reelsWithStats = reels.map(reel => ({
+      ...reel,
+      commentsCount: reel.comments?.length || 0,
+      isLiked: likedReelIds.has(reel._id.toString()),
+      resumePosition: resumePositions.get(reel._id.toString()) || 0,
+      isSaved: req.user.savedReels?.some(id => id.toString() === reel._id.toString()) || false
+    }));
+
+    res.json({
+      success: true,
+      data: reelsWithStats,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get following feed error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching following feed'
+    });
+  }
+});
+
+// @route   GET /api/feed/feedback
+// @desc    Get the reels, categories and creators the user asked not to see
+// @access  Private
+router.get('/feedback', authenticateToken, async (req, res) => {
+  try {
+    const feedback = await FeedFeedback.find({ user: req.user._id })
+      .populate('reel', 'title thumbnailUrl')
+      .populate('creator', 'username profilePicture isVerified')
+      .populate('category', 'name slug')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { feedback }
+    });
+
+  } catch (error) {
+    console.error('Get feed feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching feed preferences'
+    });
+  }
+});
+
+// @route   POST /api/feed/feedback
+// @desc    Hide a reel, see fewer reels from its category or hide its creator
+// @access  Private
+router.post('/feedback', [
+  authenticateToken,
+  body('type').isIn(FeedFeedback.schema.path('type').enumValues).withMessage('Invalid feedback type'),
+  body('reelId').isMongoId().withMessage('Invalid reel ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, reelId } = req.body;
+
+    const reel = await Reel.findById(reelId).select('author category');
+    if (!reel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    if (reel.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot hide your own reels'
+      });
+    }
+
+    // Each choice is stored once; repeating it just returns the existing entry
+    let target;
+    switch (type) {
+      case 'hide_creator':
+        target = { creator: reel.author };
+        break;
+      case 'fewer_category':
+        target = { category: reel.category };
+        break;
+      default: // not_interested
+        target = { reel: reel._id };
+    }
+
+    const query = { user: req.user._id, type, ...target };
+    let feedback;
+    try {
+      feedback = await FeedFeedback.findOneAndUpdate(query, { $set: target }, { upsert: true, new: true });
+    } catch (error) {
+      // A concurrent request stored the same choice first
+      if (error.code !== 11000) {
+        throw error;
+      }
+      feedback = await FeedFeedback.findOne(query);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Feed preferences updated',
+      data: { feedback }
+    });
+
+  } catch (error) {
+    console.error('Add feed feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating feed preferences'
+    });
+  }
+});
+
+// @route   DELETE /api/feed/feedback/:id
+// @desc    Undo a feed preference
+// @access  Private
+router.delete('/feedback/:id', [
+  authenticateToken,
+  param('id').isMongoId().withMessage('Invalid feedback ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const feedback = await FeedFeedback.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed preference not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Feed preference removed'
+    });
+
+  } catch (error) {
+    console.error('Delete feed feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating feed preferences'
+    });
+  }
+});
+
+module.exports = router;
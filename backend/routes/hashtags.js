@@ -0,0 +1,248 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const Hashtag = require('../models/Hashtag');
+const ReelLike = require('../models/ReelLike');
+const WatchHistory = require('../models/WatchHistory');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getFeedExclusions, excludeFromFeed } = require('../utils/feedFeedback');
+const { normalizeTag, hashtagReelsFilter } = require('../utils/hashtags');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
+const { getListKey, getRankedPage, buildRankedPage } = require('../utils/rankedPages');
+
+const router = express.Router();
+
+const REEL_SORTS = {
+  top: { popularityScore: -1, createdAt: -1 },
+  recent: { createdAt: -1 }
+};
+
+// Listed reels with the tag that the viewer may see
+const tagReelsFilter = async (name, user) => {
+  const filter = { tags: name, ...hashtagReelsFilter() };
+  if (!user || !user.preferredCategories?.includes('NSFW')) {
+    filter.isNSFW = { $ne: true };
+  }
+  return excludeFromFeed(filter, await getFeedExclusions(user?._id));
+};
+
+const withViewerStats = async (reels, user) => {
+  const likedReelIds = await ReelLike.getLikedReelIds(user?._id, reels.map(reel => reel._id));
+  const resumePositions = await WatchHistory.getResumePositions(user?._id, reels.map(reel => reel._id));
+  return reels.map(reel => ({
+    ...reel,
+    commentsCount: reel.comments?.length || 0,
+    isLiked: likedReelIds.has(reel._id.toString()),
+    resumePosition: resumePositions.get(reel._id.toString()) || 0,
+    isSaved: user ? user.savedReels?.includes(reel._id) : false
+  }));
+};
+
+// @route   GET /api/hashtags/trending
+// @desc    Get hashtags picking up fastest right now
+// @access  Public
+router.get('/trending', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hashtags = await Hashtag.find({ velocity: { $gt: 0 }, reelsCount: { $gt: 0 } })
+      .sort({ velocity: -1, reelsCount: -1 })
+      .limit(getPageLimit(req.query.limit, 10))
+      .lean();
+
+    res.json({
+      success: true,
+      data: { hashtags }
+    });
+
+  } catch (error) {
+    console.error('Get trending hashtags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trending hashtags'
+    });
+  }
+});
+
+// @route   GET /api/hashtags/followed
+// @desc    Get hashtags the user follows
+// @access  Private
+router.get('/followed', authenticateToken, async (req, res) => {
+  try {
+    const hashtags = await Hashtag.find({ name: { $in: req.user.followedHashtags || [] } })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { hashtags }
+    });
+
+  } catch (error) {
+    console.error('Get followed hashtags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching followed hashtags'
+    });
+  }
+});
+
+// @route   GET /api/hashtags/:tag
+// @desc    Get a hashtag with its top reels
+// @access  Public (optional auth)
+router.get('/:tag', optionalAuth, async (req, res) => {
+  try {
+    const name = normalizeTag(req.params.tag);
+    const hashtag = await Hashtag.findOne({ name }).lean();
+
+    if (!hashtag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    const topReels = await Reel.find(await tagReelsFilter(name, req.user))
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(REEL_SORTS.top)
+      .limit(9)
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        hashtag: {
+          ...hashtag,
+          isFollowing: req.user?.followedHashtags?.includes(name) || false
+        },
+        topReels: await withViewerStats(topReels, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hashtag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching hashtag'
+    });
+  }
+});
+
+// @route   GET /api/hashtags/:tag/reels
+// @desc    Get reels with a hashtag, top or most recent first
+// @access  Public (optional auth)
+router.get('/:tag/reels', [
+  optionalAuth,
+  query('sort').optional().isIn(Object.keys(REEL_SORTS)).withMessage('Sort must be top or recent'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = getPageLimit(req.query.limit);
+    const name = normalizeTag(req.params.tag);
+    const sortBy = req.query.sort || 'recent';
+    const sort = REEL_SORTS[sortBy];
+    const filter = await tagReelsFilter(name, req.user);
+
+    // Top reels change order as they're watched, so they page through a saved ranking
+    const rankedPage = sortBy === 'top' ? await getRankedPage(filter, sort, req.query.cursor, limit, getListKey(req)) : null;
+    const page = rankedPage || applyCursor(filter, sort, req.query.cursor);
+    const reelsPage = await Reel.find(page.filter)
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(page.sort)
+      .limit(limit + 1)
+      .lean();
+    const { items: reels, pagination } = rankedPage
+      ? buildRankedPage(reelsPage, rankedPage)
+      : buildPage(reelsPage, limit, page.sort);
+
+    res.json({
+      success: true,
+      data: await withViewerStats(reels, req.user),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get hashtag reels error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching hashtag reels'
+    });
+  }
+});
+
+// @route   POST /api/hashtags/:tag/follow
+// @desc    Follow/Unfollow a hashtag
+// @access  Private
+router.post('/:tag/follow', authenticateToken, async (req, res) => {
+  try {
+    const name = normalizeTag(req.params.tag);
+    const hashtag = await Hashtag.findOne({ name });
+
+    if (!hashtag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    // Only count the change when the user's list actually changed, so
+    // repeated requests can't skew followersCount
+    const isFollowing = req.user.followedHashtags?.includes(name);
+    const result = isFollowing
+      ? await User.updateOne({ _id: req.user._id, followedHashtags: name }, { $pull: { followedHashtags: name } })
+      : await User.updateOne({ _id: req.user._id, followedHashtags: { $ne: name } }, { $addToSet: { followedHashtags: name } });
+
+    if (result.modifiedCount > 0) {
+      hashtag.followersCount = Math.max(hashtag.followersCount + (isFollowing ? -1 : 1), 0);
+      await Hashtag.updateOne({ _id: hashtag._id }, { $inc: { followersCount: isFollowing ? -1 : 1 } });
+    }
+
+    res.json({
+      success: true,
+      message: isFollowing ? 'Hashtag unfollowed' : 'Hashtag followed',
+      data: {
+        isFollowing: !isFollowing,
+        followersCount: hashtag.followersCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Follow hashtag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while following hashtag'
+    });
+  }
+});
+
+module.exports = router;
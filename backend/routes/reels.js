@@ -1,14 +1,43 @@
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { body, validationResult, query } = require('express-validator');
 const Reel = require('../models/Reel');
 const User = require('../models/User');
-const Category = require('../models/Category');
+const ReelLike = require('../models/ReelLike');
+const ReelShare = require('../models/ReelShare');
+const ReelView = require('../models/ReelView');
+const TrendingSnapshot = require('../models/TrendingSnapshot');
+const WatchHistory = require('../models/WatchHistory');
+const SimilarReels = require('../models/SimilarReels');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { uploadReel, uploadToCloudinary, deleteFromCloudinary, getOptimizedUrl } = require('../config/cloudinary');
-const { validateReelsBatch, markInvalidReelsInactive } = require('../utils/cloudinaryValidator');
+const { uploadReel } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+const { validateReelsBatch, markInvalidReelsInactive } = require('../utils/storageValidator');
+const { extractFrame } = require('../utils/thumbnails');
+const { REEL_VISIBILITIES, validateReelFields, createReelFromFile } = require('../utils/reelIngest');
+const { publishReel, validatePublishAt } = require('../utils/reelPublishing');
+const { getTrashRetentionDays, getPurgeDate, purgeReel } = require('../utils/reelCleanup');
+const { getPageLimit, encodeCursor, decodeCursor, applyCursor, buildPage } = require('../utils/pagination');
+const { getListKey, getRankedPage, buildRankedPage } = require('../utils/rankedPages');
+const { TRENDING_WINDOWS } = require('../utils/trending');
+const { getFeedExclusions, excludeFromFeed } = require('../utils/feedFeedback');
+const { getSimilarReels } = require('../utils/similarReels');
+const { parseSearchQuery, reelSearchFilter, hasReelQuery } = require('../utils/search');
+const { refreshHashtags } = require('../utils/hashtags');
+const { findCategory, getCategoryTreeIds, refreshCategoryCounts, isCategory } = require('../utils/categories');
 
 const router = express.Router();
 
+// How far back sortBy=popular looks; 'all' has no limit
+const POPULAR_WINDOWS = {
+  today: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
 // @route   POST /api/reels
 // @desc    Create a new reel
 // @access  Private
@@ -20,6 +49,9 @@ router.post('/', [
   console.log('Request size:', req.headers['content-length']);
   
   uploadReel(req, res, async (err) => {
+    // The uploaded video on disk, removed unless the processing job takes it over
+    let sourcePath = req.files?.video?.[0]?.path || null;
+
     if (err) {
       console.error('Multer upload error:', err);
       console.error('Error code:', err.code);
@@ -35,44 +67,11 @@ router.post('/', [
       console.log('Received req.body:', req.body);
       console.log('Received req.files:', req.files ? Object.keys(req.files) : 'none');
 
-      // Manual validation after multer processing
-      const { title, description = '', category, tags = [], isNSFW = false, duration } = req.body;
-
-      // Validate required fields
-      if (!title || title.trim().length === 0 || title.length > 100) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title must be between 1 and 100 characters'
-        });
-      }
-
-      if (!category) {
-        return res.status(400).json({
-          success: false,
-          message: 'Category is required'
-        });
-      }
-
-      const validCategories = ['Infotainment', 'Entertainment', 'News', 'Music', 'Dance', 'Makeup', 'Beauty', 'Edits', 'Comedy', 'Sports', 'Food', 'Travel', 'Education', 'Technology'];
-      if (!validCategories.includes(category)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category'
-        });
-      }
-
-      const numDuration = parseFloat(duration);
-      if (!duration || isNaN(numDuration) || numDuration <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Duration must be a positive number'
-        });
-      }
-
-      if (description && description.length > 500) {
+      const fieldError = await validateReelFields(req.body);
+      if (fieldError) {
         return res.status(400).json({
           success: false,
-          message: 'Description cannot exceed 500 characters'
+          message: fieldError
         });
       }
 
@@ -87,156 +86,38 @@ router.post('/', [
       const videoFile = req.files.video[0];
       const thumbnailFile = req.files.thumbnail ? req.files.thumbnail[0] : null;
 
-      // Convert FormData string values to proper types
-      const parsedDuration = parseFloat(duration) || 30;
-      const parsedIsNSFW = isNSFW === 'true' || isNSFW === true;
-
-      // Additional validation for converted values
-      if (isNaN(parsedDuration) || parsedDuration <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid duration value'
-        });
-      }
-
-      // Parse tags if they come as a string
-      let parsedTags = Array.isArray(tags) ? tags : [];
-      if (typeof tags === 'string') {
-        try {
-          parsedTags = JSON.parse(tags);
-        } catch (e) {
-          parsedTags = tags.split(',').map(tag => tag.trim());
-        }
-      }
-
-      // Upload video to Cloudinary
-      console.log('Uploading video to Cloudinary...');
-      console.log('Video file size:', videoFile.buffer.length, 'bytes');
-      
-      // Check if file size exceeds Cloudinary limits (typically 100MB for free accounts)
-      const fileSizeMB = videoFile.buffer.length / (1024 * 1024);
-      console.log('Video file size:', fileSizeMB.toFixed(2), 'MB');
-      
-      if (fileSizeMB > 100) {
-        console.warn('⚠️  File size exceeds typical Cloudinary free plan limits (100MB)');
-        console.warn('⚠️  Upload may fail due to Cloudinary account limits');
-      }
-      
-      let videoResult;
-      try {
-        videoResult = await uploadToCloudinary(
-          videoFile.buffer, 
-          'video', 
-          'shortzo/videos'
-        );
-        console.log('Video uploaded successfully:', videoResult.secure_url);
-      } catch (uploadError) {
-        console.error('Cloudinary upload failed:', uploadError);
-        
-        // Handle specific Cloudinary errors
-        if (uploadError.http_code === 413 || uploadError.http_code === 499) {
-          return res.status(413).json({
-            success: false,
-            message: `File too large for Cloudinary upload (${fileSizeMB.toFixed(1)}MB). Maximum file size supported is approximately 100MB on free plans. Please compress your video or upgrade your Cloudinary plan.`
-          });
-        }
-        
-        throw uploadError; // Re-throw other errors
-      }
-
-      // Upload thumbnail to Cloudinary (if provided)
-      let thumbnailResult = null;
-      if (thumbnailFile) {
-        console.log('Uploading thumbnail to Cloudinary...');
-        thumbnailResult = await uploadToCloudinary(
-          thumbnailFile.buffer, 
-          'image', 
-          'shortzo/thumbnails'
-        );
-      }
-
-      // Create reel object with Cloudinary URLs
-      const reelData = {
-        title,
-        description,
-        videoUrl: videoResult.secure_url,
-        cloudinaryVideoId: videoResult.public_id,
-        category,
-        tags: parsedTags.filter(tag => tag && tag.length > 0),
+      const reel = await createReelFromFile({
         author: req.user._id,
-        isNSFW: parsedIsNSFW,
-        duration: parsedDuration,
-        fileSize: videoResult.bytes,
-        views: [],
-        likes: [],
-        comments: []
-      };
-
-      if (thumbnailResult) {
-        reelData.thumbnailUrl = thumbnailResult.secure_url;
-        reelData.cloudinaryThumbnailId = thumbnailResult.public_id;
-      }
-
-      console.log('Creating new Reel document with data:', reelData);
-      const reel = new Reel(reelData);
-      console.log('Saving reel to database...');
-      await reel.save();
-      console.log('Reel saved successfully, ID:', reel._id);
-
-      // Update user's reels array
-      console.log('Updating user reels array...');
-      await User.findByIdAndUpdate(req.user._id, {
-        $push: { reels: reel._id }
+        fields: req.body,
+        videoPath: sourcePath,
+        videoFilename: videoFile.originalname,
+        thumbnailFile
       });
-      console.log('User reels array updated');
+      sourcePath = null; // Owned by the processing job now
 
-      // Update category reel count
-      console.log('Updating category reel count...');
-      await Category.findOneAndUpdate(
-        { name: category },
-        { $inc: { reelsCount: 1 } },
-        { upsert: true }
-      );
-      console.log('Category reel count updated');
-
-      // Populate author info for response
-      console.log('Populating author info...');
-      const populatedReel = await Reel.findById(reel._id).populate('author', 'username profilePicture isVerified');
-      console.log('Author info populated');
-
-      console.log('Sending success response...');
       res.status(201).json({
         success: true,
         message: 'Reel uploaded successfully!',
-        data: { reel: populatedReel }
+        data: { reel }
       });
 
     } catch (error) {
-      console.error('Create reel error:', error);
-      console.error('Error message:', error.message);
-      console.error('Error stack:', error.stack);
-      
-      // If there was an error after uploading to Cloudinary, try to clean up
-      if (error.videoResult?.public_id) {
-        try {
-          await deleteFromCloudinary(error.videoResult.public_id, 'video');
-        } catch (cleanupError) {
-          console.error('Failed to cleanup video from Cloudinary:', cleanupError);
-        }
-      }
-      
-      if (error.thumbnailResult?.public_id) {
-        try {
-          await deleteFromCloudinary(error.thumbnailResult.public_id, 'image');
-        } catch (cleanupError) {
-          console.error('Failed to cleanup thumbnail from Cloudinary:', cleanupError);
-        }
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
       }
 
+      console.error('Create reel error:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error during reel creation'
       });
+    } finally {
+      if (sourcePath) {
+        await fs.promises.rm(sourcePath, { force: true });
+      }
     }
   });
 });
@@ -246,11 +127,12 @@ router.post('/', [
 // @access  Public (optional auth)
 router.get('/', [
   optionalAuth,
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('category').optional().isString().withMessage('Category must be a string'),
   query('tags').optional().isString().withMessage('Tags must be a string'),
   query('sortBy').optional().isIn(['newest', 'oldest', 'trending', 'popular']).withMessage('Invalid sort option'),
+  query('window').optional().isIn(Object.keys(POPULAR_WINDOWS)).withMessage('Window must be today, week, month or all'),
   query('showNSFW').optional().isIn(['true', 'false']).withMessage('showNSFW must be true or false')
 ], async (req, res) => {
   try {
@@ -265,10 +147,8 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const { category, tags, sortBy = 'newest', search, userId } = req.query;
+    const limit = getPageLimit(req.query.limit);
+    const { category, tags, sortBy = 'newest', search, userId, cursor, window = 'all' } = req.query;
 
     // Build filter object
     let filter = { isActive: true, isApproved: true };
@@ -278,6 +158,11 @@ router.get('/', [
       filter.author = userId;
     }
 
+    // Private and unlisted reels stay out of listings, except in the author's own reels.
+    // Drafts and scheduled reels have their own listing (GET /api/reels/drafts).
+    const isOwnReels = userId && req.user && req.user._id.toString() === userId;
+    Object.assign(filter, isOwnReels ? Reel.publishedFilter() : Reel.listedFilter());
+
     // Filter out NSFW content for non-authenticated users or users who haven't opted in
     if (!req.user || !req.user.preferredCategories?.includes('NSFW')) {
       filter.isNSFW = { $ne: true };
@@ -285,8 +170,17 @@ router.get('/', [
 
     console.log('Built filter:', filter, 'User:', req.user ? req.user.username : 'No user');
 
+    // Categories can be given by id, slug or name
     if (category) {
-      filter.category = category;
+      const selectedCategory = await findCategory(category);
+      if (!selectedCategory) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      // Subcategories are part of their parent
+      filter.category = { $in: await getCategoryTreeIds(selectedCategory._id) };
     }
 
     if (tags) {
@@ -294,12 +188,18 @@ router.get('/', [
       filter.tags = { $in: tagArray };
     }
 
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    // Same query syntax as /api/search, matched with the text index. A search
+    // for @usernames alone has no reels to match; users are found through /api/search.
+    const parsedSearch = parseSearchQuery(search);
+    if (hasReelQuery(parsedSearch)) {
+      filter = { $and: [filter, reelSearchFilter(parsedSearch)] };
+    } else if (search?.trim()) {
+      return res.json({
+        success: true,
+        message: 'Reels fetched successfully',
+        data: [],
+        pagination: { limit, hasMore: false, nextCursor: null }
+      });
     }
 
     // Build sort object
@@ -309,87 +209,95 @@ router.get('/', [
         sort = { createdAt: 1 };
         break;
       case 'trending':
-        sort = { isTrending: -1, createdAt: -1 };
+        sort = { trendingScore: -1, createdAt: -1 }; // Trending reels have the highest scores
         break;
       case 'popular':
-        sort = { createdAt: -1 }; // For now, sort by newest since we need aggregation for proper popularity sorting
+        // Most engaging reels posted within the window
+        sort = { popularityScore: -1, createdAt: -1 };
+        if (POPULAR_WINDOWS[window]) {
+          filter.createdAt = { $gte: new Date(Date.now() - POPULAR_WINDOWS[window]) };
+        }
         break;
       default: // newest
         sort = { createdAt: -1 };
     }
 
-    const reels = await Reel.find(filter)
+    // Leave out what the viewer asked not to see, except on a creator's own
+    // profile. Browsing a category on purpose still shows it.
+    if (!userId) {
+      const exclusions = await getFeedExclusions(req.user?._id);
+      filter = excludeFromFeed(filter, exclusions, { keepCategories: !!category });
+    }
+
+    // Scores change as reels are watched, so those sorts page through a saved ranking
+    const rankedPage = ['popular', 'trending'].includes(sortBy)
+      ? await getRankedPage(filter, sort, cursor, limit, getListKey(req))
+      : null;
+    const page = rankedPage || applyCursor(filter, sort, cursor);
+    const reelsPage = await Reel.find(page.filter)
       .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
       .populate('comments', null, null, { limit: 3, populate: { path: 'author', select: 'username profilePicture' } })
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
+      .sort(page.sort)
+      .limit(limit + 1)
       .lean();
+    const { items: reels, pagination } = rankedPage
+      ? buildRankedPage(reelsPage, rankedPage)
+      : buildPage(reelsPage, limit, page.sort);
 
     console.log('Database query result:', {
       filter,
       foundReelsCount: reels.length,
-      totalReelsInDB: await Reel.countDocuments(),
-      firstReelAuthor: reels[0]?.author,
-      firstReelAuthorId: reels[0]?.author?._id || reels[0]?.author
+      hasMore: pagination.hasMore
     });
 
-    // Validate Cloudinary videos exist (only for first few requests per hour to avoid API limits)
+    // Validate videos exist in storage (only for first few requests per hour to avoid API limits)
     let validatedReels = reels;
     const shouldValidate = Math.random() < 0.1; // 10% chance to validate per request
     
     if (shouldValidate && reels.length > 0) {
-      console.log('🔍 Validating Cloudinary videos for reels...');
+      console.log('🔍 Validating reel videos in storage...');
       const { validReels, invalidReelIds } = await validateReelsBatch(reels, 5, 200);
       
       if (invalidReelIds.length > 0) {
-        console.log(`⚠️  Found ${invalidReelIds.length} reels with missing Cloudinary videos`);
+        console.log(`⚠️  Found ${invalidReelIds.length} reels with missing videos`);
         await markInvalidReelsInactive(invalidReelIds);
         validatedReels = validReels;
       }
     }
 
-    // Add engagement stats and user interaction status
-    const reelsWithStats = validatedReels.map(reel => {
-      const reelData = {
-        ...reel,
-        likesCount: reel.likes?.length || 0,
-        commentsCount: reel.comments?.length || 0,
-        sharesCount: reel.shares?.length || 0,
-        viewsCount: reel.views?.length || 0,
-        isLiked: req.user ? reel.likes?.some(like => like.user.toString() === req.user._id.toString()) : false,
-        isSaved: req.user ? req.user.savedReels?.includes(reel._id) : false
-      };
-
-      // Remove the full arrays to reduce payload size
-      delete reelData.likes;
-      delete reelData.shares;
-      delete reelData.views;
-      
-      return reelData;
-    });
-
-    const totalReels = await Reel.countDocuments(filter);
+    // Add comment counts and user interaction status
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user?._id, validatedReels.map(reel => reel._id));
+    const resumePositions = await WatchHistory.getResumePositions(req.user?._id, validatedReels.map(reel => reel._id));
+    const reelsWithStats = validatedReels.map(reel => ({
+      ...reel,
+      commentsCount: reel.comments?.length || 0,
+      isLiked: likedReelIds.has(reel._id.toString()),
+      resumePosition: resumePositions.get(reel._id.toString()) || 0,
+      isSaved: req.user ? req.user.savedReels?.includes(reel._id) : false
+    }));
 
     console.log('Sending response to frontend:', {
       reelsCount: reelsWithStats.length,
-      firstReelTitle: reelsWithStats[0]?.title,
-      totalReels
+      firstReelTitle: reelsWithStats[0]?.title
     });
 
     res.json({
       success: true,
       message: 'Reels fetched successfully',
       data: reelsWithStats,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalReels / limit),
-        totalReels,
-      },
+      pagination
     });
 
   } catch (error) {
     console.error('Get reels error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching reels'
@@ -398,41 +306,111 @@ router.get('/', [
 });
 
 // @route   GET /api/reels/trending
-// @desc    Get trending reels
+// @desc    Get trending reels for a time window (today, week or month)
 // @access  Public (optional auth)
-router.get('/trending', optionalAuth, async (req, res) => {
+router.get('/trending', [
+  optionalAuth,
+  query('window').optional().isIn(Object.keys(TRENDING_WINDOWS)).withMessage('Window must be today, week or month'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-
-    let filter = { isActive: true, isApproved: true, isTrending: true };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Filter NSFW content
-    if (!req.user || !req.user.preferredCategories?.includes('NSFW')) {
-      filter.isNSFW = { $ne: true };
+    const limit = getPageLimit(req.query.limit);
+    const { window = 'today', cursor } = req.query;
+
+    // Later pages keep reading the snapshot the first page came from, so a
+    // recompute in between doesn't reshuffle the list
+    const cursorSort = { snapshot: 1, rank: 1 };
+    let snapshot;
+    let afterRank = 0;
+    if (cursor) {
+      const [snapshotId, rank] = decodeCursor(cursor, cursorSort);
+      snapshot = await TrendingSnapshot.findOne({ _id: snapshotId, window });
+      if (!snapshot) {
+        return res.status(400).json({
+          success: false,
+          message: 'Trending list has changed, start from the first page'
+        });
+      }
+      afterRank = rank;
+    } else {
+      snapshot = await TrendingSnapshot.getLatest(window);
     }
 
-    const trendingReels = await Reel.find(filter)
+    // Filter NSFW content and what the viewer asked not to see
+    const showNSFW = req.user?.preferredCategories?.includes('NSFW');
+    const exclusions = await getFeedExclusions(req.user?._id);
+    const hiddenReelIds = new Set(exclusions.reelIds.map(id => id.toString()));
+    const fewerCategoryIds = new Set(exclusions.categories.map(id => id.toString()));
+    const entries = (snapshot?.entries || [])
+      .filter(entry => entry.rank > afterRank && (showNSFW || !entry.isNSFW))
+      .filter(entry => !hiddenReelIds.has(entry.reel.toString()) && !fewerCategoryIds.has(entry.category?.toString()))
+      .slice(0, limit + 1);
+    const hasMore = entries.length > limit;
+    const pageEntries = entries.slice(0, limit);
+
+    // Reels deleted or hidden since the snapshot was taken are left out
+    const reels = await Reel.find(excludeFromFeed({
+      _id: { $in: pageEntries.map(entry => entry.reel) },
+      isActive: true,
+      isApproved: true,
+      deletedAt: null,
+      ...Reel.listedFilter()
+    }, exclusions))
       .populate('author', 'username profilePicture isVerified')
-      .sort({ createdAt: -1 })
-      .limit(limit)
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
       .lean();
+    const reelsById = new Map(reels.map(reel => [reel._id.toString(), reel]));
+
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user?._id, reels.map(reel => reel._id));
+    const resumePositions = await WatchHistory.getResumePositions(req.user?._id, reels.map(reel => reel._id));
+    const reelsWithStats = pageEntries
+      .filter(entry => reelsById.has(entry.reel.toString()))
+      .map(entry => {
+        const reel = reelsById.get(entry.reel.toString());
+        return {
+          ...reel,
+          commentsCount: reel.comments?.length || 0,
+          isLiked: likedReelIds.has(reel._id.toString()),
+          resumePosition: resumePositions.get(reel._id.toString()) || 0,
+          trendingRank: entry.rank
+        };
+      });
 
-    const reelsWithStats = trendingReels.map(reel => ({
-      ...reel,
-      likesCount: reel.likes?.length || 0,
-      commentsCount: reel.comments?.length || 0,
-      sharesCount: reel.shares?.length || 0,
-      viewsCount: reel.views?.length || 0,
-      isLiked: req.user ? reel.likes?.some(like => like.user.toString() === req.user._id.toString()) : false
-    }));
+    const lastEntry = pageEntries[pageEntries.length - 1];
 
     res.json({
       success: true,
-      data: { reels: reelsWithStats }
+      data: {
+        reels: reelsWithStats,
+        window,
+        computedAt: snapshot?.computedAt || null
+      },
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ snapshot: snapshot._id, rank: lastEntry.rank }, cursorSort) : null
+      }
     });
 
   } catch (error) {
     console.error('Get trending reels error:', error);
+    if (error.name === 'CursorError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching trending reels'
@@ -440,6 +418,68 @@ router.get('/trending', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reels/drafts
+// @desc    Get the current user's drafts and scheduled reels
+// @access  Private
+router.get('/drafts', authenticateToken, async (req, res) => {
+  try {
+    const reels = await Reel.find({
+      author: req.user._id,
+      status: { $in: ['draft', 'scheduled'] },
+      isActive: true,
+      deletedAt: null
+    })
+      .select('title description thumbnailUrl previewUrl category visibility status publishAt duration processingStatus createdAt updatedAt')
+      .populate('category', 'name slug')
+      .sort({ status: -1, publishAt: 1, updatedAt: -1 }) // Scheduled first, soonest on top
+      .lean();
+
+    res.json({
+      success: true,
+      data: { reels }
+    });
+
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching drafts'
+    });
+  }
+});
+
+// @route   GET /api/reels/trash
+// @desc    Get the current user's deleted reels that can still be restored
+// @access  Private
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const reels = await Reel.find({
+      author: req.user._id,
+      deletedAt: { $ne: null },
+      deletedBy: req.user._id
+    })
+      .select('title thumbnailUrl category visibility status duration deletedAt')
+      .populate('category', 'name slug')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        reels: reels.map(reel => ({ ...reel, purgeAt: getPurgeDate(reel) })),
+        retentionDays: getTrashRetentionDays()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
 // @route   GET /api/reels/:id
 // @desc    Get single reel by ID
 // @access  Public (optional auth)
@@ -447,6 +487,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const reel = await Reel.findById(req.params.id)
       .populate('author', 'username profilePicture isVerified bio followersCount')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
       .populate({
         path: 'comments',
         populate: {
@@ -463,36 +505,25 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if reel is active and approved
-    if (!reel.isActive || !reel.isApproved) {
+    // Check if reel is active and approved, and not someone else's private reel
+    if (!reel.isActive || !reel.isApproved || !reel.isViewableBy(req.user?._id)) {
       return res.status(404).json({
         success: false,
         message: 'Reel not available'
       });
     }
 
-    // Add view if user is authenticated
-    if (req.user) {
-      reel.addView(req.user._id);
-      await reel.save();
-    }
-
     // Prepare response data
+    const isLiked = req.user ? !!(await ReelLike.exists({ reel: reel._id, user: req.user._id })) : false;
+    const resumePositions = await WatchHistory.getResumePositions(req.user?._id, [reel._id]);
     const reelData = {
       ...reel.toObject(),
-      likesCount: reel.likes.length,
       commentsCount: reel.comments.length,
-      sharesCount: reel.shares.length,
-      viewsCount: reel.views.length,
-      isLiked: req.user ? reel.likes.some(like => like.user.toString() === req.user._id.toString()) : false,
+      isLiked,
+      resumePosition: resumePositions.get(reel._id.toString()) || 0,
       isSaved: req.user ? req.user.savedReels?.includes(reel._id) : false
     };
 
-    // Remove full arrays to reduce payload
-    delete reelData.likes;
-    delete reelData.shares;
-    delete reelData.views;
-
     res.json({
       success: true,
       data: { reel: reelData }
@@ -513,6 +544,91 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reels/:id/similar
+// @desc    Get reels similar to this one, to suggest what to watch next
+// @access  Public (optional auth)
+router.get('/:id/similar', [
+  optionalAuth,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = getPageLimit(req.query.limit, 10);
+
+    const reel = await Reel.findById(req.params.id).select('author category tags likesCount popularityScore isActive isApproved visibility status deletedAt');
+
+    if (!reel || !reel.isActive || !reel.isApproved || !reel.isViewableBy(req.user?._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    const ranked = await getSimilarReels(reel);
+
+    // The cached ranking is the same for everyone; drop what this viewer
+    // shouldn't or doesn't want to see, and reels hidden since it was computed
+    const filter = {
+      _id: { $in: ranked.map(entry => entry.reel) },
+      isActive: true,
+      isApproved: true,
+      deletedAt: null,
+      ...Reel.listedFilter()
+    };
+    if (!req.user || !req.user.preferredCategories?.includes('NSFW')) {
+      filter.isNSFW = { $ne: true };
+    }
+    const exclusions = await getFeedExclusions(req.user?._id);
+
+    const reels = await Reel.find(excludeFromFeed(filter, exclusions))
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .lean();
+    const reelsById = new Map(reels.map(similar => [similar._id.toString(), similar]));
+    const pageReels = ranked
+      .filter(entry => reelsById.has(entry.reel.toString()))
+      .slice(0, limit)
+      .map(entry => reelsById.get(entry.reel.toString()));
+
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user?._id, pageReels.map(similar => similar._id));
+    const resumePositions = await WatchHistory.getResumePositions(req.user?._id, pageReels.map(similar => similar._id));
+    const reelsWithStats = pageReels.map(similar => ({
+      ...similar,
+      commentsCount: similar.comments?.length || 0,
+      isLiked: likedReelIds.has(similar._id.toString()),
+      resumePosition: resumePositions.get(similar._id.toString()) || 0,
+      isSaved: req.user ? req.user.savedReels?.includes(similar._id) : false
+    }));
+
+    res.json({
+      success: true,
+      data: { reels: reelsWithStats }
+    });
+
+  } catch (error) {
+    console.error('Get similar reels error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reel ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching similar reels'
+    });
+  }
+});
+
 // @route   POST /api/reels/:id/like
 // @desc    Like/Unlike a reel
 // @access  Private
@@ -520,15 +636,15 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
     const reel = await Reel.findById(req.params.id);
     
-    if (!reel) {
+    if (!reel || !reel.isViewableBy(req.user._id)) {
       return res.status(404).json({
         success: false,
         message: 'Reel not found'
       });
     }
 
-    const liked = reel.addLike(req.user._id);
-    await reel.save();
+    const liked = await ReelLike.toggleLike(reel._id, req.user._id);
+    const { likesCount } = await Reel.findById(reel._id).select('likesCount').lean();
 
     // Update user's liked reels
     if (liked) {
@@ -546,7 +662,7 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
       message: liked ? 'Reel liked' : 'Reel unliked',
       data: {
         liked,
-        likesCount: reel.likes.length
+        likesCount
       }
     });
 
@@ -571,7 +687,7 @@ router.post('/:id/share', [
     
     const reel = await Reel.findById(req.params.id);
     
-    if (!reel) {
+    if (!reel || !reel.isViewableBy(req.user._id)) {
       return res.status(404).json({
         success: false,
         message: 'Reel not found'
@@ -579,18 +695,22 @@ router.post('/:id/share', [
     }
 
     // Add share record
-    reel.shares.push({
+    await ReelShare.create({
+      reel: reel._id,
       user: req.user._id,
       platform
     });
-    
-    await reel.save();
+    const { sharesCount } = await Reel.findByIdAndUpdate(
+      reel._id,
+      { $inc: Reel.engagementInc({ shares: 1 }) },
+      { new: true }
+    ).select('sharesCount').lean();
 
     res.json({
       success: true,
       message: 'Reel shared successfully',
       data: {
-        sharesCount: reel.shares.length,
+        sharesCount,
         shareUrl: `${req.protocol}://${req.get('host')}/reel/${reel._id}`
       }
     });
@@ -604,16 +724,16 @@ router.post('/:id/share', [
   }
 });
 
-// @route   PUT /api/reels/:id
-// @desc    Update a reel
-// @access  Private (author only)
-router.put('/:id', [
-  authenticateToken,
-  body('title').optional().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
-  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
-  body('category').optional().isIn(['Infotainment', 'Entertainment', 'News', 'Music', 'Dance', 'Makeup', 'Beauty', 'Edits', 'Comedy', 'Sports', 'Food', 'Travel', 'Education', 'Technology']).withMessage('Invalid category'),
-  body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('isNSFW').optional().isBoolean().withMessage('isNSFW must be a boolean')
+// @route   POST /api/reels/:id/view
+// @desc    Record a view with watch time, completion and loop count, and the viewer's position
+// @access  Public (optional auth, anonymous viewers need a sessionId)
+router.post('/:id/view', [
+  optionalAuth,
+  body('watchTime').optional().isFloat({ min: 0 }).withMessage('Watch time must be a non-negative number'),
+  body('completionRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Completion rate must be between 0 and 100'),
+  body('loops').optional().isInt({ min: 0 }).withMessage('Loops must be a non-negative integer'),
+  body('position').optional().isFloat({ min: 0 }).withMessage('Position must be a non-negative number'),
+  body('sessionId').optional().isString().isLength({ min: 8, max: 100 }).withMessage('Session ID must be between 8 and 100 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -625,57 +745,500 @@ router.put('/:id', [
       });
     }
 
-    const reel = await Reel.findById(req.params.id);
-    
-    if (!reel) {
-      return res.status(404).json({
+    const sessionId = req.body.sessionId || req.headers['x-session-id'];
+
+    if (!req.user && !sessionId) {
+      return res.status(400).json({
         success: false,
-        message: 'Reel not found'
+        message: 'Session ID is required for anonymous views'
       });
     }
 
-    // Check if user is the author
-    if (reel.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || !reel.isActive || !reel.isApproved || !reel.isViewableBy(req.user?._id)) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to update this reel'
+        message: 'Reel not found'
       });
     }
 
-    // Update allowed fields
-    const allowedUpdates = ['title', 'description', 'category', 'tags', 'isNSFW'];
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        reel[field] = req.body[field];
-      }
-    });
+    const loops = parseInt(req.body.loops) || 0;
+    const completionRate = loops > 0 ? 100 : parseFloat(req.body.completionRate) || 0;
 
-    await reel.save();
-    await reel.populate('author', 'username profilePicture isVerified');
+    // Watch time can't exceed what the reported loops allow
+    const maxWatchTime = reel.duration * (loops + 1);
+    const watchTime = Math.min(parseFloat(req.body.watchTime) || 0, maxWatchTime);
+
+    const counted = await ReelView.recordView(
+      reel._id,
+      { userId: req.user?._id, sessionId },
+      { watchTime, completionRate, loops }
+    );
+    const { viewsCount } = await Reel.findById(reel._id).select('viewsCount').lean();
+
+    // Remember where the viewer left off, unless they paused their history
+    if (req.user && !req.user.watchHistoryPaused) {
+      await WatchHistory.record(req.user._id, reel, {
+        position: parseFloat(req.body.position) || 0,
+        completionRate,
+        loops
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Reel updated successfully',
-      data: { reel }
+      message: counted ? 'View recorded' : 'View updated',
+      data: {
+        counted,
+        viewsCount
+      }
     });
 
   } catch (error) {
-    console.error('Update reel error:', error);
+    console.error('Record view error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reel ID'
+      });
+    }
     res.status(500).json({
       success: false,
-      message: 'Server error while updating reel'
+      message: 'Server error while recording view'
     });
   }
 });
 
-// @route   DELETE /api/reels/:id
-// @desc    Delete a reel
-// @access  Private (author only)
+// @route   POST /api/reels/:id/report
+// @desc    Report a reel
+// @access  Private
+router.post('/:id/report', [
+  authenticateToken,
+  body('reason').isIn(['spam', 'inappropriate', 'copyright', 'violence', 'harassment', 'misinformation', 'other']).withMessage('Invalid report reason'),
+  body('description').optional().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || !reel.isActive || !reel.isViewableBy(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    const { reason, description } = req.body;
+
+    // Check if user already reported this reel
+    const existingReport = reel.reports.find(
+      report => report.user.toString() === req.user._id.toString()
+    );
+
+    if (existingReport) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this reel'
+      });
+    }
+
+    // Add report
+    reel.reports.push({
+      user: req.user._id,
+      reason,
+      description
+    });
+
+    // Hide the reel pending moderation once enough users have reported it
+    const reportThreshold = parseInt(process.env.REEL_REPORT_THRESHOLD) || 5;
+    const autoHide = reel.getOpenReports().length >= reportThreshold && reel.isApproved;
+    if (autoHide) {
+      reel.isApproved = false;
+      reel.autoHiddenAt = new Date();
+    }
+
+    await reel.save();
+    if (autoHide) {
+      await refreshCategoryCounts([reel.category]);
+      await refreshHashtags(reel.tags);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reel reported successfully'
+    });
+
+  } catch (error) {
+    console.error('Report reel error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reel ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting reel'
+    });
+  }
+});
+
+// @route   DELETE /api/reels/:id/mentions
+// @desc    Remove your @mention tag from a reel
+// @access  Private
+router.delete('/:id/mentions', authenticateToken, async (req, res) => {
+  try {
+    // Remembered in removedMentions so editing the text doesn't tag the user again
+    const result = await Reel.updateOne(
+      { _id: req.params.id, mentions: req.user._id },
+      {
+        $pull: { mentions: req.user._id },
+        $addToSet: { removedMentions: req.user._id }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not tagged in this reel'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag removed'
+    });
+
+  } catch (error) {
+    console.error('Remove mention error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reel ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing tag'
+    });
+  }
+});
+
+// @route   PUT /api/reels/:id/thumbnail
+// @desc    Replace the thumbnail with the video frame at a timestamp
+// @access  Private (author only)
+router.put('/:id/thumbnail', [
+  authenticateToken,
+  body('timestamp').isFloat({ min: 0 }).withMessage('Timestamp must be a non-negative number')
+], async (req, res) => {
+  const workDir = path.join(os.tmpdir(), `shortzo-thumb-${Date.now()}-${Math.round(Math.random() * 1E9)}`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || reel.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    // Check if user is the author
+    if (reel.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this reel'
+      });
+    }
+
+    const timestamp = parseFloat(req.body.timestamp);
+    if (timestamp > reel.duration) {
+      return res.status(400).json({
+        success: false,
+        message: `Timestamp must be within the video duration (${reel.duration}s)`
+      });
+    }
+
+    const storage = getStorage(reel.storageProvider);
+
+    // Work from a local copy of the video
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const sourcePath = path.join(workDir, 'source');
+    const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+    await storage.download(reel.cloudinaryVideoId, sourcePath, 'video');
+    await extractFrame(sourcePath, thumbnailPath, timestamp);
+
+    const thumbnailResult = await storage.upload(await fs.promises.readFile(thumbnailPath), {
+      resourceType: 'image',
+      folder: 'thumbnails',
+      filename: 'thumbnail.jpg'
+    });
+
+    const previousThumbnailId = reel.cloudinaryThumbnailId;
+
+    reel.thumbnailUrl = thumbnailResult.url;
+    reel.cloudinaryThumbnailId = thumbnailResult.id;
+    reel.thumbnailTimestamp = timestamp;
+    await reel.save();
+
+    if (previousThumbnailId) {
+      try {
+        await storage.remove(previousThumbnailId, 'image');
+      } catch (storageError) {
+        console.error('Failed to delete previous thumbnail:', storageError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Thumbnail updated successfully',
+      data: {
+        thumbnailUrl: reel.thumbnailUrl,
+        thumbnailTimestamp: reel.thumbnailTimestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Update thumbnail error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reel ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating thumbnail'
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+});
+
+// @route   POST /api/reels/:id/publish
+// @desc    Publish a draft or scheduled reel now, or schedule it for publishAt
+// @access  Private (author only)
+router.post('/:id/publish', [
+  authenticateToken,
+  body('publishAt').optional({ nullable: true }).isISO8601().withMessage('Publish time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || !reel.isActive || reel.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    if (reel.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish this reel'
+      });
+    }
+
+    if (reel.isPublished()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reel is already published'
+      });
+    }
+
+    const { publishAt } = req.body;
+    const publishAtError = validatePublishAt(publishAt);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: publishAtError
+      });
+    }
+
+    if (publishAt && new Date(publishAt) > new Date()) {
+      reel.status = 'scheduled';
+      reel.publishAt = new Date(publishAt);
+      await reel.save();
+
+      return res.json({
+        success: true,
+        message: 'Reel scheduled successfully',
+        data: { status: reel.status, publishAt: reel.publishAt }
+      });
+    }
+
+    await publishReel(reel);
+
+    res.json({
+      success: true,
+      message: 'Reel published successfully',
+      data: { status: 'published' }
+    });
+
+  } catch (error) {
+    console.error('Publish reel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while publishing reel'
+    });
+  }
+});
+
+// @route   POST /api/reels/:id/unschedule
+// @desc    Move a scheduled reel back to drafts
+// @access  Private (author only)
+router.post('/:id/unschedule', authenticateToken, async (req, res) => {
+  try {
+    const reel = await Reel.findOneAndUpdate(
+      { _id: req.params.id, author: req.user._id, status: 'scheduled', deletedAt: null },
+      { $set: { status: 'draft' }, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+
+    if (!reel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled reel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reel moved to drafts',
+      data: { status: reel.status }
+    });
+
+  } catch (error) {
+    console.error('Unschedule reel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unscheduling reel'
+    });
+  }
+});
+
+// @route   PUT /api/reels/:id
+// @desc    Update a reel
+// @access  Private (author only)
+router.put('/:id', [
+  authenticateToken,
+  body('title').optional().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('category').optional().custom(isCategory),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('isNSFW').optional().isBoolean().withMessage('isNSFW must be a boolean'),
+  body('visibility').optional().isIn(REEL_VISIBILITIES).withMessage('Visibility must be public, private or unlisted')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reel = await Reel.findById(req.params.id);
+    
+    if (!reel || reel.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found'
+      });
+    }
+
+    // Check if user is the author
+    if (reel.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this reel'
+      });
+    }
+
+    // Update allowed fields
+    const previousTags = [...reel.tags];
+    const previousCategory = reel.category;
+    const allowedUpdates = ['title', 'description', 'tags', 'isNSFW', 'visibility'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        reel[field] = req.body[field];
+      }
+    });
+    // Validated above; it can be given by id, slug or name
+    if (req.body.category !== undefined) {
+      reel.category = (await findCategory(req.body.category))._id;
+    }
+
+    // Similar reels are ranked on category and tags
+    const similarityChanged = reel.isModified('category') || reel.isModified('tags');
+    const category = reel.category;
+
+    await reel.save();
+    await reel.populate([
+      { path: 'author', select: 'username profilePicture isVerified' },
+      { path: 'mentions', select: 'username' },
+      { path: 'category', select: 'name slug' }
+    ]);
+
+    if (similarityChanged) {
+      await SimilarReels.deleteOne({ reel: reel._id });
+    }
+    // Visibility decides whether the reel counts towards its category and hashtags
+    await refreshCategoryCounts([previousCategory, category]);
+    await refreshHashtags([...previousTags, ...reel.tags]);
+
+    res.json({
+      success: true,
+      message: 'Reel updated successfully',
+      data: { reel }
+    });
+
+  } catch (error) {
+    console.error('Update reel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reel'
+    });
+  }
+});
+
+// @route   DELETE /api/reels/:id
+// @desc    Move a reel to the trash (restorable until it's purged)
+// @access  Private (author or admin)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const reel = await Reel.findById(req.params.id);
     
-    if (!reel) {
+    // Reels taken down by moderation stay down; they can't be cycled through the trash
+    if (!reel || reel.deletedAt || !reel.isActive) {
       return res.status(404).json({
         success: false,
         message: 'Reel not found'
@@ -690,46 +1253,120 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    try {
-      // Delete video from Cloudinary
-      if (reel.cloudinaryVideoId) {
-        console.log('Deleting video from Cloudinary:', reel.cloudinaryVideoId);
-        await deleteFromCloudinary(reel.cloudinaryVideoId, 'video');
-      }
-      
-      // Delete thumbnail from Cloudinary if exists
-      if (reel.cloudinaryThumbnailId) {
-        console.log('Deleting thumbnail from Cloudinary:', reel.cloudinaryThumbnailId);
-        await deleteFromCloudinary(reel.cloudinaryThumbnailId, 'image');
-      }
-    } catch (cloudinaryError) {
-      console.error('Error deleting from Cloudinary:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary deletion fails
+    // Hidden everywhere right away; media and references are cleaned up when it's purged
+    reel.deletedAt = new Date();
+    reel.deletedBy = req.user._id;
+    await reel.save();
+    await refreshCategoryCounts([reel.category]);
+    await refreshHashtags(reel.tags);
+
+    res.json({
+      success: true,
+      message: 'Reel moved to trash',
+      data: { purgeAt: getPurgeDate(reel) }
+    });
+
+  } catch (error) {
+    console.error('Delete reel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting reel'
+    });
+  }
+});
+
+// @route   POST /api/reels/:id/restore
+// @desc    Restore a reel from the trash
+// @access  Private (author or admin)
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || !reel.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found in trash'
+      });
+    }
+
+    // Removed by moderation while it was in the trash
+    if (!reel.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This reel was removed and can\'t be restored'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const isAuthor = reel.author.toString() === req.user._id.toString();
+
+    // Authors can't bring back reels an admin deleted
+    if (!isAdmin && (!isAuthor || reel.deletedBy?.toString() !== req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this reel'
+      });
+    }
+
+    if (getPurgeDate(reel) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This reel is past the restore window'
+      });
     }
 
-    // Remove from user's reels array
-    await User.findByIdAndUpdate(reel.author, {
-      $pull: { reels: reel._id }
+    reel.deletedAt = undefined;
+    reel.deletedBy = undefined;
+    await reel.save();
+    await refreshCategoryCounts([reel.category]);
+    await refreshHashtags(reel.tags);
+
+    res.json({
+      success: true,
+      message: 'Reel restored'
     });
 
-    // Decrease category count
-    await Category.updateOne(
-      { name: reel.category },
-      { $inc: { reelsCount: -1 } }
-    );
+  } catch (error) {
+    console.error('Restore reel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring reel'
+    });
+  }
+});
+
+// @route   DELETE /api/reels/:id/permanent
+// @desc    Permanently delete a reel that's in the trash
+// @access  Private (author or admin)
+router.delete('/:id/permanent', authenticateToken, async (req, res) => {
+  try {
+    const reel = await Reel.findById(req.params.id);
+
+    if (!reel || !reel.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found in trash'
+      });
+    }
 
-    // Permanently delete from database (hard delete)
-    await Reel.findByIdAndDelete(req.params.id);
+    if (reel.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this reel'
+      });
+    }
 
-    console.log(`Successfully deleted reel: ${reel.title}`);
+    await purgeReel(reel);
+
+    console.log(`Permanently deleted reel: ${reel.title}`);
 
     res.json({
       success: true,
-      message: 'Reel deleted successfully from both database and cloud storage'
+      message: 'Reel permanently deleted'
     });
 
   } catch (error) {
-    console.error('Delete reel error:', error);
+    console.error('Permanent delete reel error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while deleting reel'
@@ -738,7 +1375,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/reels/cleanup-orphaned
-// @desc    Clean up reels with missing Cloudinary videos (Admin only)
+// @desc    Clean up reels whose videos are missing from storage (Admin only)
 // @access  Private/Admin
 router.post('/cleanup-orphaned', authenticateToken, async (req, res) => {
   try {
@@ -748,7 +1385,7 @@ router.post('/cleanup-orphaned', authenticateToken, async (req, res) => {
     console.log('🧹 Starting orphaned reels cleanup...');
     
     // Get all reels
-    const allReels = await Reel.find({}).select('title cloudinaryVideoId author category');
+    const allReels = await Reel.find({}).select('title cloudinaryVideoId storageProvider author category');
     
     if (allReels.length === 0) {
       return res.json({
@@ -766,7 +1403,7 @@ router.post('/cleanup-orphaned', authenticateToken, async (req, res) => {
     if (invalidReelIds.length === 0) {
       return res.json({
         success: true,
-        message: 'All reels have valid Cloudinary videos',
+        message: 'All reels have valid videos in storage',
         data: { cleaned: 0, total: allReels.length }
       });
     }
@@ -780,20 +1417,8 @@ router.post('/cleanup-orphaned', authenticateToken, async (req, res) => {
       try {
         const reel = await Reel.findById(reelId);
         if (reel) {
-          // Remove reel from user's reels array
-          await User.updateMany(
-            { reels: reelId },
-            { $pull: { reels: reelId } }
-          );
-
-          // Decrease category reel count
-          await Category.updateOne(
-            { name: reel.category },
-            { $inc: { reelsCount: -1 } }
-          );
-
-          // Delete the reel
-          await Reel.findByIdAndDelete(reelId);
+          // The video is already gone, but the thumbnail and other references may remain
+          await purgeReel(reel);
           cleanedCount++;
         }
       } catch (error) {
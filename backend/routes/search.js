@@ -0,0 +1,176 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const ReelLike = require('../models/ReelLike');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getFeedExclusions } = require('../utils/feedFeedback');
+const { getPageLimit } = require('../utils/pagination');
+const { getListKey, getRankingPage } = require('../utils/rankedPages');
+const {
+  parseSearchQuery,
+  hasReelQuery,
+  searchReels,
+  getSearchResults,
+  searchUsers,
+  searchHashtags,
+  searchCategories
+} = require('../utils/search');
+const { recordSearch, clearRecentSearches, getSuggestions } = require('../utils/searchSuggestions');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['all', 'reels', 'users', 'hashtags', 'categories'];
+
+// How many users, hashtags and categories to show next to the reels
+const SECTION_LIMIT = 5;
+
+// @route   GET /api/search
+// @desc    Search reels, users, hashtags and categories. Supports "exact phrases",
+//          #tags and @usernames; reels come with highlighted title and description.
+// @access  Public (optional auth)
+router.get('/', [
+  optionalAuth,
+  query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search query must be between 1 and 100 characters'),
+  query('type').optional().isIn(SEARCH_TYPES).withMessage(`Type must be one of ${SEARCH_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString().withMessage('Cursor must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, type = 'all', cursor } = req.query;
+    const limit = getPageLimit(req.query.limit);
+    const sectionLimit = type === 'all' ? SECTION_LIMIT : limit;
+    const wants = (section) => type === 'all' || type === section;
+
+    const parsed = parseSearchQuery(q);
+    const exclusions = await getFeedExclusions(req.user?._id);
+
+    // Feeds recent and trending search suggestions; a failure here shouldn't fail the search
+    if (!cursor) {
+      recordSearch(req.user?._id, q, req.headers['x-session-id']).catch(error => console.error('Record search error:', error));
+    }
+
+    // Scores change as reels are watched, so later pages of reels follow the
+    // order saved with the first page; only reels still matching are shown
+    const searchesReels = wants('reels') && hasReelQuery(parsed);
+    const [rankedReels, users, hashtags, categories] = await Promise.all([
+      searchesReels && !cursor ? searchReels(parsed, { user: req.user, exclusions }) : [],
+      wants('users') && !cursor ? searchUsers(parsed, { exclusions, limit: sectionLimit }) : [],
+      wants('hashtags') && !cursor ? searchHashtags(parsed, { limit: sectionLimit }) : [],
+      wants('categories') && !cursor ? searchCategories(parsed, { limit: sectionLimit }) : []
+    ]);
+
+    const { reelIds, pagination } = await getRankingPage(
+      cursor,
+      limit,
+      async () => ({ reelIds: rankedReels.map(({ reel }) => reel._id) }),
+      getListKey(req)
+    );
+    let pageItems;
+    if (cursor) {
+      pageItems = searchesReels ? await getSearchResults(parsed, reelIds, { user: req.user, exclusions }) : [];
+    } else {
+      const rankedById = new Map(rankedReels.map(item => [item.reel._id.toString(), item]));
+      pageItems = reelIds.map(id => rankedById.get(id.toString()));
+    }
+
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user?._id, pageItems.map(({ reel }) => reel._id));
+    const reels = pageItems.map(({ reel, score }) => ({
+      ...reel,
+      commentsCount: reel.comments?.length || 0,
+      isLiked: likedReelIds.has(reel._id.toString()),
+      isSaved: req.user ? req.user.savedReels?.includes(reel._id) : false,
+      searchScore: score
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        reels,
+        users,
+        hashtags,
+        categories
+      },
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching'
+    });
+  }
+});
+
+// @route   GET /api/search/suggest
+// @desc    Typeahead suggestions: usernames, hashtags and categories starting with q,
+//          plus the user's recent searches and trending queries
+// @access  Public (optional auth)
+router.get('/suggest', [
+  optionalAuth,
+  query('q').optional().isString().isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exclusions = await getFeedExclusions(req.user?._id);
+    const suggestions = await getSuggestions(req.query.q, { user: req.user, exclusions });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching search suggestions'
+    });
+  }
+});
+
+// @route   DELETE /api/search/recent
+// @desc    Clear the user's recent searches, or just the one given as q
+// @access  Private
+router.delete('/recent', authenticateToken, async (req, res) => {
+  try {
+    await clearRecentSearches(req.user._id, req.query.q);
+
+    res.json({
+      success: true,
+      message: req.query.q ? 'Search removed' : 'Recent searches cleared'
+    });
+
+  } catch (error) {
+    console.error('Clear recent searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing recent searches'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,397 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const UploadSession = require('../models/UploadSession');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadReelThumbnail, handleUploadError } = require('../middleware/upload');
+const { createReelFromFile } = require('../utils/reelIngest');
+const {
+  getUploadTempDir,
+  getUploadSessionTtl,
+  getMaxUploadSize,
+  syncSessionOffset,
+  appendChunk,
+  removeUploadFile
+} = require('../utils/uploadSessions');
+
+const router = express.Router();
+
+// Resumable reel uploads (tus-style): create a session, PATCH the file in chunks
+// with an Upload-Offset header, then complete the session into a reel. Chunks are
+// streamed to disk so a large video is never held in memory.
+
+// Sessions currently receiving a chunk, so parallel PATCHes can't interleave bytes
+const sessionsReceiving = new Set();
+
+const formatSession = (session) => ({
+  id: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
+const findActiveSession = (id, userId) => UploadSession.findOne({
+  _id: id,
+  user: userId,
+  status: 'active',
+  expiresAt: { $gt: new Date() }
+});
+
+// Sync the offset with the file on disk; a missing file means the session can't be resumed
+const loadSessionOffset = async (session, res) => {
+  const received = await syncSessionOffset(session);
+  if (received === null) {
+    session.status = 'aborted';
+    await session.save();
+    res.status(410).json({
+      success: false,
+      message: 'Upload data is no longer available. Please start the upload again.'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @route   POST /api/uploads
+// @desc    Start (or resume) a resumable video upload
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  body('filename').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Filename is required'),
+  body('size').isInt({ min: 1 }).withMessage('Size must be a positive integer'),
+  body('mimeType').matches(/^video\//).withMessage('Only video files are allowed'),
+  body('fingerprint').isString().isLength({ min: 1, max: 500 }).withMessage('Fingerprint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { filename, mimeType, fingerprint } = req.body;
+    const size = parseInt(req.body.size);
+
+    const maxSize = getMaxUploadSize();
+    if (size > maxSize) {
+      return res.status(413).json({
+        success: false,
+        message: `File too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))}MB.`
+      });
+    }
+
+    // Same file from the same user: carry on where the last attempt stopped
+    const existing = await UploadSession.findOne({
+      user: req.user._id,
+      fingerprint,
+      size,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (existing) {
+      const received = await syncSessionOffset(existing);
+      if (received !== null) {
+        return res.json({
+          success: true,
+          data: { upload: formatSession(existing) }
+        });
+      }
+
+      existing.status = 'aborted';
+      await existing.save();
+    }
+
+    const session = new UploadSession({
+      user: req.user._id,
+      filename,
+      mimeType,
+      size,
+      fingerprint,
+      tempPath: 'pending',
+      expiresAt: new Date(Date.now() + getUploadSessionTtl())
+    });
+    session.tempPath = path.join(getUploadTempDir(), `${session._id}.part`);
+
+    await fs.promises.mkdir(getUploadTempDir(), { recursive: true });
+    await fs.promises.writeFile(session.tempPath, '');
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      data: { upload: formatSession(session) }
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get an upload session's progress (HEAD returns just the Upload-Offset header)
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.id, req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found or expired'
+      });
+    }
+
+    if (!(await loadSessionOffset(session, res))) return;
+
+    res.set('Upload-Offset', String(session.offset));
+    res.set('Upload-Length', String(session.size));
+    res.json({
+      success: true,
+      data: { upload: formatSession(session) }
+    });
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   PATCH /api/uploads/:id
+// @desc    Append a chunk at the offset given in the Upload-Offset header
+// @access  Private
+router.patch('/:id', authenticateToken, async (req, res) => {
+  const sessionId = req.params.id;
+
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'));
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Upload-Offset header is required'
+      });
+    }
+
+    const session = await findActiveSession(sessionId, req.user._id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found or expired'
+      });
+    }
+
+    if (sessionsReceiving.has(sessionId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another chunk is still being received for this upload'
+      });
+    }
+    sessionsReceiving.add(sessionId);
+
+    try {
+      if (!(await loadSessionOffset(session, res))) return;
+
+      // The client is out of sync (e.g. a chunk was partially received), tell it where to continue
+      if (offset !== session.offset) {
+        res.set('Upload-Offset', String(session.offset));
+        return res.status(409).json({
+          success: false,
+          message: 'Upload offset mismatch',
+          data: { offset: session.offset }
+        });
+      }
+
+      const remaining = session.size - session.offset;
+      const contentLength = parseInt(req.get('Content-Length'));
+      if (contentLength > remaining) {
+        return res.status(413).json({
+          success: false,
+          message: 'Chunk exceeds the declared upload size'
+        });
+      }
+
+      let chunkError = null;
+      try {
+        await appendChunk(req, session.tempPath, remaining);
+      } catch (error) {
+        chunkError = error;
+      }
+
+      // Record whatever made it to disk, even when the connection dropped mid-chunk
+      await syncSessionOffset(session);
+      session.expiresAt = new Date(Date.now() + getUploadSessionTtl());
+      await session.save();
+
+      if (chunkError) {
+        if (chunkError.status) {
+          return res.status(chunkError.status).json({
+            success: false,
+            message: chunkError.message
+          });
+        }
+        throw chunkError;
+      }
+
+      res.set('Upload-Offset', String(session.offset));
+      res.json({
+        success: true,
+        data: { upload: formatSession(session) }
+      });
+    } finally {
+      sessionsReceiving.delete(sessionId);
+    }
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent && error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID'
+      });
+    }
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+});
+
+// @route   POST /api/uploads/:id/complete
+// @desc    Finish an upload and create the reel from it
+// @access  Private
+router.post('/:id/complete', [
+  authenticateToken,
+  uploadReelThumbnail,
+  handleUploadError
+], async (req, res) => {
+  // Claim the session so it can't be completed twice
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, status: 'active', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'completing' } },
+    { new: true }
+  ).catch(() => null);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found or expired'
+    });
+  }
+
+  try {
+    await syncSessionOffset(session);
+    if (session.offset !== session.size) {
+      session.status = 'active';
+      await session.save();
+      return res.status(400).json({
+        success: false,
+        message: `Upload is incomplete (${session.offset} of ${session.size} bytes received)`
+      });
+    }
+
+    const reel = await createReelFromFile({
+      author: req.user._id,
+      fields: req.body,
+      videoPath: session.tempPath,
+      videoFilename: session.filename,
+      thumbnailFile: req.file || null
+    });
+
+    session.status = 'completed';
+    session.reel = reel._id;
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Reel uploaded successfully!',
+      data: { reel }
+    });
+  } catch (error) {
+    // A video that can't become a reel is discarded, anything else can be retried
+    if (error.invalidVideo) {
+      session.status = 'aborted';
+      await removeUploadFile(session.tempPath);
+    } else {
+      session.status = 'active';
+    }
+    await session.save().catch(saveError => console.error('Failed to update upload session:', saveError));
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during reel creation'
+    });
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Cancel an upload and discard the received data
+// @access  Private
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: { $in: ['active', 'aborted'] }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    await removeUploadFile(session.tempPath);
+    await session.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const UploadSession = require('../models/UploadSession');
+
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { _id: 'user-1' };
+    next();
+  }
+}));
+
+const uploadsRouter = require('./uploads');
+
+const app = express();
+app.use('/api/uploads', uploadsRouter);
+
+let tempDir;
+
+// An active session whose partial file already holds `received`
+const mockSession = async ({ size = 10, received = '' } = {}) => {
+  const tempPath = path.join(tempDir, 'upload.part');
+  await fs.promises.writeFile(tempPath, received);
+  const session = {
+    _id: 'session-1',
+    filename: 'clip.mp4',
+    size,
+    offset: received.length,
+    status: 'active',
+    tempPath,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    save: jest.fn().mockResolvedValue()
+  };
+  jest.spyOn(UploadSession, 'findOne').mockResolvedValue(session);
+  return session;
+};
+
+const patchChunk = (offset, chunk) => {
+  const req = request(app)
+    .patch('/api/uploads/session-1')
+    .set('Content-Type', 'application/offset+octet-stream');
+  if (offset !== undefined) {
+    req.set('Upload-Offset', String(offset));
+  }
+  return req.send(Buffer.from(chunk));
+};
+
+beforeEach(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shortzo-uploads-test-'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('PATCH /api/uploads/:id', () => {
+  it('appends the chunk and returns the new offset', async () => {
+    const session = await mockSession({ received: 'abc' });
+
+    const res = await patchChunk(3, 'defg');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['upload-offset']).toBe('7');
+    expect(res.body.data.upload.offset).toBe(7);
+    expect(await fs.promises.readFile(session.tempPath, 'utf8')).toBe('abcdefg');
+    expect(session.save).toHaveBeenCalled();
+  });
+
+  it('requires the offset+octet-stream content type', async () => {
+    await mockSession();
+
+    const res = await request(app)
+      .patch('/api/uploads/session-1')
+      .set('Content-Type', 'application/octet-stream')
+      .set('Upload-Offset', '0')
+      .send(Buffer.from('abc'));
+
+    expect(res.status).toBe(415);
+  });
+
+  it('requires a valid Upload-Offset header', async () => {
+    await mockSession();
+
+    expect((await patchChunk(undefined, 'abc')).status).toBe(400);
+    expect((await patchChunk(-1, 'abc')).status).toBe(400);
+  });
+
+  it('tells an out of sync client where to continue', async () => {
+    const session = await mockSession({ received: 'abcd' });
+
+    const res = await patchChunk(2, 'cdef');
+
+    expect(res.status).toBe(409);
+    expect(res.headers['upload-offset']).toBe('4');
+    expect(res.body.data.offset).toBe(4);
+    expect(await fs.promises.readFile(session.tempPath, 'utf8')).toBe('abcd');
+  });
+
+  it('takes the offset from the file on disk, not the saved session', async () => {
+    const session = await mockSession({ received: 'abcde' });
+    session.offset = 2; // A chunk was cut off after these bytes were written
+
+    const res = await patchChunk(5, 'f');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['upload-offset']).toBe('6');
+  });
+
+  it('refuses chunks past the declared size', async () => {
+    const session = await mockSession({ size: 5, received: 'abc' });
+
+    const res = await patchChunk(3, 'defgh');
+
+    expect(res.status).toBe(413);
+    expect(await fs.promises.readFile(session.tempPath, 'utf8')).toBe('abc');
+  });
+
+  it('reports a session whose data is gone', async () => {
+    const session = await mockSession();
+    await fs.promises.rm(session.tempPath);
+
+    const res = await patchChunk(0, 'abc');
+
+    expect(res.status).toBe(410);
+    expect(session.status).toBe('aborted');
+  });
+
+  it('returns 404 for unknown or expired sessions', async () => {
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValue(null);
+
+    expect((await patchChunk(0, 'abc')).status).toBe(404);
+  });
+
+  it('returns 400 for malformed ids', async () => {
+    const castError = new Error('Cast to ObjectId failed');
+    castError.name = 'CastError';
+    jest.spyOn(UploadSession, 'findOne').mockRejectedValue(castError);
+
+    const res = await patchChunk(0, 'abc');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid upload ID');
+  });
+});
+
+describe('GET /api/uploads/:id', () => {
+  it('reports how much has been received in the Upload-Offset header', async () => {
+    await mockSession({ size: 10, received: 'abcd' });
+
+    const res = await request(app).get('/api/uploads/session-1');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['upload-offset']).toBe('4');
+    expect(res.headers['upload-length']).toBe('10');
+  });
+});
@@ -1,9 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const WatchHistory = require('../models/WatchHistory');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { uploadProfile, handleUploadError } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+const { getPageLimit, applyCursor, buildPage } = require('../utils/pagination');
+const { getFeedExclusions } = require('../utils/feedFeedback');
+const { escapeRegex } = require('../utils/search');
+const { findCategory, isCategory } = require('../utils/categories');
 
 const router = express.Router();
 
@@ -13,7 +20,7 @@ const router = express.Router();
 router.get('/profile/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username })
-      .populate('reels', '_id title thumbnailUrl viewsCount likesCount createdAt category')
+      .populate('reels', '_id title thumbnailUrl previewUrl viewsCount likesCount createdAt category isActive visibility deletedAt')
       .select('-password -email');
 
     if (!user) {
@@ -33,6 +40,11 @@ router.get('/profile/:username', optionalAuth, async (req, res) => {
     const isFollowing = req.user ? user.followers.includes(req.user._id) : false;
     const isOwnProfile = req.user ? user._id.toString() === req.user._id.toString() : false;
 
+    // Only show active reels; private and unlisted reels only on the author's own profile
+    const visibleReels = user.reels.filter(reel =>
+      reel.isActive !== false && !reel.deletedAt && (isOwnProfile || !['private', 'unlisted'].includes(reel.visibility))
+    );
+
     const profileData = {
       _id: user._id,
       username: user.username,
@@ -41,11 +53,11 @@ router.get('/profile/:username', optionalAuth, async (req, res) => {
       isVerified: user.isVerified,
       followersCount: user.followers.length,
       followingCount: user.following.length,
-      reelsCount: user.reels.length,
+      reelsCount: visibleReels.length,
       joinedAt: user.joinedAt,
       isFollowing,
       isOwnProfile,
-      reels: user.reels.filter(reel => reel.isActive !== false) // Only show active reels
+      reels: visibleReels
     };
 
     res.json({
@@ -71,7 +83,8 @@ router.put('/profile', [
   handleUploadError,
   body('username').optional().isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters'),
   body('bio').optional().isLength({ max: 160 }).withMessage('Bio cannot exceed 160 characters'),
-  body('preferredCategories').optional().isArray().withMessage('Preferred categories must be an array')
+  body('preferredCategories').optional().isArray().withMessage('Preferred categories must be an array'),
+  body('preferredCategories.*').custom(isCategory)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -99,15 +112,42 @@ router.put('/profile', [
     }
 
     if (bio !== undefined) user.bio = bio;
-    if (preferredCategories) user.preferredCategories = preferredCategories;
+    // Categories can be given by id, slug or name; they're stored by id
+    if (preferredCategories) {
+      const categories = await Promise.all(preferredCategories.map(findCategory));
+      user.preferredCategories = [...new Set(categories.map(category => category._id.toString()))];
+    }
 
     // Handle profile picture upload
+    let replacedPicture = null;
     if (req.file) {
-      user.profilePicture = `/uploads/profiles/${req.file.filename}`;
+      const storage = getStorage();
+      const avatarResult = await storage.upload(req.file.buffer, {
+        resourceType: 'image',
+        folder: 'avatars',
+        filename: req.file.originalname
+      });
+
+      if (user.profilePictureId) {
+        replacedPicture = { id: user.profilePictureId, provider: user.profilePictureStorage };
+      }
+
+      user.profilePicture = avatarResult.url;
+      user.profilePictureId = avatarResult.id;
+      user.profilePictureStorage = storage.name;
     }
 
     await user.save();
 
+    // Remove the old avatar only once the new one is saved
+    if (replacedPicture) {
+      try {
+        await getStorage(replacedPicture.provider).remove(replacedPicture.id, 'image');
+      } catch (storageError) {
+        console.error('Failed to delete old profile picture:', storageError);
+      }
+    }
+
     const userData = {
       _id: user._id,
       username: user.username,
@@ -193,19 +233,9 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
 // @access  Public (optional auth)
 router.get('/followers/:userId', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit);
 
-    const user = await User.findById(req.params.userId)
-      .populate({
-        path: 'followers',
-        select: 'username profilePicture isVerified bio',
-        options: {
-          skip,
-          limit
-        }
-      });
+    const user = await User.findById(req.params.userId).select('followers');
 
     if (!user) {
       return res.status(404).json({
@@ -214,25 +244,32 @@ router.get('/followers/:userId', optionalAuth, async (req, res) => {
       });
     }
 
-    const totalFollowers = user.followers.length;
-    const totalPages = Math.ceil(totalFollowers / limit);
+    const page = applyCursor({ _id: { $in: user.followers } }, { _id: -1 }, req.query.cursor);
+    const usersPage = await User.find(page.filter)
+      .select('username profilePicture isVerified bio')
+      .sort(page.sort)
+      .limit(limit + 1);
+    const { items: followers, pagination } = buildPage(usersPage, limit, page.sort);
 
     res.json({
       success: true,
       data: {
-        followers: user.followers,
+        followers,
         pagination: {
-          currentPage: page,
-          totalPages,
-          totalFollowers,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          ...pagination,
+          totalFollowers: user.followers.length
         }
       }
     });
 
   } catch (error) {
     console.error('Get followers error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching followers'
@@ -245,19 +282,9 @@ router.get('/followers/:userId', optionalAuth, async (req, res) => {
 // @access  Public (optional auth)
 router.get('/following/:userId', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit);
 
-    const user = await User.findById(req.params.userId)
-      .populate({
-        path: 'following',
-        select: 'username profilePicture isVerified bio',
-        options: {
-          skip,
-          limit
-        }
-      });
+    const user = await User.findById(req.params.userId).select('following');
 
     if (!user) {
       return res.status(404).json({
@@ -266,25 +293,32 @@ router.get('/following/:userId', optionalAuth, async (req, res) => {
       });
     }
 
-    const totalFollowing = user.following.length;
-    const totalPages = Math.ceil(totalFollowing / limit);
+    const page = applyCursor({ _id: { $in: user.following } }, { _id: -1 }, req.query.cursor);
+    const usersPage = await User.find(page.filter)
+      .select('username profilePicture isVerified bio')
+      .sort(page.sort)
+      .limit(limit + 1);
+    const { items: following, pagination } = buildPage(usersPage, limit, page.sort);
 
     res.json({
       success: true,
       data: {
-        following: user.following,
+        following,
         pagination: {
-          currentPage: page,
-          totalPages,
-          totalFollowing,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          ...pagination,
+          totalFollowing: user.following.length
         }
       }
     });
 
   } catch (error) {
     console.error('Get following error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching following'
@@ -308,27 +342,26 @@ router.get('/search', optionalAuth, async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    const searchRegex = new RegExp(q.trim(), 'i');
-    
-    const users = await User.find({
+    const searchRegex = new RegExp(escapeRegex(q.trim()), 'i');
+
+    // Creators the viewer has hidden don't show up in search
+    const { creatorIds } = await getFeedExclusions(req.user?._id);
+    const searchFilter = {
       $or: [
         { username: searchRegex },
         { bio: searchRegex }
       ],
-      isActive: true
-    })
+      isActive: true,
+      ...(creatorIds.length > 0 && { _id: { $nin: creatorIds } })
+    };
+
+    const users = await User.find(searchFilter)
     .select('username profilePicture isVerified bio followersCount')
     .skip(skip)
     .limit(parseInt(limit))
     .sort({ isVerified: -1, followersCount: -1 }); // Verified users and popular users first
 
-    const totalUsers = await User.countDocuments({
-      $or: [
-        { username: searchRegex },
-        { bio: searchRegex }
-      ],
-      isActive: true
-    });
+    const totalUsers = await User.countDocuments(searchFilter);
 
     const totalPages = Math.ceil(totalUsers / parseInt(limit));
 
@@ -362,13 +395,14 @@ router.get('/suggested', authenticateToken, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const currentUser = await User.findById(req.user._id);
+    const { creatorIds } = await getFeedExclusions(currentUser._id);
 
-    // Find users that current user is not following
+    // Find users that current user is not following or has hidden,
     // and who have similar interests (preferred categories)
     const suggestedUsers = await User.find({
       _id: { 
         $ne: currentUser._id, 
-        $nin: currentUser.following 
+        $nin: [...currentUser.following, ...creatorIds]
       },
       isActive: true,
       $or: [
@@ -401,7 +435,7 @@ router.post('/save-reel/:reelId', authenticateToken, async (req, res) => {
   try {
     const reel = await Reel.findById(req.params.reelId);
     
-    if (!reel) {
+    if (!reel || !reel.isViewableBy(req.user._id)) {
       return res.status(404).json({
         success: false,
         message: 'Reel not found'
@@ -442,43 +476,44 @@ router.post('/save-reel/:reelId', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/saved-reels', authenticateToken, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit);
 
-    const user = await User.findById(req.user._id)
-      .populate({
-        path: 'savedReels',
-        populate: {
-          path: 'author',
-          select: 'username profilePicture isVerified'
-        },
-        options: {
-          skip,
-          limit,
-          sort: { createdAt: -1 }
-        }
-      });
+    const user = await User.findById(req.user._id).select('savedReels');
+
+    // Skip reels made private or deleted since they were saved
+    const page = applyCursor({
+      _id: { $in: user.savedReels },
+      isActive: true,
+      ...Reel.viewableFilter(req.user._id)
+    }, { createdAt: -1 }, req.query.cursor);
 
-    const totalSavedReels = user.savedReels.length;
-    const totalPages = Math.ceil(totalSavedReels / limit);
+    const reelsPage = await Reel.find(page.filter)
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(page.sort)
+      .limit(limit + 1);
+    const { items: reels, pagination } = buildPage(reelsPage, limit, page.sort);
 
     res.json({
       success: true,
       data: {
-        reels: user.savedReels,
+        reels,
         pagination: {
-          currentPage: page,
-          totalPages,
-          totalSavedReels,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          ...pagination,
+          totalSavedReels: user.savedReels.length
         }
       }
     });
 
   } catch (error) {
     console.error('Get saved reels error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching saved reels'
@@ -491,59 +526,51 @@ router.get('/saved-reels', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/bookmarks', authenticateToken, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const limit = getPageLimit(req.query.limit);
 
-    const user = await User.findById(req.user._id);
-    
-    if (!user.savedReels || user.savedReels.length === 0) {
-      return res.json({
-        success: true,
-        data: [],
-        pagination: {
-          currentPage: page,
-          totalPages: 0,
-          totalReels: 0,
-        }
-      });
-    }
+    const user = await User.findById(req.user._id).select('savedReels');
 
-    const savedReels = await Reel.find({
-      _id: { $in: user.savedReels },
-      isActive: true
-    })
+    const page = applyCursor({
+      _id: { $in: user.savedReels || [] },
+      isActive: true,
+      ...Reel.viewableFilter(req.user._id)
+    }, { createdAt: -1 }, req.query.cursor);
+
+    const reelsPage = await Reel.find(page.filter)
     .populate('author', 'username profilePicture isVerified')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
+    .populate('mentions', 'username')
+    .populate('category', 'name slug')
+    .sort(page.sort)
+    .limit(limit + 1)
     .lean();
+    const { items: savedReels, pagination } = buildPage(reelsPage, limit, page.sort);
 
     // Add engagement stats
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user._id, savedReels.map(reel => reel._id));
     const reelsWithStats = savedReels.map(reel => ({
       ...reel,
-      likesCount: reel.likes?.length || 0,
       commentsCount: reel.comments?.length || 0,
-      sharesCount: reel.shares?.length || 0,
-      viewsCount: reel.views?.length || 0,
-      isLiked: reel.likes?.some(like => like.user.toString() === req.user._id.toString()) || false,
+      isLiked: likedReelIds.has(reel._id.toString()),
       isSaved: true // Always true since these are saved reels
     }));
 
-    const totalSavedReels = user.savedReels.length;
-
     res.json({
       success: true,
       data: reelsWithStats,
       pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalSavedReels / limit),
-        totalReels: totalSavedReels,
+        ...pagination,
+        totalReels: user.savedReels?.length || 0
       }
     });
 
   } catch (error) {
     console.error('Get bookmarks error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching bookmarks'
@@ -556,49 +583,51 @@ router.get('/bookmarks', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/liked-reels', authenticateToken, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    // Find reels that the user has liked
-    const likedReels = await Reel.find({
-      'likes.user': req.user._id,
-      isActive: true
+    const limit = getPageLimit(req.query.limit);
+
+    // Most recently liked first. Pages go through the likes; reels that were
+    // removed or made private since are left out of their page.
+    const page = applyCursor({ user: req.user._id }, { likedAt: -1 }, req.query.cursor);
+    const likesPage = await ReelLike.find(page.filter)
+      .sort(page.sort)
+      .limit(limit + 1)
+      .lean();
+    const { items: likes, pagination } = buildPage(likesPage, limit, page.sort);
+
+    const reels = await Reel.find({
+      _id: { $in: likes.map(like => like.reel) },
+      isActive: true,
+      ...Reel.viewableFilter(req.user._id)
     })
     .populate('author', 'username profilePicture isVerified')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
+    .populate('mentions', 'username')
+    .populate('category', 'name slug')
     .lean();
+    const reelsById = new Map(reels.map(reel => [reel._id.toString(), reel]));
+    const likedReels = likes.map(like => reelsById.get(like.reel.toString())).filter(Boolean);
 
     // Add engagement stats
     const reelsWithStats = likedReels.map(reel => ({
       ...reel,
-      likesCount: reel.likes?.length || 0,
       commentsCount: reel.comments?.length || 0,
-      sharesCount: reel.shares?.length || 0,
-      viewsCount: reel.views?.length || 0,
       isLiked: true, // Always true since these are liked reels
       isSaved: req.user.savedReels?.includes(reel._id) || false
     }));
 
-    const totalLikedReels = await Reel.countDocuments({
-      'likes.user': req.user._id,
-      isActive: true
-    });
-
     res.json({
       success: true,
       data: reelsWithStats,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalLikedReels / limit),
-        totalReels: totalLikedReels,
-      }
+      pagination
     });
 
   } catch (error) {
     console.error('Get liked reels error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while fetching liked reels'
@@ -606,4 +635,210 @@ router.get('/liked-reels', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/mentions
+// @desc    Get reels the user is @mentioned in
+// @access  Private
+router.get('/mentions', authenticateToken, async (req, res) => {
+  try {
+    const limit = getPageLimit(req.query.limit);
+
+    const page = applyCursor({
+      mentions: req.user._id,
+      isActive: true,
+      ...Reel.viewableFilter(req.user._id)
+    }, { createdAt: -1 }, req.query.cursor);
+
+    const reelsPage = await Reel.find(page.filter)
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug')
+      .sort(page.sort)
+      .limit(limit + 1)
+      .lean();
+    const { items: mentionedReels, pagination } = buildPage(reelsPage, limit, page.sort);
+
+    // Add engagement stats
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user._id, mentionedReels.map(reel => reel._id));
+    const reelsWithStats = mentionedReels.map(reel => ({
+      ...reel,
+      commentsCount: reel.comments?.length || 0,
+      isLiked: likedReelIds.has(reel._id.toString()),
+      isSaved: req.user.savedReels?.includes(reel._id) || false
+    }));
+
+    res.json({
+      success: true,
+      data: reelsWithStats,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get mentions error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching mentions'
+    });
+  }
+});
+
+// @route   GET /api/users/history
+// @desc    Get reels the user watched, most recent first, with where they left off
+// @access  Private
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const limit = getPageLimit(req.query.limit);
+
+    const page = applyCursor({ user: req.user._id }, { watchedAt: -1 }, req.query.cursor);
+    const entriesPage = await WatchHistory.find(page.filter)
+      .populate({
+        path: 'reel',
+        match: { isActive: true, ...Reel.viewableFilter(req.user._id) },
+        populate: [
+          { path: 'author', select: 'username profilePicture isVerified' },
+          { path: 'mentions', select: 'username' },
+          { path: 'category', select: 'name slug' }
+        ]
+      })
+      .sort(page.sort)
+      .limit(limit + 1)
+      .lean();
+    const { items: entries, pagination } = buildPage(entriesPage, limit, page.sort);
+
+    // Reels deleted or made private since they were watched are left out
+    const watchedEntries = entries.filter(entry => entry.reel);
+    const likedReelIds = await ReelLike.getLikedReelIds(req.user._id, watchedEntries.map(entry => entry.reel._id));
+    const reelsWithStats = watchedEntries.map(entry => ({
+      ...entry.reel,
+      commentsCount: entry.reel.comments?.length || 0,
+      isLiked: likedReelIds.has(entry.reel._id.toString()),
+      isSaved: req.user.savedReels?.includes(entry.reel._id) || false,
+      resumePosition: entry.completed ? 0 : entry.position,
+      watchCompleted: entry.completed,
+      watchedAt: entry.watchedAt
+    }));
+
+    res.json({
+      success: true,
+      data: reelsWithStats,
+      paused: req.user.watchHistoryPaused || false,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get watch history error:', error);
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching watch history'
+    });
+  }
+});
+
+// @route   PUT /api/users/history/pause
+// @desc    Pause or resume recording the watch history
+// @access  Private
+router.put('/history/pause', [
+  authenticateToken,
+  body('paused').isBoolean().withMessage('paused must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const paused = req.body.paused === true || req.body.paused === 'true';
+    await User.updateOne({ _id: req.user._id }, { watchHistoryPaused: paused });
+
+    res.json({
+      success: true,
+      message: paused ? 'Watch history paused' : 'Watch history resumed',
+      data: { paused }
+    });
+
+  } catch (error) {
+    console.error('Pause watch history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating watch history'
+    });
+  }
+});
+
+// @route   DELETE /api/users/history
+// @desc    Clear the watch history
+// @access  Private
+router.delete('/history', authenticateToken, async (req, res) => {
+  try {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Watch history cleared',
+      data: { deletedCount }
+    });
+
+  } catch (error) {
+    console.error('Clear watch history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing watch history'
+    });
+  }
+});
+
+// @route   DELETE /api/users/history/:reelId
+// @desc    Remove a reel from the watch history
+// @access  Private
+router.delete('/history/:reelId', [
+  authenticateToken,
+  param('reelId').isMongoId().withMessage('Invalid reel ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WatchHistory.findOneAndDelete({ user: req.user._id, reel: req.params.reelId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reel not found in watch history'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from watch history'
+    });
+
+  } catch (error) {
+    console.error('Delete watch history entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating watch history'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/Category');
+const FeedFeedback = require('../models/FeedFeedback');
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const { computeTrending } = require('../utils/trending');
+const { recountCategoryReels } = require('../utils/categories');
+
+// Load environment variables
+dotenv.config();
+
+// Switches reels, user preferences and "fewer from this category" feedback from
+// category names to Category ids. Names with no Category yet get one. The
+// fields are typed as ids now, so the old string values are read and written
+// through the raw collections. Safe to re-run: only string values are touched,
+// and the reel counts are recomputed each time.
+
+// Category for a name, created if it doesn't exist. Slugs are filled in for
+// categories that were inserted without one.
+const getCategoryId = async (name, cache) => {
+  if (!cache.has(name)) {
+    const category = await Category.findOne({ name }) || new Category({ name });
+    if (!category.slug) {
+      category.markModified('name'); // Regenerates the slug
+    }
+    await category.save();
+    cache.set(name, category._id);
+  }
+  return cache.get(name);
+};
+
+const migrateCategories = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to MongoDB');
+
+    const categoryIds = new Map();
+
+    const reelCategoryNames = await Reel.collection.distinct('category', { category: { $type: 'string' } });
+    for (const name of reelCategoryNames) {
+      const { modifiedCount } = await Reel.collection.updateMany(
+        { category: name },
+        { $set: { category: await getCategoryId(name, categoryIds) } }
+      );
+      console.log(`✅ ${name}: ${modifiedCount} reels`);
+    }
+
+    const users = User.collection.find(
+      { preferredCategories: { $type: 'string' } },
+      { projection: { preferredCategories: 1 } }
+    );
+    let migratedUsers = 0;
+    for await (const user of users) {
+      const preferredCategories = [];
+      for (const value of user.preferredCategories) {
+        preferredCategories.push(typeof value === 'string' ? await getCategoryId(value, categoryIds) : value);
+      }
+      await User.collection.updateOne({ _id: user._id }, { $set: { preferredCategories } });
+      migratedUsers++;
+    }
+    console.log(`✅ Migrated preferred categories for ${migratedUsers} users`);
+
+    const feedbackCategoryNames = await FeedFeedback.collection.distinct('category', { category: { $type: 'string' } });
+    for (const name of feedbackCategoryNames) {
+      await FeedFeedback.collection.updateMany(
+        { category: name },
+        { $set: { category: await getCategoryId(name, categoryIds) } }
+      );
+    }
+    console.log(`✅ Migrated feed feedback for ${feedbackCategoryNames.length} categories`);
+
+    // Recount from the reels now that they point at ids
+    await recountCategoryReels(await Category.find().distinct('_id'));
+    console.log('✅ Category reel counts recomputed');
+
+    // Trending snapshots store each entry's category
+    await computeTrending();
+    console.log('✅ Trending reels recomputed');
+
+    console.log('🎉 Category migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateCategories();
+}
+
+module.exports = migrateCategories;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const ReelShare = require('../models/ReelShare');
+const ReelView = require('../models/ReelView');
+const { computeTrending } = require('../utils/trending');
+
+// Load environment variables
+dotenv.config();
+
+// Moves the likes, views and shares embedded in reel documents into their own
+// collections and fills in the engagement counters. Reels are migrated one at a
+// time and their arrays removed afterwards, so re-running an interrupted
+// migration skips the reels that are already done. A reel that was cut off
+// halfway has its copied views and shares replaced rather than added again.
+
+// engagementInc leaves out zero counters
+const EMPTY_COUNTERS = {
+  likesCount: 0,
+  sharesCount: 0,
+  viewsCount: 0,
+  watchTimeTotal: 0,
+  completionRateTotal: 0,
+  loopsTotal: 0,
+  popularityScore: 0
+};
+
+const migrateReel = async (reel) => {
+  const likes = reel.likes || [];
+  const views = reel.views || [];
+  const shares = reel.shares || [];
+
+  if (likes.length > 0) {
+    try {
+      await ReelLike.insertMany(
+        likes.filter(like => like.user).map(like => ({ reel: reel._id, user: like.user, likedAt: like.likedAt })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Duplicate likes from an interrupted run are fine
+      if (error.code !== 11000 && !error.writeErrors?.every(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+    }
+  }
+
+  if (views.length > 0) {
+    await ReelView.deleteMany({ reel: reel._id, viewedAt: { $in: views.map(view => view.viewedAt) } });
+    await ReelView.insertMany(views.map(view => ({
+      reel: reel._id,
+      user: view.user,
+      sessionId: view.sessionId,
+      viewedAt: view.viewedAt,
+      watchTime: view.watchTime || 0,
+      completionRate: view.completionRate || 0,
+      loops: view.loops || 0
+    })));
+  }
+
+  if (shares.length > 0) {
+    await ReelShare.deleteMany({ reel: reel._id, sharedAt: { $in: shares.map(share => share.sharedAt) } });
+    await ReelShare.insertMany(shares.filter(share => share.user).map(share => ({
+      reel: reel._id,
+      user: share.user,
+      platform: share.platform,
+      sharedAt: share.sharedAt
+    })));
+  }
+
+  const counters = Reel.engagementInc({
+    likes: await ReelLike.countDocuments({ reel: reel._id }),
+    comments: (reel.comments || []).length,
+    shares: shares.length,
+    views: views.length,
+    watchTime: views.reduce((sum, view) => sum + (view.watchTime || 0), 0),
+    completionRate: views.reduce((sum, view) => sum + (view.completionRate || 0), 0),
+    loops: views.reduce((sum, view) => sum + (view.loops || 0), 0)
+  });
+
+  await Reel.collection.updateOne({ _id: reel._id }, {
+    $set: { ...EMPTY_COUNTERS, ...counters },
+    $unset: { likes: '', views: '', shares: '' }
+  });
+};
+
+// Reels created after the arrays were gone still need a popularity score
+const backfillPopularity = async (reel) => {
+  const counters = Reel.engagementInc({
+    likes: reel.likesCount || 0,
+    comments: (reel.comments || []).length,
+    shares: reel.sharesCount || 0,
+    views: reel.viewsCount || 0,
+    completionRate: reel.completionRateTotal || 0
+  });
+
+  await Reel.collection.updateOne({ _id: reel._id }, {
+    $set: { popularityScore: counters.popularityScore || 0 }
+  });
+};
+
+const migrateEngagement = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to MongoDB');
+
+    // The arrays are no longer in the schema, so read the raw documents
+    const cursor = Reel.collection.find(
+      { $or: [{ likes: { $exists: true } }, { views: { $exists: true } }, { shares: { $exists: true } }] },
+      { projection: { likes: 1, views: 1, shares: 1, comments: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const reel of cursor) {
+      await migrateReel(reel);
+      migrated++;
+    }
+    console.log(`✅ Migrated engagement for ${migrated} reels`);
+
+    const unscored = Reel.collection.find(
+      { popularityScore: { $exists: false } },
+      { projection: { likesCount: 1, sharesCount: 1, viewsCount: 1, completionRateTotal: 1, comments: 1 } }
+    );
+
+    let backfilled = 0;
+    for await (const reel of unscored) {
+      await backfillPopularity(reel);
+      backfilled++;
+    }
+    console.log(`✅ Backfilled popularity for ${backfilled} reels`);
+
+    await computeTrending();
+    console.log('✅ Trending reels recomputed');
+
+    console.log('🎉 Engagement migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating engagement:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateEngagement();
+}
+
+module.exports = migrateEngagement;
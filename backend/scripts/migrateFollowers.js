@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Fills in the stored followersCount from each user's followers, so users can
+// be sorted by it. Safe to re-run.
+
+const migrateFollowers = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to MongoDB');
+
+    const { modifiedCount } = await User.updateMany({}, [
+      { $set: { followersCount: { $size: { $ifNull: ['$followers', []] } } } }
+    ]);
+    console.log(`✅ Follower counts updated for ${modifiedCount} users`);
+
+    console.log('🎉 Follower migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating followers:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateFollowers();
+}
+
+module.exports = migrateFollowers;
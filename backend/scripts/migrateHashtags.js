@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Reel = require('../models/Reel');
+const { refreshHashtags, computeHashtagVelocity } = require('../utils/hashtags');
+
+// Load environment variables
+dotenv.config();
+
+// Creates a Hashtag for every tag already used on reels, with its reel count
+// and velocity. Safe to re-run: counts are recomputed from the reels.
+
+const migrateHashtags = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to MongoDB');
+
+    const tags = await Reel.distinct('tags');
+    await refreshHashtags(tags);
+    console.log(`✅ Counted reels for ${tags.length} hashtags`);
+
+    await computeHashtagVelocity();
+    console.log('✅ Hashtag velocity computed');
+
+    console.log('🎉 Hashtag migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating hashtags:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateHashtags();
+}
+
+module.exports = migrateHashtags;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Reel = require('../models/Reel');
+require('../models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Resolves @mentions in the title and description of reels created before
+// mentions were stored. Safe to re-run: mentions are resolved from the text,
+// and tags users already removed stay removed.
+
+const migrateMentions = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Reel.find({ $or: [{ title: /@\w/ }, { description: /@\w/ }] })
+      .select('title description author mentions removedMentions')
+      .cursor();
+
+    let tagged = 0;
+    for await (const reel of cursor) {
+      await reel.resolveMentions();
+      await Reel.updateOne({ _id: reel._id }, { $set: { mentions: reel.mentions } });
+      if (reel.mentions.length > 0) {
+        tagged++;
+      }
+    }
+    console.log(`✅ Resolved mentions, ${tagged} reels tag at least one user`);
+
+    console.log('🎉 Mention migration completed successfully!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error migrating mentions:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateMentions();
+}
+
+module.exports = migrateMentions;
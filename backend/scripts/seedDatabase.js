@@ -107,6 +107,42 @@ const categories = [
   }
 ];
 
+// Subcategories name their parent, which is seeded above
+const subcategories = [
+  {
+    name: 'Football',
+    parent: 'Sports',
+    description: 'Football matches, skills and highlights',
+    icon: '⚽',
+    color: '#66BB6A',
+    sortOrder: 1
+  },
+  {
+    name: 'Cricket',
+    parent: 'Sports',
+    description: 'Cricket matches, highlights and analysis',
+    icon: '🏏',
+    color: '#66BB6A',
+    sortOrder: 2
+  },
+  {
+    name: 'AI',
+    parent: 'Technology',
+    description: 'Artificial intelligence news, tools and demos',
+    icon: '🤖',
+    color: '#78909C',
+    sortOrder: 1
+  },
+  {
+    name: 'Gadgets',
+    parent: 'Technology',
+    description: 'Gadget reviews and unboxings',
+    icon: '📱',
+    color: '#78909C',
+    sortOrder: 2
+  }
+];
+
 const seedDatabase = async () => {
   try {
     // Connect to MongoDB
@@ -117,12 +153,17 @@ const seedDatabase = async () => {
 
     console.log('✅ Connected to MongoDB');
 
-    // Clear existing categories
-    await Category.deleteMany({});
-    console.log('🗑️ Cleared existing categories');
-
-    // Insert new categories
-    await Category.insertMany(categories);
+    // Reels reference categories by id, so existing ones are updated in place
+    // rather than replaced
+    for (const data of [...categories, ...subcategories]) {
+      const category = await Category.findOne({ name: data.name }) || new Category();
+      const parent = data.parent && await Category.findOne({ name: data.parent });
+      category.set({ ...data, parent: parent ? parent._id : null });
+      if (!category.slug) {
+        category.markModified('name'); // Regenerates the slug
+      }
+      await category.save();
+    }
     console.log('✅ Categories seeded successfully');
 
     // Create admin user if not exists
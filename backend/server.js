@@ -24,9 +24,18 @@ const userRoutes = require('./routes/users');
 const categoryRoutes = require('./routes/categories');
 const commentRoutes = require('./routes/comments');
 const adminRoutes = require('./routes/admin');
-
-// Import Cloudinary config
-const { testCloudinaryConnection } = require('./config/cloudinary');
+const uploadRoutes = require('./routes/uploads');
+const feedRoutes = require('./routes/feed');
+const searchRoutes = require('./routes/search');
+const hashtagRoutes = require('./routes/hashtags');
+
+// Import media storage
+const { getStorage, drivers: storageDrivers } = require('./storage');
+const { resumePendingProcessing } = require('./jobs/videoProcessing');
+const { startUploadCleanup } = require('./jobs/uploadCleanup');
+const { startReelScheduler } = require('./jobs/reelScheduler');
+const { startTrashPurge } = require('./jobs/trashPurge');
+const { startTrendingRefresh } = require('./jobs/trendingRefresh');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -41,10 +50,22 @@ app.set('trust proxy', 1);
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  trustProxy: true
+  trustProxy: true,
+  // Resumable uploads send many chunk requests for a single video, and the
+  // search box asks for suggestions as the user types
+  skip: (req) => (req.method === 'PATCH' && req.path.startsWith('/uploads/')) ||
+    (req.method === 'GET' && req.path === '/search/suggest')
 });
 app.use('/api/', limiter);
 
+// Suggestions get their own, higher limit
+const suggestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // limit each IP to 1000 suggestion requests per windowMs
+  trustProxy: true
+});
+app.use('/api/search/suggest', suggestLimiter);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -79,8 +100,8 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: true, limit: '400mb' }));
 
-// Serve static files (uploaded videos/images)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve static files (uploaded videos/images stored by the local storage driver)
+app.use('/uploads', express.static(path.resolve(storageDrivers.local.getRoot())));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/shortzo', {
@@ -97,6 +118,10 @@ app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/hashtags', hashtagRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -149,12 +174,27 @@ const server = app.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   
-  // Test Cloudinary connection
-  if (process.env.CLOUDINARY_CLOUD_NAME) {
-    await testCloudinaryConnection();
-  } else {
+  // Test media storage
+  const storage = getStorage();
+  if (storage.name === 'local' && !process.env.CLOUDINARY_CLOUD_NAME) {
     console.log('⚠️  Cloudinary not configured. Videos will use local storage.');
   }
+  await storage.ping();
+
+  // Pick up video processing interrupted by the last shutdown
+  await resumePendingProcessing();
+
+  // Discard resumable uploads that were abandoned
+  startUploadCleanup();
+
+  // Publish scheduled reels when they're due
+  startReelScheduler();
+
+  // Permanently delete reels that have been in the trash too long
+  startTrashPurge();
+
+  // Recompute trending reels from the engagement counters
+  startTrendingRefresh();
 });
 
 // Graceful shutdown
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { cloudinary, uploadToCloudinary, deleteFromCloudinary, testCloudinaryConnection } = require('../config/cloudinary');
+
+// Cloudinary storage driver
+// Files live under shortzo/<folder> and are identified by their Cloudinary public_id
+
+const upload = async (buffer, { resourceType = 'video', folder = 'videos' } = {}) => {
+  const result = await uploadToCloudinary(buffer, resourceType, `shortzo/${folder}`);
+
+  return {
+    id: result.public_id,
+    url: result.secure_url,
+    bytes: result.bytes
+  };
+};
+
+// Same as upload() but reads from a local file in chunks, so large videos never sit in memory
+const uploadFile = (sourcePath, { resourceType = 'video', folder = 'videos' } = {}) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(sourcePath, {
+      resource_type: resourceType,
+      folder: `shortzo/${folder}`,
+      chunk_size: 6000000, // 6MB chunks
+      timeout: 120000
+    }, (error, result) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve({
+        id: result.public_id,
+        url: result.secure_url,
+        bytes: result.bytes
+      });
+    });
+  });
+};
+
+const remove = async (id, resourceType = 'video') => {
+  if (!id) return;
+  await deleteFromCloudinary(id, resourceType);
+};
+
+const exists = async (id, resourceType = 'video') => {
+  try {
+    await cloudinary.api.resource(id, { resource_type: resourceType });
+    return true;
+  } catch (error) {
+    if (error.http_code === 404) {
+      return false; // Resource doesn't exist
+    }
+    // For other errors (like rate limits), assume it exists to avoid false positives
+    console.warn(`Warning: Could not verify Cloudinary resource ${id}:`, error.message);
+    return true;
+  }
+};
+
+// Upload a whole directory as raw files under shortzo/<folder>, keeping file names
+// so relative links between the files (e.g. HLS playlists and segments) keep working
+const uploadDirectory = async (localDir, { folder }) => {
+  const files = {};
+
+  for (const name of await fs.promises.readdir(localDir)) {
+    const result = await cloudinary.uploader.upload(path.join(localDir, name), {
+      resource_type: 'raw',
+      public_id: `shortzo/${folder}/${name}`,
+      overwrite: true
+    });
+    files[name] = result.secure_url;
+  }
+
+  return { id: `shortzo/${folder}`, files };
+};
+
+const removeDirectory = async (id) => {
+  if (!id) return;
+  await cloudinary.api.delete_resources_by_prefix(`${id}/`, { resource_type: 'raw' });
+};
+
+// Download a stored file to a local path (for processing)
+const download = (id, destPath, resourceType = 'video') => {
+  const url = cloudinary.url(id, { resource_type: resourceType, secure: true });
+
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Failed to download ${id} from Cloudinary (HTTP ${response.statusCode})`));
+      }
+
+      const file = fs.createWriteStream(destPath);
+      response.pipe(file);
+      file.on('finish', () => file.close(resolve));
+      file.on('error', reject);
+    }).on('error', reject);
+  });
+};
+
+const ping = async () => testCloudinaryConnection();
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  uploadFile,
+  remove,
+  exists,
+  uploadDirectory,
+  removeDirectory,
+  download,
+  ping
+};
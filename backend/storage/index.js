@@ -0,0 +1,41 @@
+const cloudinaryDriver = require('./cloudinaryDriver');
+const localDriver = require('./localDriver');
+
+// Every driver exposes the same interface:
+//   upload(buffer, { resourceType, folder, filename }) -> { id, url, bytes }
+//   uploadFile(localPath, { resourceType, folder, filename }) -> { id, url, bytes }
+//   remove(id, resourceType)
+//   exists(id, resourceType) -> boolean
+//   uploadDirectory(localDir, { folder }) -> { id, files: { [name]: url } }
+//   removeDirectory(id)
+//   download(id, destPath, resourceType)
+//   ping() -> boolean
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+// STORAGE_DRIVER picks the driver explicitly, otherwise use Cloudinary only when it's configured
+const getDefaultDriverName = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+// Get a storage driver by name (defaults to the configured one)
+const getStorage = (name = getDefaultDriverName()) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+  getDefaultDriverName,
+  drivers
+};
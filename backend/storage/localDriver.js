@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local filesystem storage driver
+// Files live under <root>/<folder> and are identified by their path relative to the root,
+// which server.js serves statically from /uploads
+
+const getRoot = () => process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../uploads');
+const getBaseUrl = () => (process.env.LOCAL_STORAGE_BASE_URL || '/uploads').replace(/\/$/, '');
+
+// Default extensions when the caller doesn't pass an original filename
+const defaultExtensions = {
+  video: '.mp4',
+  image: '.jpg'
+};
+
+// Resolve a storage id to an absolute path, refusing ids that escape the storage root
+const resolvePath = (id) => {
+  const root = path.resolve(getRoot());
+  const filePath = path.resolve(root, id);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage id: ${id}`);
+  }
+
+  return filePath;
+};
+
+// Build a new unique storage id under folder
+const createId = (resourceType, folder, filename) => {
+  const extension = (filename && path.extname(filename)) || defaultExtensions[resourceType] || '';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return path.posix.join(folder, `${resourceType}-${uniqueSuffix}${extension.toLowerCase()}`);
+};
+
+const upload = async (buffer, { resourceType = 'video', folder = 'videos', filename } = {}) => {
+  const id = createId(resourceType, folder, filename);
+  const filePath = resolvePath(id);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return {
+    id,
+    url: `${getBaseUrl()}/${id}`,
+    bytes: buffer.length
+  };
+};
+
+// Same as upload() but copies from a local file, so large videos never sit in memory
+const uploadFile = async (sourcePath, { resourceType = 'video', folder = 'videos', filename } = {}) => {
+  const id = createId(resourceType, folder, filename);
+  const filePath = resolvePath(id);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.copyFile(sourcePath, filePath);
+  const { size } = await fs.promises.stat(filePath);
+
+  return {
+    id,
+    url: `${getBaseUrl()}/${id}`,
+    bytes: size
+  };
+};
+
+const remove = async (id) => {
+  if (!id) return;
+
+  try {
+    await fs.promises.unlink(resolvePath(id));
+  } catch (error) {
+    // Already gone is fine, anything else is a real failure
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+const exists = async (id) => {
+  try {
+    await fs.promises.access(resolvePath(id));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Copy a whole directory into <root>/<folder>, keeping file names so relative links
+// between the files (e.g. HLS playlists and segments) keep working
+const uploadDirectory = async (localDir, { folder }) => {
+  const targetDir = resolvePath(folder);
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  const files = {};
+  for (const name of await fs.promises.readdir(localDir)) {
+    await fs.promises.copyFile(path.join(localDir, name), path.join(targetDir, name));
+    files[name] = `${getBaseUrl()}/${folder}/${name}`;
+  }
+
+  return { id: folder, files };
+};
+
+const removeDirectory = async (id) => {
+  if (!id) return;
+  await fs.promises.rm(resolvePath(id), { recursive: true, force: true });
+};
+
+// Copy a stored file to a local path (for processing)
+const download = async (id, destPath) => {
+  await fs.promises.copyFile(resolvePath(id), destPath);
+};
+
+const ping = async () => {
+  try {
+    await fs.promises.mkdir(getRoot(), { recursive: true });
+    await fs.promises.access(getRoot(), fs.constants.W_OK);
+    console.log('✅ Local storage ready at', getRoot());
+    return true;
+  } catch (error) {
+    console.error('❌ Local storage not writable:', error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  upload,
+  uploadFile,
+  remove,
+  exists,
+  uploadDirectory,
+  removeDirectory,
+  download,
+  ping,
+  resolvePath,
+  getRoot
+};
@@ -0,0 +1,106 @@
+const Category = require('../models/Category');
+const Reel = require('../models/Reel');
+
+// Reels reference categories by id. The active categories are cached in memory
+// so validating and resolving a category doesn't hit the database every time;
+// changes made through the admin routes clear the cache right away, and other
+// server instances pick them up within CACHE_TTL_MS.
+//
+// Categories can have subcategories ("Sports > Football"). Each one stores its
+// parent and the ids of all its ancestors, so the categories below one are those
+// that list it as an ancestor.
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+// Active categories in display order
+const getCategories = async () => {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    const categories = await Category.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('name slug icon color parent ancestors')
+      .lean();
+    cache = { loadedAt: Date.now(), categories };
+  }
+  return cache.categories;
+};
+
+const clearCategoryCache = () => {
+  cache = null;
+};
+
+// Finds an active category by id or slug. Names are accepted too, for clients
+// that still send them.
+const findCategory = async (value) => {
+  if (!value) {
+    return null;
+  }
+  const key = value.toString().trim().toLowerCase();
+  const categories = await getCategories();
+  return categories.find(category =>
+    category._id.toString() === key || category.slug === key || category.name.toLowerCase() === key
+  ) || null;
+};
+
+// Ids of a category and every active category below it, for filtering reels
+// in a category including its subcategories
+const getCategoryTreeIds = async (categoryId) => {
+  const id = categoryId.toString();
+  const categories = await getCategories();
+  const descendantIds = categories
+    .filter(category => category.ancestors?.some(ancestor => ancestor.toString() === id))
+    .map(category => category._id);
+  return [categoryId, ...descendantIds];
+};
+
+// Reels that count towards a category and its parents: live and listed, the
+// same reels that count towards a hashtag
+const categoryReelsFilter = () => ({
+  isActive: true,
+  isApproved: true,
+  deletedAt: null,
+  ...Reel.listedFilter()
+});
+
+// Recounts each category's reels from scratch, subcategories included. Used
+// when a move shifts a subtree's reels from one ancestor chain to another.
+const recountCategoryReels = async (categoryIds) => {
+  for (const categoryId of categoryIds) {
+    const descendantIds = await Category.find({ ancestors: categoryId, isActive: true }).distinct('_id');
+    const reelsCount = await Reel.countDocuments({
+      category: { $in: [categoryId, ...descendantIds] },
+      ...categoryReelsFilter()
+    });
+    await Category.updateOne({ _id: categoryId }, { $set: { reelsCount } });
+  }
+};
+
+// Recounts the given categories and everything above them. Called with a
+// reel's category (old and new, when it moved) wherever the reel starts or
+// stops counting, like refreshHashtags is with its tags.
+const refreshCategoryCounts = async (categoryIds = []) => {
+  const categories = await Category.find({ _id: { $in: categoryIds.filter(Boolean) } })
+    .select('ancestors')
+    .lean();
+  const chainIds = new Set(categories.flatMap(category => [category._id, ...category.ancestors]).map(String));
+  await recountCategoryReels([...chainIds]);
+};
+
+// express-validator check for a category field
+const isCategory = async (value) => {
+  if (!(await findCategory(value))) {
+    throw new Error('Invalid category');
+  }
+  return true;
+};
+
+module.exports = {
+  getCategories,
+  clearCategoryCache,
+  findCategory,
+  getCategoryTreeIds,
+  recountCategoryReels,
+  refreshCategoryCounts,
+  isCategory
+};
@@ -0,0 +1,47 @@
+const FeedFeedback = require('../models/FeedFeedback');
+const { getCategoryTreeIds } = require('./categories');
+
+// Turns a user's negative feedback into what feeds and search should leave out.
+// Hidden reels and creators are always excluded; categories the user wants
+// fewer of are dropped from general listings but still show up when the user
+// browses that category on purpose. Asking for fewer of a category covers its
+// subcategories too.
+
+const getFeedExclusions = async (userId) => {
+  const exclusions = { reelIds: [], creatorIds: [], categories: [] };
+  if (!userId) {
+    return exclusions;
+  }
+
+  const feedback = await FeedFeedback.find({ user: userId }).select('type reel creator category').lean();
+  for (const item of feedback) {
+    if (item.type === 'not_interested' && item.reel) {
+      exclusions.reelIds.push(item.reel);
+    } else if (item.type === 'hide_creator' && item.creator) {
+      exclusions.creatorIds.push(item.creator);
+    } else if (item.type === 'fewer_category' && item.category) {
+      exclusions.categories.push(...await getCategoryTreeIds(item.category));
+    }
+  }
+  return exclusions;
+};
+
+// Adds the exclusions to a reel query filter
+const excludeFromFeed = (filter, exclusions, { keepCategories = false } = {}) => {
+  const conditions = [];
+  if (exclusions.reelIds.length > 0) {
+    conditions.push({ _id: { $nin: exclusions.reelIds } });
+  }
+  if (exclusions.creatorIds.length > 0) {
+    conditions.push({ author: { $nin: exclusions.creatorIds } });
+  }
+  if (!keepCategories && exclusions.categories.length > 0) {
+    conditions.push({ category: { $nin: exclusions.categories } });
+  }
+  return conditions.length > 0 ? { $and: [filter, ...conditions] } : filter;
+};
+
+module.exports = {
+  getFeedExclusions,
+  excludeFromFeed
+};
@@ -0,0 +1,93 @@
+const { spawn } = require('child_process');
+
+// Thin wrappers around the ffmpeg/ffprobe binaries
+// Set FFMPEG_PATH / FFPROBE_PATH when they aren't on the PATH
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const getFfprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run a binary and resolve with its stdout, rejecting with the tail of stderr on failure
+const run = (command, args) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => {
+      // Only keep the end of stderr, ffmpeg is very chatty
+      stderr = (stderr + chunk.toString()).slice(-4000);
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        error.message = `${command} not found. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.`;
+      }
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout).toString());
+      } else {
+        const error = new Error(`${command} exited with code ${code}: ${stderr.trim()}`);
+        error.exitCode = code;
+        reject(error);
+      }
+    });
+  });
+};
+
+const runFfmpeg = (args) => run(getFfmpegPath(), ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+
+// Parse "30000/1001" style rates into a number
+const parseRate = (rate) => {
+  if (!rate || rate === '0/0') return 0;
+  const [num, den] = rate.split('/').map(Number);
+  return den ? num / den : num;
+};
+
+// Probe a media file and return the parts of the ffprobe output we care about
+const probe = async (filePath) => {
+  const output = await run(getFfprobePath(), [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ]);
+
+  const data = JSON.parse(output);
+  const videoStream = (data.streams || []).find(stream => stream.codec_type === 'video');
+  const audioStream = (data.streams || []).find(stream => stream.codec_type === 'audio');
+
+  if (!videoStream) {
+    throw new Error('No video stream found in file');
+  }
+
+  // Phones record rotated frames, so swap dimensions for 90/270 degree rotations
+  const rotation = Math.abs(parseInt(
+    videoStream.tags?.rotate ||
+    videoStream.side_data_list?.find(side => side.rotation !== undefined)?.rotation ||
+    0
+  )) % 180;
+  const width = rotation === 90 ? videoStream.height : videoStream.width;
+  const height = rotation === 90 ? videoStream.width : videoStream.height;
+
+  return {
+    duration: parseFloat(data.format?.duration || videoStream.duration) || 0,
+    width,
+    height,
+    videoCodec: videoStream.codec_name,
+    audioCodec: audioStream?.codec_name || null,
+    hasAudio: !!audioStream,
+    frameRate: parseRate(videoStream.avg_frame_rate || videoStream.r_frame_rate),
+    bitrate: parseInt(data.format?.bit_rate) || 0,
+    formatName: data.format?.format_name
+  };
+};
+
+module.exports = {
+  runFfmpeg,
+  probe
+};
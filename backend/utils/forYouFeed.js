@@ -0,0 +1,243 @@
+const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const ReelView = require('../models/ReelView');
+const TrendingSnapshot = require('../models/TrendingSnapshot');
+const { getFeedExclusions, excludeFromFeed } = require('./feedFeedback');
+const { getCategoryTreeIds } = require('./categories');
+
+// The "For You" feed. Candidates are gathered from several sources (followed
+// creators and hashtags, preferred categories, tags of recently liked reels,
+// trending and popular reels), reels the viewer already watched are dropped, and the rest
+// are ranked by a scoring function that can be swapped with FEED_SCORER.
+
+const DAY = 24 * 60 * 60 * 1000;
+const CANDIDATE_MAX_AGE_DAYS = 30;
+const SOURCE_LIMIT = 100;
+const LIKED_REELS_SAMPLE = 50;
+const TOP_LIKED_TAGS = 5;
+
+// Categories the viewer asked to see fewer of still show up, just further down
+const FEWER_CATEGORY_FACTOR = 0.25;
+
+// Fields the scorers and reasons need; the final page is loaded in full
+const CANDIDATE_FIELDS = 'author category tags createdAt popularityScore';
+
+// How strongly each source says "this viewer wants to see this"
+const SOURCE_WEIGHTS = {
+  following: 3,
+  hashtags: 2.5,
+  tags: 2,
+  categories: 1.5,
+  trending: 1,
+  popular: 0.5
+};
+
+const candidateFilter = (user, now) => ({
+  isActive: true,
+  isApproved: true,
+  deletedAt: null,
+  ...Reel.listedFilter(),
+  createdAt: { $gte: new Date(now.getTime() - CANDIDATE_MAX_AGE_DAYS * DAY) },
+  ...((!user || !user.preferredCategories?.includes('NSFW')) && { isNSFW: { $ne: true } })
+});
+
+const findCandidates = (filter) => {
+  return Reel.find(filter)
+    .select(CANDIDATE_FIELDS)
+    .populate('author', 'username')
+    .populate('category', 'name')
+    .limit(SOURCE_LIMIT)
+    .lean();
+};
+
+// Tags that show up most in the viewer's recent likes, most frequent first
+const getLikedTags = async (userId) => {
+  const likes = await ReelLike.find({ user: userId })
+    .sort({ likedAt: -1 })
+    .limit(LIKED_REELS_SAMPLE)
+    .select('reel')
+    .lean();
+  const likedReels = await Reel.find({ _id: { $in: likes.map(like => like.reel) } }).select('tags').lean();
+
+  const counts = {};
+  for (const reel of likedReels) {
+    for (const tag of reel.tags || []) {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+  }
+  return Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, TOP_LIKED_TAGS);
+};
+
+// Each source resolves to [{ reel, detail }]
+const candidateSources = {
+  following: async ({ user, filter }) => {
+    if (!user?.following?.length) {
+      return [];
+    }
+    const reels = await findCandidates({ ...filter, author: { $in: user.following } }).sort({ createdAt: -1 });
+    return reels.map(reel => ({ reel, detail: reel.author?.username }));
+  },
+
+  hashtags: async ({ user, filter }) => {
+    if (!user?.followedHashtags?.length) {
+      return [];
+    }
+    const reels = await findCandidates({ ...filter, tags: { $in: user.followedHashtags } }).sort({ createdAt: -1 });
+    return reels.map(reel => ({ reel, detail: user.followedHashtags.find(tag => reel.tags.includes(tag)) }));
+  },
+
+  categories: async ({ user, filter }) => {
+    if (!user?.preferredCategories?.length) {
+      return [];
+    }
+    // Preferring a category takes in its subcategories
+    const categoryIds = (await Promise.all(user.preferredCategories.map(id => getCategoryTreeIds(id)))).flat();
+    const reels = await findCandidates({ ...filter, category: { $in: categoryIds } })
+      .sort({ popularityScore: -1 });
+    return reels.map(reel => ({ reel, detail: reel.category?.name }));
+  },
+
+  tags: async ({ user, filter }) => {
+    if (!user) {
+      return [];
+    }
+    const likedTags = await getLikedTags(user._id);
+    if (likedTags.length === 0) {
+      return [];
+    }
+    const reels = await findCandidates({ ...filter, tags: { $in: likedTags } }).sort({ popularityScore: -1 });
+    return reels.map(reel => ({ reel, detail: likedTags.find(tag => reel.tags.includes(tag)) }));
+  },
+
+  trending: async ({ filter }) => {
+    const snapshot = await TrendingSnapshot.getLatest('today');
+    const ranks = new Map((snapshot?.entries || []).map(entry => [entry.reel.toString(), entry.rank]));
+    if (ranks.size === 0) {
+      return [];
+    }
+    // Trending reels can be older than the candidate window
+    const { createdAt, ...trendingFilter } = filter;
+    const reels = await findCandidates({ ...trendingFilter, _id: { $in: [...ranks.keys()] } });
+    return reels.map(reel => ({ reel, detail: ranks.get(reel._id.toString()) }));
+  },
+
+  popular: async ({ filter }) => {
+    const reels = await findCandidates(filter).sort({ popularityScore: -1 });
+    return reels.map(reel => ({ reel }));
+  }
+};
+
+// Scoring functions take a candidate ({ reel, sources }) and a context ({ now, user })
+// and return a number; higher ranks first.
+const defaultScorer = (candidate, { now }) => {
+  const affinity = candidate.sources.reduce((sum, { source }) => sum + SOURCE_WEIGHTS[source], 0);
+  const engagement = Math.log1p(Math.max(candidate.reel.popularityScore || 0, 0));
+  // Freshness halves every 3 days but never drops a reel below half its score
+  const ageDays = (now.getTime() - new Date(candidate.reel.createdAt).getTime()) / DAY;
+  const freshness = 0.5 + 0.5 * Math.pow(0.5, ageDays / 3);
+  return (affinity + engagement) * freshness;
+};
+
+const scorers = {
+  default: defaultScorer
+};
+
+const registerScorer = (name, scorer) => {
+  scorers[name] = scorer;
+};
+
+const getScorer = () => scorers[process.env.FEED_SCORER] || scorers.default;
+
+// Explains the strongest reason a reel was picked
+const getReason = (candidate) => {
+  const { source, detail } = [...candidate.sources]
+    .sort((a, b) => SOURCE_WEIGHTS[b.source] - SOURCE_WEIGHTS[a.source])[0];
+
+  switch (source) {
+    case 'following':
+      return `Because you follow @${detail}`;
+    case 'hashtags':
+      return `Because you follow #${detail}`;
+    case 'tags':
+      return `Because you liked reels tagged #${detail}`;
+    case 'categories':
+      return `Popular in ${detail}, one of your interests`;
+    case 'trending':
+      return `#${detail} on trending today`;
+    default:
+      return 'Popular on Shortzo';
+  }
+};
+
+// The checks a saved feed's reels still go through when their page is served:
+// the reel is still up and visible to the viewer, and the viewer hasn't hidden
+// it or its creator since. The feed was ranked with the rest.
+const feedPageFilter = (user, exclusions) => {
+  const { createdAt, ...filter } = candidateFilter(user, new Date());
+  return excludeFromFeed(filter, exclusions, { keepCategories: true });
+};
+
+// Reels the viewer has already watched, as a Set of id strings
+const getWatchedReelIds = async ({ user, sessionId }, reelIds) => {
+  const viewer = user ? { user: user._id } : sessionId ? { user: null, sessionId } : null;
+  if (!viewer) {
+    return new Set();
+  }
+  const watched = await ReelView.distinct('reel', { ...viewer, reel: { $in: reelIds } });
+  return new Set(watched.map(id => id.toString()));
+};
+
+// Returns every ranked candidate as [{ reel, score, reason }], best first
+const rankForYouFeed = async ({ user, sessionId, now = new Date() }) => {
+  const filter = candidateFilter(user, now);
+  const context = { user, filter };
+
+  const candidates = new Map();
+  for (const [source, getCandidates] of Object.entries(candidateSources)) {
+    for (const { reel, detail } of await getCandidates(context)) {
+      const key = reel._id.toString();
+      if (!candidates.has(key)) {
+        candidates.set(key, { reel, sources: [] });
+      }
+      candidates.get(key).sources.push({ source, detail });
+    }
+  }
+
+  // Viewers don't need their own reels recommended to them, nor reels and
+  // creators they've hidden
+  const exclusions = await getFeedExclusions(user?._id);
+  const hiddenReelIds = new Set(exclusions.reelIds.map(id => id.toString()));
+  const hiddenCreatorIds = new Set(exclusions.creatorIds.map(id => id.toString()));
+  const fewerCategoryIds = new Set(exclusions.categories.map(id => id.toString()));
+  if (user) {
+    hiddenCreatorIds.add(user._id.toString());
+  }
+  for (const [key, { reel }] of candidates) {
+    if (hiddenReelIds.has(key) || hiddenCreatorIds.has(reel.author?._id?.toString())) {
+      candidates.delete(key);
+    }
+  }
+
+  const watched = await getWatchedReelIds({ user, sessionId }, [...candidates.keys()]);
+  const scorer = getScorer();
+
+  return [...candidates.entries()]
+    .filter(([key]) => !watched.has(key))
+    .map(([, candidate]) => {
+      const score = scorer(candidate, { now, user });
+      return {
+        reel: candidate.reel,
+        score: fewerCategoryIds.has(candidate.reel.category?._id?.toString()) ? score * FEWER_CATEGORY_FACTOR : score,
+        reason: getReason(candidate)
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.reel._id.toString().localeCompare(a.reel._id.toString()));
+};
+
+module.exports = {
+  registerScorer,
+  rankForYouFeed,
+  feedPageFilter
+};
@@ -0,0 +1,80 @@
+const Reel = require('../models/Reel');
+const Hashtag = require('../models/Hashtag');
+
+// Keeps Hashtag documents in step with the tags on reels. Counts are
+// recomputed from the reels rather than incremented, so publishing, editing,
+// deleting and restoring can all just refresh the tags they touched.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const VELOCITY_WINDOW_DAYS = 7;
+
+const normalizeTag = (tag = '') => tag.toString().trim().replace(/^#/, '').toLowerCase();
+
+// Reels that count towards a hashtag: live and listed
+const hashtagReelsFilter = () => ({
+  isActive: true,
+  isApproved: true,
+  deletedAt: null,
+  ...Reel.listedFilter()
+});
+
+const refreshHashtags = async (tags = []) => {
+  const names = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+  for (const name of names) {
+    const reelsCount = await Reel.countDocuments({ tags: name, ...hashtagReelsFilter() });
+    // Tags that were never used on a listed reel don't get a page yet
+    if (reelsCount === 0) {
+      await Hashtag.updateOne({ name }, { $set: { reelsCount: 0 } });
+      continue;
+    }
+    await Hashtag.updateOne(
+      { name },
+      { $set: { reelsCount }, $setOnInsert: { firstUsedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+};
+
+// How quickly each tag is being used, compared with the week before
+const computeHashtagVelocity = async (now = new Date()) => {
+  const dayAgo = new Date(now.getTime() - DAY);
+  const usage = await Reel.aggregate([
+    { $match: { createdAt: { $gte: new Date(now.getTime() - VELOCITY_WINDOW_DAYS * DAY) }, ...hashtagReelsFilter() } },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: '$tags',
+        usesLast24h: { $sum: { $cond: [{ $gte: ['$createdAt', dayAgo] }, 1, 0] } },
+        usesInWindow: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const updates = usage.map(({ _id, usesLast24h, usesInWindow }) => {
+    const previousDailyAverage = (usesInWindow - usesLast24h) / (VELOCITY_WINDOW_DAYS - 1);
+    return {
+      updateOne: {
+        filter: { name: _id },
+        update: { $set: { usesLast24h, velocity: usesLast24h - previousDailyAverage } }
+      }
+    };
+  });
+  if (updates.length > 0) {
+    await Hashtag.bulkWrite(updates);
+  }
+
+  // Tags nobody used in the window have stopped moving
+  await Hashtag.updateMany(
+    { name: { $nin: usage.map(({ _id }) => _id) }, $or: [{ usesLast24h: { $ne: 0 } }, { velocity: { $ne: 0 } }] },
+    { $set: { usesLast24h: 0, velocity: 0 } }
+  );
+};
+
+module.exports = {
+  normalizeTag,
+  hashtagReelsFilter,
+  refreshHashtags,
+  computeHashtagVelocity
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpeg');
+
+// HLS bitrate ladder. Quality names refer to the short side of the frame,
+// so a vertical 720x1280 reel is "720p" just like a landscape 1280x720 one.
+const HLS_LADDER = [
+  { quality: '360p', shortSide: 360, videoBitrate: 800, audioBitrate: 96 },
+  { quality: '720p', shortSide: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { quality: '1080p', shortSide: 1080, videoBitrate: 5000, audioBitrate: 128 }
+];
+
+const SEGMENT_SECONDS = 4;
+
+// Pick the ladder rungs that make sense for a source, never upscaling past it
+const getLadderForSource = ({ width, height }) => {
+  const sourceShortSide = Math.min(width, height);
+  const rungs = HLS_LADDER.filter(rung => rung.shortSide <= sourceShortSide);
+
+  // Tiny sources still get a single rendition at their own size
+  return rungs.length > 0 ? rungs : [HLS_LADDER[0]];
+};
+
+// Output dimensions for a rung, keeping the aspect ratio and even numbers for x264
+const getRenditionSize = ({ width, height }, rung) => {
+  const even = value => Math.max(2, Math.round(value / 2) * 2);
+  const shortSide = Math.min(rung.shortSide, Math.min(width, height));
+
+  if (height >= width) {
+    return { width: even(shortSide), height: even(shortSide * height / width) };
+  }
+  return { width: even(shortSide * width / height), height: even(shortSide) };
+};
+
+// Transcode one rendition into <outputDir>/<quality>.m3u8 plus its segments
+const transcodeRendition = async (sourcePath, outputDir, source, rung) => {
+  const size = getRenditionSize(source, rung);
+  const gopSize = Math.round((source.frameRate || 30) * 2);
+
+  const args = [
+    '-i', sourcePath,
+    '-vf', `scale=${size.width}:${size.height}`,
+    '-c:v', 'libx264',
+    '-preset', process.env.TRANSCODE_PRESET || 'veryfast',
+    '-profile:v', 'main',
+    '-pix_fmt', 'yuv420p',
+    '-b:v', `${rung.videoBitrate}k`,
+    '-maxrate', `${Math.round(rung.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rung.videoBitrate * 2}k`,
+    '-g', String(gopSize),
+    '-keyint_min', String(gopSize),
+    '-sc_threshold', '0'
+  ];
+
+  if (source.hasAudio) {
+    args.push('-c:a', 'aac', '-b:a', `${rung.audioBitrate}k`, '-ac', '2');
+  } else {
+    args.push('-an');
+  }
+
+  args.push(
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, `${rung.quality}_%03d.ts`),
+    path.join(outputDir, `${rung.quality}.m3u8`)
+  );
+
+  await runFfmpeg(args);
+
+  return {
+    quality: rung.quality,
+    width: size.width,
+    height: size.height,
+    bandwidth: (rung.videoBitrate + (source.hasAudio ? rung.audioBitrate : 0)) * 1000,
+    playlist: `${rung.quality}.m3u8`
+  };
+};
+
+// Write the master playlist that lets players switch between renditions
+const writeMasterPlaylist = async (outputDir, renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.quality}"`);
+    lines.push(rendition.playlist);
+  });
+
+  await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), lines.join('\n') + '\n');
+  return 'master.m3u8';
+};
+
+// Transcode a source video into an HLS ladder inside outputDir
+// source is the result of ffmpeg.probe() for sourcePath
+const transcodeToHls = async (sourcePath, outputDir, source) => {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const renditions = [];
+  // One rendition at a time, transcoding is CPU bound
+  for (const rung of getLadderForSource(source)) {
+    renditions.push(await transcodeRendition(sourcePath, outputDir, source, rung));
+  }
+
+  const masterPlaylist = await writeMasterPlaylist(outputDir, renditions);
+
+  return { masterPlaylist, renditions };
+};
+
+module.exports = {
+  HLS_LADDER,
+  getLadderForSource,
+  transcodeToHls
+};
@@ -0,0 +1,108 @@
+// Cursor (keyset) pagination. A cursor is an opaque token holding the sort
+// values and _id of the last item on a page; the next page starts right after
+// it, so items added or removed in the meantime don't shift what comes next.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const getPageLimit = (value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) => {
+  return Math.min(Math.max(parseInt(value) || defaultLimit, 1), maxLimit);
+};
+
+// Sort keys should be numbers, dates or strings; Mongoose won't cast range
+// queries on booleans.
+
+// _id breaks ties so every item has a unique position in the sort order
+const withTiebreaker = (sort) => {
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+};
+
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(key => doc[key] ?? null);
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+    const error = new Error('Invalid cursor');
+    error.name = 'CursorError';
+    throw error;
+  }
+  return values;
+};
+
+// Conditions matching the items after the cursor position. Missing values sort
+// first in MongoDB, so nothing comes before them in descending order.
+const afterCursor = (sort, values) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const value = values[index];
+    let condition;
+    if (sort[key] === 1) {
+      condition = value === null ? { $ne: null } : { $gt: value };
+    } else if (value !== null) {
+      condition = { $lt: value };
+    }
+    if (!condition) {
+      return;
+    }
+
+    const branch = {};
+    keys.slice(0, index).forEach((previousKey, previousIndex) => {
+      branch[previousKey] = values[previousIndex];
+    });
+    branch[key] = condition;
+    branches.push(branch);
+  });
+
+  return { $or: branches };
+};
+
+// Returns the filter and sort to query one page with. Fetch limit + 1 items so
+// buildPage can tell whether there's another page.
+const applyCursor = (filter, sort, cursor) => {
+  const fullSort = withTiebreaker(sort);
+  if (!cursor) {
+    return { filter, sort: fullSort };
+  }
+
+  const values = decodeCursor(cursor, fullSort);
+  return {
+    filter: { $and: [filter, afterCursor(fullSort, values)] },
+    sort: fullSort
+  };
+};
+
+// Trims the extra item fetched by the query and builds the pagination info
+const buildPage = (docs, limit, sort) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  getPageLimit,
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  buildPage
+};
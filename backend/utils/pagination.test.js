@@ -0,0 +1,125 @@
+const {
+  getPageLimit,
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  buildPage
+} = require('./pagination');
+
+describe('getPageLimit', () => {
+  it('falls back to the default and stays within bounds', () => {
+    expect(getPageLimit(undefined)).toBe(20);
+    expect(getPageLimit('abc', 10)).toBe(10);
+    expect(getPageLimit('0')).toBe(20);
+    expect(getPageLimit('-5')).toBe(1);
+    expect(getPageLimit('500')).toBe(50);
+  });
+});
+
+describe('withTiebreaker', () => {
+  it('sorts on _id last, in the direction of the last key', () => {
+    expect(withTiebreaker({ createdAt: -1 })).toEqual({ createdAt: -1, _id: -1 });
+    expect(withTiebreaker({ username: 1 })).toEqual({ username: 1, _id: 1 });
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  const sort = { createdAt: -1, _id: -1 };
+
+  it('round-trips the sort values of a document', () => {
+    const cursor = encodeCursor({ createdAt: '2024-01-01T00:00:00.000Z', _id: 'abc' }, sort);
+    expect(decodeCursor(cursor, sort)).toEqual(['2024-01-01T00:00:00.000Z', 'abc']);
+  });
+
+  it('stores missing values as null', () => {
+    const cursor = encodeCursor({ _id: 'abc' }, sort);
+    expect(decodeCursor(cursor, sort)).toEqual([null, 'abc']);
+  });
+
+  it('rejects cursors that are not for this sort', () => {
+    const cursor = encodeCursor({ _id: 'abc' }, { _id: -1 });
+    expect(() => decodeCursor(cursor, sort)).toThrow(expect.objectContaining({ name: 'CursorError' }));
+    expect(() => decodeCursor('not a cursor', sort)).toThrow(expect.objectContaining({ name: 'CursorError' }));
+  });
+});
+
+describe('applyCursor', () => {
+  const filter = { isActive: true };
+
+  it('returns the filter as is for the first page', () => {
+    expect(applyCursor(filter, { createdAt: -1 })).toEqual({
+      filter,
+      sort: { createdAt: -1, _id: -1 }
+    });
+  });
+
+  it('pages a descending sort with the _id as tie-break', () => {
+    const cursor = encodeCursor({ score: 5, _id: 'b' }, { score: -1, _id: -1 });
+    expect(applyCursor(filter, { score: -1 }, cursor).filter).toEqual({
+      $and: [filter, {
+        $or: [
+          { score: { $lt: 5 } },
+          { score: 5, _id: { $lt: 'b' } }
+        ]
+      }]
+    });
+  });
+
+  it('pages an ascending sort', () => {
+    const cursor = encodeCursor({ username: 'bob', _id: 'b' }, { username: 1, _id: 1 });
+    expect(applyCursor(filter, { username: 1 }, cursor).filter).toEqual({
+      $and: [filter, {
+        $or: [
+          { username: { $gt: 'bob' } },
+          { username: 'bob', _id: { $gt: 'b' } }
+        ]
+      }]
+    });
+  });
+
+  it('has nothing before a null value in a descending sort', () => {
+    const cursor = encodeCursor({ lastSeen: null, _id: 'b' }, { lastSeen: -1, _id: -1 });
+    expect(applyCursor(filter, { lastSeen: -1 }, cursor).filter).toEqual({
+      $and: [filter, {
+        $or: [
+          { lastSeen: null, _id: { $lt: 'b' } }
+        ]
+      }]
+    });
+  });
+
+  it('puts every set value after a null value in an ascending sort', () => {
+    const cursor = encodeCursor({ lastSeen: null, _id: 'b' }, { lastSeen: 1, _id: 1 });
+    expect(applyCursor(filter, { lastSeen: 1 }, cursor).filter).toEqual({
+      $and: [filter, {
+        $or: [
+          { lastSeen: { $ne: null } },
+          { lastSeen: null, _id: { $gt: 'b' } }
+        ]
+      }]
+    });
+  });
+});
+
+describe('buildPage', () => {
+  const sort = { createdAt: -1, _id: -1 };
+  const docs = [
+    { _id: 'c', createdAt: 3 },
+    { _id: 'b', createdAt: 2 },
+    { _id: 'a', createdAt: 1 }
+  ];
+
+  it('trims the extra document and points the cursor at the last item', () => {
+    const { items, pagination } = buildPage(docs, 2, sort);
+    expect(items).toEqual(docs.slice(0, 2));
+    expect(pagination.hasMore).toBe(true);
+    expect(decodeCursor(pagination.nextCursor, sort)).toEqual([2, 'b']);
+  });
+
+  it('has no cursor on the last page', () => {
+    const { items, pagination } = buildPage(docs, 3, sort);
+    expect(items).toEqual(docs);
+    expect(pagination).toEqual({ limit: 3, hasMore: false, nextCursor: null });
+  });
+});
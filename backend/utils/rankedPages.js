@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Reel = require('../models/Reel');
+const ReelRanking = require('../models/ReelRanking');
+const { encodeCursor, decodeCursor, withTiebreaker } = require('./pagination');
+
+// Pagination for reel lists sorted on scores that keep changing. A keyset
+// cursor on the score would skip or repeat reels that gained likes or views
+// between two page loads, so the first page saves the order of the list and
+// the cursor points into it, like /api/reels/trending does with its snapshots.
+//
+// Later pages only show the saved reels that still match the list's filter, so
+// a page can hold fewer than `limit` reels (or none) while hasMore is true.
+// Clients keep following nextCursor until hasMore is false.
+
+// Only this many reels of a list can be paged through
+const RANKING_SIZE = 1000;
+
+const RANKING_CURSOR = { ranking: 1, position: 1 };
+
+const cursorError = (message) => {
+  const error = new Error(message);
+  error.name = 'CursorError';
+  return error;
+};
+
+// Identifies the list a request is for: the route, its query apart from the
+// cursor and page size, and the viewer, whose settings and hidden reels shape
+// the list
+const getListKey = (req) => {
+  const { cursor, limit, ...query } = req.query;
+  const params = Object.keys(query).sort().map(name => [name, query[name]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.baseUrl + req.path, params, req.user?._id || null]))
+    .digest('hex');
+};
+
+// One page of reel ids from a ranking. rankReels returns { reelIds, reasons }
+// for the whole list in order, reasons being optional, and is only called for
+// the first page; listKey is the getListKey of the request.
+const getRankingPage = async (cursor, limit, rankReels, listKey) => {
+  let ranking;
+  let position = 0;
+  if (cursor) {
+    const [rankingId, start] = decodeCursor(cursor, RANKING_CURSOR);
+    ranking = mongoose.isValidObjectId(rankingId) && await ReelRanking.findById(rankingId).lean();
+    if (!ranking || !Number.isInteger(start) || start < 0) {
+      throw cursorError('This list has changed, start from the first page');
+    }
+    if (ranking.listKey !== listKey) {
+      throw cursorError('This cursor belongs to a different list');
+    }
+    position = start;
+  } else {
+    const { reelIds, reasons = [] } = await rankReels();
+    ranking = { reels: reelIds.slice(0, RANKING_SIZE), reasons: reasons.slice(0, RANKING_SIZE) };
+  }
+
+  const end = position + limit;
+  const hasMore = ranking.reels.length > end;
+  // Single-page lists have nothing to come back to
+  if (hasMore && !ranking._id) {
+    ranking = await ReelRanking.create({ listKey, reels: ranking.reels, reasons: ranking.reasons });
+  }
+
+  return {
+    reelIds: ranking.reels.slice(position, end),
+    reasons: (ranking.reasons || []).slice(position, end),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ ranking: ranking._id, position: end }, RANKING_CURSOR) : null
+    }
+  };
+};
+
+// Like applyCursor, for a reel query sorted on a score. Later pages still apply
+// the filter, so reels hidden since the first page drop out.
+const getRankedPage = async (filter, sort, cursor, limit, listKey) => {
+  const fullSort = withTiebreaker(sort);
+  const { reelIds, pagination } = await getRankingPage(cursor, limit, async () => {
+    const reels = await Reel.find(filter).sort(fullSort).limit(RANKING_SIZE).select('_id').lean();
+    return { reelIds: reels.map(reel => reel._id) };
+  }, listKey);
+
+  return {
+    filter: { $and: [filter, { _id: { $in: reelIds } }] },
+    sort: fullSort,
+    reelIds,
+    pagination
+  };
+};
+
+// Like buildPage, putting the page's reels in ranked order. Reels that no
+// longer match are left out rather than replaced.
+const buildRankedPage = (docs, rankedPage) => {
+  const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  return {
+    items: rankedPage.reelIds.map(id => docsById.get(id.toString())).filter(Boolean),
+    pagination: rankedPage.pagination
+  };
+};
+
+module.exports = {
+  getListKey,
+  getRankingPage,
+  getRankedPage,
+  buildRankedPage
+};
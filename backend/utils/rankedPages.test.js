@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const ReelRanking = require('../models/ReelRanking');
+const { getListKey, getRankingPage, buildRankedPage } = require('./rankedPages');
+
+const ids = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+// ReelRanking.findById(id).lean() resolving to the given ranking
+const mockSavedRanking = (ranking) => {
+  jest.spyOn(ReelRanking, 'findById').mockReturnValue({ lean: () => Promise.resolve(ranking) });
+};
+
+const request = ({ path = '/', query = {}, user } = {}) => ({ baseUrl: '/api/reels', path, query, user });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getListKey', () => {
+  it('ignores the cursor, the page size and the order of the parameters', () => {
+    const key = getListKey(request({ query: { sortBy: 'popular', category: 'music' } }));
+    expect(getListKey(request({ query: { category: 'music', sortBy: 'popular', cursor: 'x', limit: '5' } }))).toBe(key);
+  });
+
+  it('differs by query, route and viewer', () => {
+    const key = getListKey(request({ query: { sortBy: 'popular', category: 'music' } }));
+    expect(getListKey(request({ query: { sortBy: 'popular', category: 'sports' } }))).not.toBe(key);
+    expect(getListKey(request({ path: '/other', query: { sortBy: 'popular', category: 'music' } }))).not.toBe(key);
+    expect(getListKey(request({ query: { sortBy: 'popular', category: 'music' }, user: { _id: 'u1' } }))).not.toBe(key);
+  });
+});
+
+describe('getRankingPage', () => {
+  it('does not save a list that fits on one page', async () => {
+    const reelIds = ids(3);
+    const create = jest.spyOn(ReelRanking, 'create');
+
+    const page = await getRankingPage(undefined, 5, async () => ({ reelIds }), 'key');
+
+    expect(create).not.toHaveBeenCalled();
+    expect(page.reelIds).toEqual(reelIds);
+    expect(page.pagination).toEqual({ limit: 5, hasMore: false, nextCursor: null });
+  });
+
+  it('saves the ranking on the first page and pages through it', async () => {
+    const reelIds = ids(5);
+    const reasons = reelIds.map((id, index) => `reason ${index}`);
+    const saved = { _id: new mongoose.Types.ObjectId(), listKey: 'key', reels: reelIds, reasons };
+    const create = jest.spyOn(ReelRanking, 'create').mockResolvedValue(saved);
+    const rankReels = jest.fn(async () => ({ reelIds, reasons }));
+
+    const first = await getRankingPage(undefined, 2, rankReels, 'key');
+    expect(create).toHaveBeenCalledWith({ listKey: 'key', reels: reelIds, reasons });
+    expect(first.reelIds).toEqual(reelIds.slice(0, 2));
+    expect(first.reasons).toEqual(reasons.slice(0, 2));
+    expect(first.pagination.hasMore).toBe(true);
+
+    mockSavedRanking(saved);
+    const second = await getRankingPage(first.pagination.nextCursor, 2, rankReels, 'key');
+    expect(second.reelIds).toEqual(reelIds.slice(2, 4));
+    expect(second.reasons).toEqual(reasons.slice(2, 4));
+
+    const last = await getRankingPage(second.pagination.nextCursor, 2, rankReels, 'key');
+    expect(last.reelIds).toEqual(reelIds.slice(4));
+    expect(last.pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+
+    // Later pages never rank again
+    expect(rankReels).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a cursor from a different list', async () => {
+    const reelIds = ids(5);
+    const saved = { _id: new mongoose.Types.ObjectId(), listKey: 'key', reels: reelIds };
+    jest.spyOn(ReelRanking, 'create').mockResolvedValue(saved);
+    const first = await getRankingPage(undefined, 2, async () => ({ reelIds }), 'key');
+
+    mockSavedRanking(saved);
+    await expect(getRankingPage(first.pagination.nextCursor, 2, jest.fn(), 'other key'))
+      .rejects.toMatchObject({ name: 'CursorError', message: 'This cursor belongs to a different list' });
+  });
+
+  it('rejects a cursor whose ranking has expired', async () => {
+    const reelIds = ids(5);
+    jest.spyOn(ReelRanking, 'create').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), listKey: 'key', reels: reelIds });
+    const first = await getRankingPage(undefined, 2, async () => ({ reelIds }), 'key');
+
+    mockSavedRanking(null);
+    await expect(getRankingPage(first.pagination.nextCursor, 2, jest.fn(), 'key'))
+      .rejects.toMatchObject({ name: 'CursorError', message: 'This list has changed, start from the first page' });
+  });
+});
+
+describe('buildRankedPage', () => {
+  it('keeps the ranked order and leaves out reels that no longer match', () => {
+    const [first, second, third] = ids(3);
+    const docs = [{ _id: third }, { _id: first }];
+    const pagination = { limit: 3, hasMore: true, nextCursor: 'next' };
+
+    expect(buildRankedPage(docs, { reelIds: [first, second, third], pagination })).toEqual({
+      items: [{ _id: first }, { _id: third }],
+      pagination
+    });
+  });
+});
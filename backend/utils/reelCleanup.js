@@ -0,0 +1,77 @@
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const ReelLike = require('../models/ReelLike');
+const ReelShare = require('../models/ReelShare');
+const ReelView = require('../models/ReelView');
+const WatchHistory = require('../models/WatchHistory');
+const SimilarReels = require('../models/SimilarReels');
+const { getStorage } = require('../storage');
+const { refreshHashtags } = require('./hashtags');
+const { refreshCategoryCounts } = require('./categories');
+
+// Permanently removes a reel: its media, its comments, likes, views, shares,
+// watch history entries and every reference to it.
+// Used when the trash is emptied and when orphaned reels are cleaned up.
+
+const getTrashRetentionDays = () => parseInt(process.env.REEL_TRASH_RETENTION_DAYS) || 30;
+
+// When a reel in the trash will be purged
+const getPurgeDate = (reel) => new Date(reel.deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+const removeReelMedia = async (reel) => {
+  const storage = getStorage(reel.storageProvider);
+
+  const removals = [
+    [reel.cloudinaryVideoId, 'video'],
+    [reel.cloudinaryThumbnailId, 'image'],
+    [reel.previewStorageId, 'image']
+  ];
+
+  for (const [id, resourceType] of removals) {
+    if (!id) continue;
+    try {
+      await storage.remove(id, resourceType);
+    } catch (error) {
+      console.error(`Failed to delete ${id} from ${storage.name} storage:`, error);
+    }
+  }
+
+  if (reel.hls?.storageId) {
+    try {
+      await storage.removeDirectory(reel.hls.storageId);
+    } catch (error) {
+      console.error(`Failed to delete HLS renditions for reel ${reel._id}:`, error);
+    }
+  }
+};
+
+const purgeReel = async (reel) => {
+  // Storage failures are logged but don't keep the reel around
+  await removeReelMedia(reel);
+
+  await Comment.deleteMany({ reel: reel._id });
+  await ReelLike.deleteMany({ reel: reel._id });
+  await ReelView.deleteMany({ reel: reel._id });
+  await ReelShare.deleteMany({ reel: reel._id });
+  await WatchHistory.deleteMany({ reel: reel._id });
+  await SimilarReels.deleteOne({ reel: reel._id });
+
+  await User.updateMany(
+    { $or: [{ reels: reel._id }, { likedReels: reel._id }, { savedReels: reel._id }] },
+    { $pull: { reels: reel._id, likedReels: reel._id, savedReels: reel._id } }
+  );
+
+  await Category.updateMany({ featuredReels: reel._id }, { $pull: { featuredReels: reel._id } });
+
+  await Reel.deleteOne({ _id: reel._id });
+  await refreshCategoryCounts([reel.category]);
+  await refreshHashtags(reel.tags);
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  purgeReel
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const { getStorage } = require('../storage');
+const { probe } = require('./ffmpeg');
+const { buildVideoMetadata, checkVideoLimits } = require('./videoLimits');
+const { isVideoProcessingEnabled, enqueueVideoProcessing } = require('../jobs/videoProcessing');
+const { recordPublishedReel, getPublishState, validatePublishAt } = require('./reelPublishing');
+const { findCategory } = require('./categories');
+
+// Turns an uploaded video file on disk into a reel. Shared by the single-request
+// upload (POST /api/reels) and resumable uploads (POST /api/uploads/:id/complete).
+
+const REEL_VISIBILITIES = ['public', 'private', 'unlisted'];
+
+// Errors carry the HTTP status to respond with; invalidVideo marks uploads that
+// can never become a reel, so callers know to discard them
+const createIngestError = (status, message, { invalidVideo = false } = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.invalidVideo = invalidVideo;
+  return error;
+};
+
+// Validate the reel form fields, resolving to an error message or null
+const validateReelFields = async ({ title, description, category, visibility, publishAt }) => {
+  if (!title || title.trim().length === 0 || title.length > 100) {
+    return 'Title must be between 1 and 100 characters';
+  }
+
+  if (!category) {
+    return 'Category is required';
+  }
+
+  if (!(await findCategory(category))) {
+    return 'Invalid category';
+  }
+
+  if (description && description.length > 500) {
+    return 'Description cannot exceed 500 characters';
+  }
+
+  if (visibility && !REEL_VISIBILITIES.includes(visibility)) {
+    return 'Visibility must be public, private or unlisted';
+  }
+
+  const publishAtError = validatePublishAt(publishAt);
+  if (publishAtError) {
+    return publishAtError;
+  }
+
+  return null;
+};
+
+// Tags arrive as an array, a JSON string or a comma separated string
+const parseTags = (tags) => {
+  let parsedTags = Array.isArray(tags) ? tags : [];
+  if (typeof tags === 'string') {
+    try {
+      parsedTags = JSON.parse(tags);
+    } catch (e) {
+      parsedTags = tags.split(',').map(tag => tag.trim());
+    }
+  }
+  return parsedTags.filter(tag => tag && tag.length > 0);
+};
+
+// Probe the video, upload it (and the optional thumbnail) to storage and create the reel.
+// On success the file at videoPath is handed to the processing job (or removed);
+// on failure it's left for the caller to clean up.
+const createReelFromFile = async ({ author, fields, videoPath, videoFilename, thumbnailFile = null }) => {
+  const { title, description = '', category, tags = [], isNSFW = false, visibility, isDraft, publishAt } = fields;
+
+  const fieldError = await validateReelFields({ title, description, category, visibility, publishAt });
+  if (fieldError) {
+    throw createIngestError(400, fieldError);
+  }
+
+  // Probe the upload ourselves instead of trusting client-reported metadata
+  let probeResult;
+  try {
+    probeResult = await probe(videoPath);
+  } catch (probeError) {
+    if (probeError.code === 'ENOENT') {
+      throw probeError; // ffprobe missing is a server problem, not a bad upload
+    }
+    console.error('Video probe failed:', probeError.message);
+    throw createIngestError(400, 'Could not read the video file. Please upload a valid video.', { invalidVideo: true });
+  }
+
+  const limitError = checkVideoLimits(probeResult);
+  if (limitError) {
+    throw createIngestError(400, limitError, { invalidVideo: true });
+  }
+
+  const storage = getStorage();
+  let videoResult = null;
+  let thumbnailResult = null;
+  let reel = null;
+
+  try {
+    console.log(`Uploading video to ${storage.name} storage...`);
+
+    const { size } = await fs.promises.stat(videoPath);
+    const fileSizeMB = size / (1024 * 1024);
+    console.log('Video file size:', fileSizeMB.toFixed(2), 'MB');
+
+    try {
+      videoResult = await storage.uploadFile(videoPath, {
+        resourceType: 'video',
+        folder: 'videos',
+        filename: videoFilename
+      });
+      console.log('Video uploaded successfully:', videoResult.url);
+    } catch (uploadError) {
+      console.error('Video upload failed:', uploadError);
+
+      // Handle specific Cloudinary errors
+      if (uploadError.http_code === 413 || uploadError.http_code === 499) {
+        throw createIngestError(413, `File too large for Cloudinary upload (${fileSizeMB.toFixed(1)}MB). Please compress your video or upgrade your Cloudinary plan.`);
+      }
+
+      throw uploadError;
+    }
+
+    if (thumbnailFile) {
+      console.log('Uploading thumbnail...');
+      thumbnailResult = await storage.upload(thumbnailFile.buffer, {
+        resourceType: 'image',
+        folder: 'thumbnails',
+        filename: thumbnailFile.originalname
+      });
+    }
+
+    const reelData = {
+      title,
+      description,
+      videoUrl: videoResult.url,
+      cloudinaryVideoId: videoResult.id,
+      storageProvider: storage.name,
+      category: (await findCategory(category))._id,
+      tags: parseTags(tags),
+      author,
+      isNSFW: isNSFW === 'true' || isNSFW === true,
+      visibility: visibility || 'public',
+      ...getPublishState({ isDraft, publishAt }),
+      duration: Math.round(probeResult.duration * 100) / 100,
+      videoMetadata: buildVideoMetadata(probeResult),
+      fileSize: videoResult.bytes,
+      processingStatus: isVideoProcessingEnabled() ? 'pending' : 'ready',
+      comments: []
+    };
+
+    if (thumbnailResult) {
+      reelData.thumbnailUrl = thumbnailResult.url;
+      reelData.cloudinaryThumbnailId = thumbnailResult.id;
+    }
+
+    reel = new Reel(reelData);
+    await reel.save();
+    console.log('Reel saved successfully, ID:', reel._id);
+
+    // Drafts and scheduled reels are counted when they're published
+    if (reel.isPublished()) {
+      await recordPublishedReel(reel);
+    }
+
+    // Generate thumbnails and transcode to HLS in the background,
+    // the original upload plays until it's done
+    if (isVideoProcessingEnabled()) {
+      enqueueVideoProcessing(reel._id, { sourcePath: videoPath, removeSource: true });
+    } else {
+      await fs.promises.rm(videoPath, { force: true });
+    }
+
+    return Reel.findById(reel._id)
+      .populate('author', 'username profilePicture isVerified')
+      .populate('mentions', 'username')
+      .populate('category', 'name slug');
+  } catch (error) {
+    // A reel saved before the error would point at the media removed below
+    if (reel && !reel.isNew) {
+      try {
+        await Reel.deleteOne({ _id: reel._id });
+        await User.updateOne({ _id: reel.author }, { $pull: { reels: reel._id } });
+      } catch (cleanupError) {
+        console.error('Failed to cleanup reel:', cleanupError);
+      }
+    }
+
+    // If there was an error after uploading to storage, try to clean up
+    if (videoResult?.id) {
+      try {
+        await storage.remove(videoResult.id, 'video');
+      } catch (cleanupError) {
+        console.error('Failed to cleanup video from storage:', cleanupError);
+      }
+    }
+
+    if (thumbnailResult?.id) {
+      try {
+        await storage.remove(thumbnailResult.id, 'image');
+      } catch (cleanupError) {
+        console.error('Failed to cleanup thumbnail from storage:', cleanupError);
+      }
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  REEL_VISIBILITIES,
+  validateReelFields,
+  createReelFromFile
+};
@@ -0,0 +1,76 @@
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const { refreshHashtags } = require('./hashtags');
+const { refreshCategoryCounts } = require('./categories');
+
+// What happens when a reel goes live: it shows up on the author's profile and
+// counts towards its category and hashtags. Drafts and scheduled reels do none
+// of that until then.
+const recordPublishedReel = async (reel) => {
+  await User.findByIdAndUpdate(reel.author, {
+    $addToSet: { reels: reel._id }
+  });
+
+  // Counts roll up to the parent categories
+  await refreshCategoryCounts([reel.category]);
+  await refreshHashtags(reel.tags);
+};
+
+// Flip a draft or scheduled reel live. Returns false when it was already published,
+// so the scheduler and a manual publish can't both count it.
+const publishReel = async (reel) => {
+  const result = await Reel.updateOne(
+    { _id: reel._id, status: { $in: ['draft', 'scheduled'] } },
+    {
+      $set: { status: 'published', publishedAt: new Date() },
+      $unset: { publishAt: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await recordPublishedReel(reel);
+  return true;
+};
+
+// Work out the initial status from the upload form: a draft, a reel scheduled for
+// later, or one that goes live straight away
+const getPublishState = ({ isDraft, publishAt }) => {
+  if (isDraft === true || isDraft === 'true') {
+    return { status: 'draft' };
+  }
+
+  if (publishAt && new Date(publishAt) > new Date()) {
+    return { status: 'scheduled', publishAt: new Date(publishAt) };
+  }
+
+  return { status: 'published', publishedAt: new Date() };
+};
+
+// Validate a requested publish time, returning an error message or null
+const validatePublishAt = (publishAt) => {
+  if (!publishAt) {
+    return null;
+  }
+
+  const date = new Date(publishAt);
+  if (isNaN(date.getTime())) {
+    return 'Publish time must be a valid date';
+  }
+
+  const maxScheduleDays = parseInt(process.env.MAX_SCHEDULE_DAYS) || 90;
+  if (date > new Date(Date.now() + maxScheduleDays * 24 * 60 * 60 * 1000)) {
+    return `Reels can be scheduled at most ${maxScheduleDays} days ahead`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  recordPublishedReel,
+  publishReel,
+  getPublishState,
+  validatePublishAt
+};
@@ -0,0 +1,273 @@
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Hashtag = require('../models/Hashtag');
+const { excludeFromFeed } = require('./feedFeedback');
+
+// Search across reels, users, hashtags and categories. Reels are matched with
+// the text index on title, tags and description, then re-ranked with boosts
+// for recent and popular reels.
+//
+// Query syntax:
+//   dance tutorial      reels matching any of the words, best matches first
+//   "salsa basics"      reels containing the exact phrase
+//   #dance              reels tagged dance
+//   @name               users whose username starts with name
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Reels are re-ranked from the best text matches only
+const SEARCH_CANDIDATES = 200;
+
+const RECENCY_BOOST = 0.5; // Up to +50% for brand new reels, halving every RECENCY_HALF_LIFE_DAYS
+const RECENCY_HALF_LIFE_DAYS = 14;
+const ENGAGEMENT_BOOST = 0.1; // Per order of magnitude of popularity score
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseSearchQuery = (q = '') => {
+  const phrases = [];
+  const withoutPhrases = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(phrase.trim());
+    }
+    return ' ';
+  });
+
+  const tags = [];
+  const mentions = [];
+  const terms = [];
+  for (const word of withoutPhrases.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith('#') && word.length > 1) {
+      tags.push(word.slice(1).toLowerCase());
+    } else if (word.startsWith('@') && word.length > 1) {
+      mentions.push(word.slice(1));
+    } else {
+      terms.push(word.replace(/"/g, ''));
+    }
+  }
+
+  return { phrases, tags, mentions, terms: terms.filter(Boolean) };
+};
+
+// The $search string for MongoDB text search, or null when there are only
+// tags or mentions to look for
+const buildTextSearch = ({ terms, phrases }) => {
+  const parts = [...terms, ...phrases.map(phrase => `"${phrase}"`)];
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
+// Query conditions for reels matching a parsed search query
+const reelSearchFilter = (parsed) => {
+  const filter = {};
+  const textSearch = buildTextSearch(parsed);
+  if (textSearch) {
+    filter.$text = { $search: textSearch };
+  }
+  if (parsed.tags.length > 0) {
+    filter.tags = { $all: parsed.tags };
+  }
+  return filter;
+};
+
+const hasReelQuery = (parsed) => parsed.terms.length + parsed.phrases.length + parsed.tags.length > 0;
+
+// Splits text into [{ text, highlight }] segments, marking the searched words
+// and phrases. Words match by prefix since text search matches word stems.
+const highlight = (text, parsed) => {
+  if (!text) {
+    return [];
+  }
+  const patterns = [
+    ...parsed.phrases.map(escapeRegex),
+    ...parsed.terms.map(term => `${escapeRegex(term)}\\w*`),
+    ...parsed.tags.map(tag => `#?${escapeRegex(tag)}\\b`)
+  ];
+  if (patterns.length === 0) {
+    return [{ text, highlight: false }];
+  }
+
+  // Splitting on a capturing pattern puts the matches at the odd indexes
+  const matcher = new RegExp(`(${patterns.join('|')})`, 'i');
+  return text.split(matcher)
+    .map((part, index) => ({ text: part, highlight: index % 2 === 1 }))
+    .filter(segment => segment.text);
+};
+
+// Cuts long text down to the part around the first highlighted match
+const snippet = (segments) => {
+  const fullText = segments.map(segment => segment.text).join('');
+  if (fullText.length <= SNIPPET_LENGTH) {
+    return segments;
+  }
+
+  let offset = 0;
+  let matchStart = 0;
+  for (const segment of segments) {
+    if (segment.highlight) {
+      matchStart = offset;
+      break;
+    }
+    offset += segment.text.length;
+  }
+  const start = Math.max(0, Math.min(matchStart - 40, fullText.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+
+  const result = [];
+  offset = 0;
+  for (const segment of segments) {
+    const segmentStart = offset;
+    const segmentEnd = offset + segment.text.length;
+    offset = segmentEnd;
+    if (segmentEnd <= start || segmentStart >= end) {
+      continue;
+    }
+    result.push({
+      text: segment.text.slice(Math.max(start - segmentStart, 0), Math.min(end, segmentEnd) - segmentStart),
+      highlight: segment.highlight
+    });
+  }
+  if (start > 0) {
+    result.unshift({ text: '…', highlight: false });
+  }
+  if (end < fullText.length) {
+    result.push({ text: '…', highlight: false });
+  }
+  return result;
+};
+
+const rankReel = (reel, now) => {
+  const relevance = reel.textScore || 1;
+  const ageDays = (now.getTime() - new Date(reel.createdAt).getTime()) / DAY;
+  const recency = RECENCY_BOOST * Math.pow(0.5, Math.max(ageDays, 0) / RECENCY_HALF_LIFE_DAYS);
+  const engagement = ENGAGEMENT_BOOST * Math.log10(1 + Math.max(reel.popularityScore || 0, 0));
+  return relevance * (1 + recency + engagement);
+};
+
+// The reels a search matches that the viewer may see
+const getReelSearchFilter = (parsed, { user, exclusions }) => excludeFromFeed({
+  ...reelSearchFilter(parsed),
+  isActive: true,
+  isApproved: true,
+  deletedAt: null,
+  ...Reel.listedFilter(),
+  ...((!user || !user.preferredCategories?.includes('NSFW')) && { isNSFW: { $ne: true } })
+}, exclusions);
+
+const findSearchReels = (parsed, filter) => {
+  const query = Reel.find(filter)
+    .populate('author', 'username profilePicture isVerified')
+    .populate('mentions', 'username')
+    .populate('category', 'name slug');
+  if (buildTextSearch(parsed)) {
+    query.select({ textScore: { $meta: 'textScore' } });
+  }
+  return query;
+};
+
+const toSearchResult = (reel, parsed, now) => ({
+  reel: {
+    ...reel,
+    highlights: {
+      title: highlight(reel.title, parsed),
+      description: snippet(highlight(reel.description, parsed))
+    }
+  },
+  score: rankReel(reel, now)
+});
+
+// Returns every matching reel the viewer may see as [{ reel, score }], best first
+const searchReels = async (parsed, { user, exclusions, now = new Date() }) => {
+  const query = findSearchReels(parsed, getReelSearchFilter(parsed, { user, exclusions }))
+    .limit(SEARCH_CANDIDATES);
+  if (buildTextSearch(parsed)) {
+    query.sort({ textScore: { $meta: 'textScore' } });
+  } else {
+    query.sort({ popularityScore: -1 });
+  }
+  const reels = await query.lean();
+
+  return reels
+    .map(reel => toSearchResult(reel, parsed, now))
+    .sort((a, b) => b.score - a.score || b.reel._id.toString().localeCompare(a.reel._id.toString()));
+};
+
+// The given reels as search results, in the given order, for the later pages of
+// a search. Reels that no longer match are left out.
+const getSearchResults = async (parsed, reelIds, { user, exclusions, now = new Date() }) => {
+  const filter = { $and: [getReelSearchFilter(parsed, { user, exclusions }), { _id: { $in: reelIds } }] };
+  const reels = await findSearchReels(parsed, filter).lean();
+  const reelsById = new Map(reels.map(reel => [reel._id.toString(), reel]));
+  return reelIds
+    .map(id => reelsById.get(id.toString()))
+    .filter(Boolean)
+    .map(reel => toSearchResult(reel, parsed, now));
+};
+
+// Users whose username starts with the query (or a mentioned name), matched
+// like the typeahead does rather than anywhere in the name
+const searchUsers = async (parsed, { exclusions, limit }) => {
+  const names = parsed.mentions.length > 0 ? parsed.mentions : parsed.terms;
+  if (names.length === 0) {
+    return [];
+  }
+  const name = escapeRegex(names[0]);
+
+  const users = await User.find({
+    username: new RegExp(`^${name}`, 'i'),
+    isActive: true,
+    ...(exclusions.creatorIds.length > 0 && { _id: { $nin: exclusions.creatorIds } })
+  })
+    .select('username profilePicture isVerified bio')
+    .limit(limit * 4)
+    .lean();
+
+  return users
+    .sort((a, b) => b.isVerified - a.isVerified ||
+      a.username.length - b.username.length)
+    .slice(0, limit);
+};
+
+// Hashtags starting with the searched tag or word, most used first
+const searchHashtags = async (parsed, { limit }) => {
+  const prefix = parsed.tags[0] || parsed.terms[0]?.toLowerCase();
+  if (!prefix) {
+    return [];
+  }
+  return Hashtag.find({ name: new RegExp(`^${escapeRegex(prefix)}`), reelsCount: { $gt: 0 } })
+    .select('name reelsCount followersCount')
+    .sort({ reelsCount: -1, name: 1 })
+    .limit(limit)
+    .lean();
+};
+
+const searchCategories = async (parsed, { limit }) => {
+  const words = [...parsed.terms, ...parsed.phrases];
+  if (words.length === 0) {
+    return [];
+  }
+  return Category.find({
+    isActive: true,
+    $or: words.map(word => ({ name: new RegExp(escapeRegex(word), 'i') }))
+  })
+    .select('name slug description icon color reelsCount')
+    .sort({ sortOrder: 1, name: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  highlight,
+  snippet,
+  reelSearchFilter,
+  hasReelQuery,
+  searchReels,
+  getSearchResults,
+  searchUsers,
+  searchHashtags,
+  searchCategories
+};
@@ -0,0 +1,85 @@
+const { parseSearchQuery, highlight, snippet, hasReelQuery } = require('./search');
+
+describe('parseSearchQuery', () => {
+  it('splits words, phrases, tags and mentions', () => {
+    expect(parseSearchQuery('salsa "dance basics" #Latin @maria')).toEqual({
+      phrases: ['dance basics'],
+      tags: ['latin'],
+      mentions: ['maria'],
+      terms: ['salsa']
+    });
+  });
+
+  it('ignores empty phrases, bare symbols and stray quotes', () => {
+    expect(parseSearchQuery('"  " # @ half"quote')).toEqual({
+      phrases: [],
+      tags: [],
+      mentions: [],
+      terms: ['#', '@', 'halfquote']
+    });
+  });
+
+  it('handles a missing query', () => {
+    expect(parseSearchQuery()).toEqual({ phrases: [], tags: [], mentions: [], terms: [] });
+  });
+});
+
+describe('hasReelQuery', () => {
+  it('needs words, phrases or tags; mentions alone only find users', () => {
+    expect(hasReelQuery(parseSearchQuery('dance'))).toBe(true);
+    expect(hasReelQuery(parseSearchQuery('#dance'))).toBe(true);
+    expect(hasReelQuery(parseSearchQuery('@maria'))).toBe(false);
+  });
+});
+
+describe('highlight', () => {
+  it('marks words by prefix, phrases and tags, ignoring case', () => {
+    const parsed = parseSearchQuery('danc "salsa basics" #latin');
+    expect(highlight('Dancing to Salsa basics #latin', parsed)).toEqual([
+      { text: 'Dancing', highlight: true },
+      { text: ' to ', highlight: false },
+      { text: 'Salsa basics', highlight: true },
+      { text: ' ', highlight: false },
+      { text: '#latin', highlight: true }
+    ]);
+  });
+
+  it('treats regex characters in the query literally', () => {
+    expect(highlight('a+b or ab', parseSearchQuery('"a+b"'))).toEqual([
+      { text: 'a+b', highlight: true },
+      { text: ' or ab', highlight: false }
+    ]);
+  });
+
+  it('leaves text alone when there is nothing to highlight', () => {
+    expect(highlight('Hello', parseSearchQuery('@maria'))).toEqual([{ text: 'Hello', highlight: false }]);
+    expect(highlight('', parseSearchQuery('dance'))).toEqual([]);
+  });
+});
+
+describe('snippet', () => {
+  const join = (segments) => segments.map(segment => segment.text).join('');
+
+  it('keeps short text whole', () => {
+    const segments = highlight('A short dance video', parseSearchQuery('dance'));
+    expect(snippet(segments)).toBe(segments);
+  });
+
+  it('cuts long text down to the part around the first match', () => {
+    const text = `${'x'.repeat(300)} dance ${'y'.repeat(300)}`;
+    const result = snippet(highlight(text, parseSearchQuery('dance')));
+
+    expect(result[0]).toEqual({ text: '…', highlight: false });
+    expect(result[result.length - 1]).toEqual({ text: '…', highlight: false });
+    expect(result).toContainEqual({ text: 'dance', highlight: true });
+    expect(join(result)).toHaveLength(160 + 2);
+  });
+
+  it('starts at the beginning when the match is near it', () => {
+    const text = `dance ${'y'.repeat(300)}`;
+    const result = snippet(highlight(text, parseSearchQuery('dance')));
+
+    expect(result[0]).toEqual({ text: 'dance', highlight: true });
+    expect(result[result.length - 1]).toEqual({ text: '…', highlight: false });
+  });
+});
@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const Category = require('../models/Category');
+const SearchLog = require('../models/SearchLog');
+const { escapeRegex, searchHashtags } = require('./search');
+
+// Typeahead suggestions for the search box. Called on every keystroke, so
+// every lookup is a prefix match with a small limit, and trending queries are
+// kept in memory between refreshes.
+
+const SUGGESTION_LIMIT = 5;
+
+const TRENDING_WINDOW = 24 * 60 * 60 * 1000;
+const TRENDING_REFRESH = 5 * 60 * 1000;
+const TRENDING_SIZE = 50;
+// A query has to be searched by this many different people in the window to
+// trend, so one client repeating a search can't put it in everyone's typeahead
+const TRENDING_MIN_SEARCHERS = 3;
+
+const normalizeQuery = (q = '') => q.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, 100);
+
+const recordSearch = async (userId, q, sessionId) => {
+  const query = normalizeQuery(q);
+  if (query) {
+    await SearchLog.create({
+      user: userId,
+      query,
+      ...(!userId && sessionId && { sessionId: sessionId.toString().slice(0, 100) })
+    });
+  }
+};
+
+// The user's latest distinct searches starting with the prefix, newest first
+const getRecentSearches = async (userId, prefix, limit = SUGGESTION_LIMIT) => {
+  if (!userId) {
+    return [];
+  }
+  const recent = await SearchLog.aggregate([
+    { $match: { user: userId, ...(prefix && { query: new RegExp(`^${escapeRegex(prefix)}`) }) } },
+    { $sort: { searchedAt: -1 } },
+    { $limit: 200 },
+    { $group: { _id: '$query', searchedAt: { $first: '$searchedAt' } } },
+    { $sort: { searchedAt: -1 } },
+    { $limit: limit }
+  ]);
+  return recent.map(({ _id }) => _id);
+};
+
+const clearRecentSearches = (userId, q) => {
+  return SearchLog.deleteMany({ user: userId, ...(q && { query: normalizeQuery(q) }) });
+};
+
+let trendingCache = { queries: [], refreshedAt: 0 };
+
+const getTrendingQueries = async (prefix, limit = SUGGESTION_LIMIT) => {
+  if (Date.now() - trendingCache.refreshedAt > TRENDING_REFRESH) {
+    const trending = await SearchLog.aggregate([
+      // Anonymous searches only count when they come with a session id
+      {
+        $match: {
+          searchedAt: { $gte: new Date(Date.now() - TRENDING_WINDOW) },
+          $or: [{ user: { $ne: null } }, { sessionId: { $ne: null } }]
+        }
+      },
+      { $group: { _id: '$query', searchers: { $addToSet: { $ifNull: ['$user', '$sessionId'] } } } },
+      { $project: { searchers: { $size: '$searchers' } } },
+      { $match: { searchers: { $gte: TRENDING_MIN_SEARCHERS } } },
+      { $sort: { searchers: -1, _id: 1 } },
+      { $limit: TRENDING_SIZE }
+    ]);
+    trendingCache = { queries: trending.map(({ _id }) => _id), refreshedAt: Date.now() };
+  }
+
+  return trendingCache.queries
+    .filter(query => !prefix || query.startsWith(prefix))
+    .slice(0, limit);
+};
+
+const suggestUsers = async (prefix, exclusions) => {
+  const name = prefix.replace(/^@/, '');
+  if (!name) {
+    return [];
+  }
+  return User.find({
+    username: new RegExp(`^${escapeRegex(name)}`, 'i'),
+    isActive: true,
+    ...(exclusions.creatorIds.length > 0 && { _id: { $nin: exclusions.creatorIds } })
+  })
+    .select('username profilePicture isVerified')
+    .sort({ username: 1 })
+    .limit(SUGGESTION_LIMIT)
+    .lean();
+};
+
+const suggestCategories = (prefix) => {
+  return Category.find({ isActive: true, name: new RegExp(`^${escapeRegex(prefix)}`, 'i') })
+    .select('name slug icon color')
+    .sort({ sortOrder: 1, name: 1 })
+    .limit(SUGGESTION_LIMIT)
+    .lean();
+};
+
+// Suggestions for what the user has typed so far. An empty query only returns
+// recent and trending searches. A leading @ or # narrows to users or hashtags.
+const getSuggestions = async (q, { user, exclusions }) => {
+  const prefix = normalizeQuery(q);
+  const wantsUsers = prefix && !prefix.startsWith('#');
+  const wantsHashtags = prefix && !prefix.startsWith('@');
+  const wantsCategories = prefix && !/^[@#]/.test(prefix);
+
+  const [users, hashtags, categories, recent, trending] = await Promise.all([
+    wantsUsers ? suggestUsers(prefix, exclusions) : [],
+    wantsHashtags
+      ? searchHashtags({ tags: [prefix.replace(/^#/, '')], terms: [] }, { limit: SUGGESTION_LIMIT })
+      : [],
+    wantsCategories ? suggestCategories(prefix) : [],
+    getRecentSearches(user?._id, prefix),
+    getTrendingQueries(prefix)
+  ]);
+
+  return { users, hashtags, categories, recent, trending };
+};
+
+module.exports = {
+  normalizeQuery,
+  recordSearch,
+  clearRecentSearches,
+  getSuggestions
+};
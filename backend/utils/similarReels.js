@@ -0,0 +1,138 @@
+const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const SimilarReels = require('../models/SimilarReels');
+
+// "Similar reels" for a reel. Candidates share its tags, category or creator,
+// or were liked by the same people, and are ranked by how many of those they
+// have in common. Rankings are the same for every viewer, so they're cached
+// per reel; per-viewer filtering happens after reading the cache.
+
+const CANDIDATE_LIMIT = 100;
+const CACHED_RESULTS = 50;
+
+// Co-engagement samples the most recent likers and what else they liked
+const LIKERS_SAMPLE = 200;
+const CO_LIKES_SAMPLE = 2000;
+
+const SIMILARITY_WEIGHTS = {
+  tag: 2, // Per shared tag
+  category: 1,
+  creator: 1.5,
+  coLike: 3 // Scaled by the share of likers who also liked the candidate
+};
+
+// The cache is recomputed once likes, or the popularity score, move by this
+// many, or this fraction, whichever is larger
+const INVALIDATE_MIN_LIKES = 10;
+const INVALIDATE_MIN_POPULARITY = 30;
+const INVALIDATE_RATIO = 0.2;
+
+const candidateFilter = (reel) => ({
+  _id: { $ne: reel._id },
+  isActive: true,
+  isApproved: true,
+  deletedAt: null,
+  ...Reel.listedFilter()
+});
+
+const findCandidates = (filter) => {
+  return Reel.find(filter)
+    .select('author category tags popularityScore')
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+};
+
+// Reels liked by people who liked this one, as a Map of reel id string to the
+// share of sampled likers who liked it
+const getCoLikedReels = async (reel) => {
+  const likes = await ReelLike.find({ reel: reel._id })
+    .sort({ likedAt: -1 })
+    .limit(LIKERS_SAMPLE)
+    .select('user')
+    .lean();
+  const likers = likes.map(like => like.user);
+  if (likers.length === 0) {
+    return new Map();
+  }
+
+  const coLikes = await ReelLike.aggregate([
+    { $match: { user: { $in: likers }, reel: { $ne: reel._id } } },
+    { $sort: { likedAt: -1 } },
+    { $limit: CO_LIKES_SAMPLE },
+    { $group: { _id: '$reel', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]);
+  return new Map(coLikes.map(({ _id, count }) => [_id.toString(), count / likers.length]));
+};
+
+const computeSimilarReels = async (reel) => {
+  const filter = candidateFilter(reel);
+  const tags = reel.tags || [];
+  const coLiked = await getCoLikedReels(reel);
+
+  const [byTags, byCategory, byCreator, byCoLikes] = await Promise.all([
+    tags.length > 0 ? findCandidates({ ...filter, tags: { $in: tags } }).sort({ popularityScore: -1 }) : [],
+    findCandidates({ ...filter, category: reel.category }).sort({ popularityScore: -1 }),
+    findCandidates({ ...filter, author: reel.author }).sort({ createdAt: -1 }),
+    coLiked.size > 0 ? findCandidates({ $and: [filter, { _id: { $in: [...coLiked.keys()] } }] }) : []
+  ]);
+
+  const candidates = new Map();
+  for (const candidate of [...byTags, ...byCategory, ...byCreator, ...byCoLikes]) {
+    candidates.set(candidate._id.toString(), candidate);
+  }
+
+  const entries = [...candidates.entries()].map(([key, candidate]) => {
+    const sharedTags = (candidate.tags || []).filter(tag => tags.includes(tag)).length;
+    const score = sharedTags * SIMILARITY_WEIGHTS.tag +
+      (candidate.category?.toString() === reel.category?.toString() ? SIMILARITY_WEIGHTS.category : 0) +
+      (candidate.author?.toString() === reel.author?.toString() ? SIMILARITY_WEIGHTS.creator : 0) +
+      (coLiked.get(key) || 0) * SIMILARITY_WEIGHTS.coLike +
+      // Breaks ties in favour of reels people engage with
+      Math.log1p(Math.max(candidate.popularityScore || 0, 0)) * 0.1;
+    return { reel: candidate._id, score };
+  });
+
+  return entries
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHED_RESULTS);
+};
+
+const hasMoved = (current = 0, cached = 0, minChange) => {
+  return Math.abs(current - cached) >= Math.max(minChange, cached * INVALIDATE_RATIO);
+};
+
+const isStale = (cached, reel) => {
+  return hasMoved(reel.likesCount, cached.likesCount, INVALIDATE_MIN_LIKES) ||
+    hasMoved(reel.popularityScore, cached.popularityScore, INVALIDATE_MIN_POPULARITY);
+};
+
+// Returns the cached ranking for a reel as [{ reel, score }], recomputing it
+// when missing or when the reel's engagement has changed significantly
+const getSimilarReels = async (reel) => {
+  const cached = await SimilarReels.findOne({ reel: reel._id }).lean();
+  if (cached && !isStale(cached, reel)) {
+    return cached.entries;
+  }
+
+  const entries = await computeSimilarReels(reel);
+  try {
+    await SimilarReels.findOneAndUpdate(
+      { reel: reel._id },
+      { entries, likesCount: reel.likesCount || 0, popularityScore: reel.popularityScore || 0, computedAt: new Date() },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request cached this reel at the same moment; its ranking is as
+    // good as ours
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  return entries;
+};
+
+module.exports = {
+  getSimilarReels
+};
@@ -1,37 +1,32 @@
-const cloudinary = require('cloudinary').v2;
+const { getStorage } = require('../storage');
 
-// Function to check if a Cloudinary resource exists
-const checkCloudinaryResourceExists = async (publicId, resourceType = 'video') => {
-  try {
-    await cloudinary.api.resource(publicId, { resource_type: resourceType });
-    return true;
-  } catch (error) {
-    if (error.http_code === 404) {
-      return false; // Resource doesn't exist
-    }
-    // For other errors (like rate limits), assume it exists to avoid false positives
-    console.warn(`Warning: Could not verify Cloudinary resource ${publicId}:`, error.message);
-    return true;
+// Function to check if a reel's video still exists in the storage it was uploaded to
+const checkReelVideoExists = async (reel) => {
+  if (!reel.cloudinaryVideoId) {
+    return false;
   }
+
+  const storage = getStorage(reel.storageProvider || 'cloudinary');
+  return storage.exists(reel.cloudinaryVideoId, 'video');
 };
 
-// Function to validate and filter reels that have valid Cloudinary videos
-const validateReelsCloudinaryVideos = async (reels) => {
+// Function to validate and filter reels that have valid videos in storage
+const validateReelsVideos = async (reels) => {
   const validReels = [];
   const invalidReelIds = [];
 
   for (const reel of reels) {
     if (!reel.cloudinaryVideoId) {
-      console.warn(`Reel ${reel._id} has no cloudinaryVideoId`);
+      console.warn(`Reel ${reel._id} has no video storage id`);
       invalidReelIds.push(reel._id);
       continue;
     }
 
-    const videoExists = await checkCloudinaryResourceExists(reel.cloudinaryVideoId, 'video');
+    const videoExists = await checkReelVideoExists(reel);
     if (videoExists) {
       validReels.push(reel);
     } else {
-      console.warn(`Video not found in Cloudinary for reel ${reel._id}: ${reel.cloudinaryVideoId}`);
+      console.warn(`Video not found in ${reel.storageProvider || 'cloudinary'} storage for reel ${reel._id}: ${reel.cloudinaryVideoId}`);
       invalidReelIds.push(reel._id);
     }
   }
@@ -39,7 +34,7 @@ const validateReelsCloudinaryVideos = async (reels) => {
   return { validReels, invalidReelIds };
 };
 
-// Function to mark reels as inactive if their Cloudinary videos don't exist
+// Function to mark reels as inactive if their videos don't exist in storage
 const markInvalidReelsInactive = async (invalidReelIds) => {
   if (invalidReelIds.length === 0) return;
 
@@ -47,10 +42,10 @@ const markInvalidReelsInactive = async (invalidReelIds) => {
   try {
     const result = await Reel.updateMany(
       { _id: { $in: invalidReelIds } },
-      { $set: { isActive: false, inactiveReason: 'Cloudinary video not found' } }
+      { $set: { isActive: false, inactiveReason: 'Video not found in storage' } }
     );
     
-    console.log(`Marked ${result.modifiedCount} reels as inactive due to missing Cloudinary videos`);
+    console.log(`Marked ${result.modifiedCount} reels as inactive due to missing videos`);
     return result.modifiedCount;
   } catch (error) {
     console.error('Error marking reels as inactive:', error);
@@ -67,11 +62,7 @@ const validateReelsBatch = async (reels, batchSize = 10, delayMs = 100) => {
     const batch = reels.slice(i, i + batchSize);
     
     const batchPromises = batch.map(async (reel) => {
-      if (!reel.cloudinaryVideoId) {
-        return { reel: null, isValid: false };
-      }
-
-      const videoExists = await checkCloudinaryResourceExists(reel.cloudinaryVideoId, 'video');
+      const videoExists = await checkReelVideoExists(reel);
       return { reel: videoExists ? reel : null, isValid: videoExists };
     });
 
@@ -96,8 +87,8 @@ const validateReelsBatch = async (reels, batchSize = 10, delayMs = 100) => {
 };
 
 module.exports = {
-  checkCloudinaryResourceExists,
-  validateReelsCloudinaryVideos,
+  checkReelVideoExists,
+  validateReelsVideos,
   markInvalidReelsInactive,
   validateReelsBatch
 };
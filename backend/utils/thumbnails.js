@@ -0,0 +1,68 @@
+const { runFfmpeg } = require('./ffmpeg');
+
+const THUMBNAIL_WIDTH = 720;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_SECONDS = 3;
+const PREVIEW_FPS = 10;
+
+// Scale to a max width while keeping the aspect ratio (and even dimensions)
+const scaleFilter = (maxWidth) => `scale='min(${maxWidth},iw)':-2`;
+
+// Default point to look for a cover frame: skip intros/black frames at the very start
+const getDefaultThumbnailTime = (duration) => {
+  if (!duration) return 0;
+  return Math.min(duration * 0.1, 3);
+};
+
+// Extract the frame at an exact timestamp as a JPEG
+const extractFrame = async (sourcePath, outputPath, timestamp = 0) => {
+  await runFfmpeg([
+    '-ss', String(Math.max(0, timestamp)),
+    '-i', sourcePath,
+    '-frames:v', '1',
+    '-vf', scaleFilter(THUMBNAIL_WIDTH),
+    '-q:v', '3',
+    outputPath
+  ]);
+};
+
+// Pick the most representative frame from a window starting at `from`.
+// ffmpeg's thumbnail filter chooses the frame closest to the average of each batch,
+// which avoids fades, black frames and motion blur.
+const extractRepresentativeFrame = async (sourcePath, outputPath, { duration, from = getDefaultThumbnailTime(duration) } = {}) => {
+  await runFfmpeg([
+    '-ss', String(from),
+    '-i', sourcePath,
+    '-vf', `thumbnail=60,${scaleFilter(THUMBNAIL_WIDTH)}`,
+    '-frames:v', '1',
+    '-q:v', '3',
+    outputPath
+  ]);
+  return from;
+};
+
+// Create a short looping animated preview. The format follows the output extension
+// (.webp or .gif); WebP is much smaller, GIF is the fallback for old clients.
+const createAnimatedPreview = async (sourcePath, outputPath, { duration, from = getDefaultThumbnailTime(duration) } = {}) => {
+  const length = duration ? Math.min(PREVIEW_SECONDS, Math.max(duration - from, 0.5)) : PREVIEW_SECONDS;
+  const filters = `fps=${PREVIEW_FPS},${scaleFilter(PREVIEW_WIDTH)}:flags=lanczos`;
+
+  const args = ['-ss', String(from), '-t', String(length), '-i', sourcePath, '-an', '-loop', '0'];
+
+  if (outputPath.endsWith('.gif')) {
+    // Build a palette from the clip itself so GIF colours don't band
+    args.push('-vf', `${filters},split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse`);
+  } else {
+    args.push('-vf', filters, '-c:v', 'libwebp', '-quality', '60', '-compression_level', '4');
+  }
+
+  args.push(outputPath);
+  await runFfmpeg(args);
+};
+
+module.exports = {
+  getDefaultThumbnailTime,
+  extractFrame,
+  extractRepresentativeFrame,
+  createAnimatedPreview
+};
@@ -0,0 +1,158 @@
+const Reel = require('../models/Reel');
+const ReelLike = require('../models/ReelLike');
+const ReelShare = require('../models/ReelShare');
+const ReelView = require('../models/ReelView');
+const Comment = require('../models/Comment');
+const TrendingSnapshot = require('../models/TrendingSnapshot');
+
+// Trending scores per time window. Every like, view, comment and share inside
+// the window counts towards a reel's score, weighted by type and halved for
+// every half-life since it happened, so fresh engagement matters most.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const TRENDING_WINDOWS = {
+  today: { duration: DAY, halfLife: 6 * HOUR },
+  week: { duration: 7 * DAY, halfLife: 2 * DAY },
+  month: { duration: 30 * DAY, halfLife: 7 * DAY }
+};
+
+// Same weights the engagement score has always used
+const ENGAGEMENT_WEIGHTS = { like: 3, comment: 5, share: 7 };
+
+// Reels below this decayed score don't trend no matter how quiet the window is
+const MIN_TRENDING_SCORE = 5;
+
+const getSnapshotSize = () => parseInt(process.env.TRENDING_SNAPSHOT_SIZE) || 100;
+
+const decayedSum = async (Model, dateField, weight, { since, now, halfLife }, match = {}) => {
+  const age = { $subtract: [now, `$${dateField}`] };
+  return Model.aggregate([
+    { $match: { [dateField]: { $gte: since }, ...match } },
+    {
+      $group: {
+        _id: '$reel',
+        score: { $sum: { $multiply: [weight, { $pow: [0.5, { $divide: [age, halfLife] }] }] } }
+      }
+    }
+  ]);
+};
+
+// Decayed engagement per reel id for one window
+const getWindowScores = async (window, now = new Date()) => {
+  const { duration, halfLife } = TRENDING_WINDOWS[window];
+  const range = { since: new Date(now.getTime() - duration), now, halfLife };
+
+  // Views are weighted by how much of the reel was actually watched
+  const viewWeight = {
+    $add: [
+      { $min: [{ $divide: ['$completionRate', 100] }, 1] },
+      { $multiply: [{ $min: ['$loops', 3] }, 0.25] }
+    ]
+  };
+
+  const results = await Promise.all([
+    decayedSum(ReelView, 'viewedAt', viewWeight, range),
+    decayedSum(ReelLike, 'likedAt', ENGAGEMENT_WEIGHTS.like, range),
+    decayedSum(Comment, 'createdAt', ENGAGEMENT_WEIGHTS.comment, range, { isActive: true }),
+    decayedSum(ReelShare, 'sharedAt', ENGAGEMENT_WEIGHTS.share, range)
+  ]);
+
+  const scores = new Map();
+  for (const rows of results) {
+    for (const { _id, score } of rows) {
+      const key = _id.toString();
+      scores.set(key, (scores.get(key) || 0) + score);
+    }
+  }
+  return scores;
+};
+
+// Scales scores so categories with lots of engagement overall don't crowd out
+// the rest. The square root keeps some of the absolute difference, otherwise
+// the only reel in a quiet category would always rank first.
+const normalizeByCategory = (scored) => {
+  const totals = {};
+  let globalTotal = 0;
+  for (const { category, rawScore } of scored) {
+    totals[category] = totals[category] || { sum: 0, count: 0 };
+    totals[category].sum += rawScore;
+    totals[category].count++;
+    globalTotal += rawScore;
+  }
+  const globalAverage = globalTotal / scored.length;
+
+  return scored.map(entry => {
+    const categoryAverage = totals[entry.category].sum / totals[entry.category].count;
+    if (categoryAverage === 0) {
+      return { ...entry, score: 0 };
+    }
+    return { ...entry, score: entry.rawScore * Math.sqrt(globalAverage / categoryAverage) };
+  });
+};
+
+// Computes and stores the trending snapshot for one window
+const computeTrendingSnapshot = async (window, now = new Date()) => {
+  const scores = await getWindowScores(window, now);
+
+  // Only reels that can show up in listings are ranked
+  const reels = await Reel.find({
+    _id: { $in: [...scores.keys()] },
+    isActive: true,
+    isApproved: true,
+    deletedAt: null,
+    ...Reel.listedFilter()
+  }).select('category isNSFW').lean();
+
+  const scored = reels.map(reel => ({
+    reel: reel._id,
+    category: reel.category,
+    isNSFW: !!reel.isNSFW,
+    rawScore: scores.get(reel._id.toString())
+  }));
+
+  const entries = (scored.length > 0 ? normalizeByCategory(scored) : [])
+    .filter(entry => entry.rawScore >= MIN_TRENDING_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, getSnapshotSize())
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+  return TrendingSnapshot.create({ window, computedAt: now, entries });
+};
+
+// Reels in today's snapshot are the ones flagged as trending on the reel itself
+const syncTrendingFlags = async (snapshot) => {
+  const trendingIds = snapshot.entries.map(entry => entry.reel);
+
+  if (snapshot.entries.length > 0) {
+    await Reel.bulkWrite(snapshot.entries.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.reel },
+        update: { $set: { isTrending: true, trendingScore: entry.score } }
+      }
+    })));
+  }
+
+  await Reel.updateMany(
+    { _id: { $nin: trendingIds }, $or: [{ isTrending: true }, { trendingScore: { $ne: 0 } }] },
+    { $set: { isTrending: false, trendingScore: 0 } }
+  );
+};
+
+const computeTrending = async () => {
+  const now = new Date();
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    const snapshot = await computeTrendingSnapshot(window, now);
+    if (window === 'today') {
+      await syncTrendingFlags(snapshot);
+    }
+  }
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  normalizeByCategory,
+  computeTrendingSnapshot,
+  computeTrending
+};
@@ -0,0 +1,32 @@
+const { normalizeByCategory } = require('./trending');
+
+describe('normalizeByCategory', () => {
+  it('lifts reels in quiet categories and damps busy ones', () => {
+    const scored = normalizeByCategory([
+      { reel: 'a', category: 'music', rawScore: 90 },
+      { reel: 'b', category: 'music', rawScore: 90 },
+      { reel: 'c', category: 'cooking', rawScore: 20 }
+    ]);
+    const byReel = Object.fromEntries(scored.map(entry => [entry.reel, entry.score]));
+
+    // Global average 200/3, music averages 90 and cooking 20
+    expect(byReel.a).toBeCloseTo(90 * Math.sqrt((200 / 3) / 90));
+    expect(byReel.c).toBeCloseTo(20 * Math.sqrt((200 / 3) / 20));
+    expect(byReel.c / byReel.a).toBeGreaterThan(20 / 90);
+    // The square root keeps busy categories ahead when their reels score higher
+    expect(byReel.a).toBeGreaterThan(byReel.c);
+  });
+
+  it('keeps the entries and their raw scores', () => {
+    const [entry] = normalizeByCategory([{ reel: 'a', category: 'music', rawScore: 10 }]);
+    expect(entry).toEqual({ reel: 'a', category: 'music', rawScore: 10, score: 10 });
+  });
+
+  it('scores categories without engagement as zero', () => {
+    const scored = normalizeByCategory([
+      { reel: 'a', category: 'music', rawScore: 10 },
+      { reel: 'b', category: 'cooking', rawScore: 0 }
+    ]);
+    expect(scored[1].score).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+
+// Helpers for resumable uploads (see routes/uploads.js)
+
+const getUploadTempDir = () => process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'shortzo-uploads');
+
+// How long an idle upload session is kept before its partial file is discarded
+const getUploadSessionTtl = () => (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const getMaxUploadSize = () => parseInt(process.env.MAX_VIDEO_SIZE) || 350 * 1024 * 1024;
+
+// Size of the partial file on disk, or null when it's gone
+const getReceivedBytes = async (filePath) => {
+  try {
+    const { size } = await fs.promises.stat(filePath);
+    return size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// The file on disk is the source of truth for the offset: a chunk interrupted
+// mid-request still keeps whatever bytes made it to disk
+const syncSessionOffset = async (session) => {
+  const received = await getReceivedBytes(session.tempPath);
+  if (received !== null && received !== session.offset) {
+    session.offset = received;
+    await session.save();
+  }
+  return received;
+};
+
+// Stream a request body onto the end of filePath, refusing anything past maxBytes
+const appendChunk = (req, filePath, maxBytes) => {
+  let received = 0;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const error = new Error('Chunk exceeds the declared upload size');
+        error.status = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(req, limiter, fs.createWriteStream(filePath, { flags: 'a' }), (error) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(received);
+    });
+  });
+};
+
+const removeUploadFile = async (filePath) => {
+  if (!filePath) return;
+  await fs.promises.rm(filePath, { force: true });
+};
+
+module.exports = {
+  getUploadTempDir,
+  getUploadSessionTtl,
+  getMaxUploadSize,
+  getReceivedBytes,
+  syncSessionOffset,
+  appendChunk,
+  removeUploadFile
+};
@@ -0,0 +1,62 @@
+// Platform limits for uploaded reels, configurable through the environment
+const getVideoLimits = () => ({
+  minDuration: parseFloat(process.env.MIN_REEL_DURATION) || 1, // seconds
+  maxDuration: parseFloat(process.env.MAX_REEL_DURATION) || 180, // seconds
+  // Widest allowed frame as width / height: 1 allows square, 0.5625 only 9:16 or taller
+  maxAspectRatio: parseFloat(process.env.MAX_REEL_ASPECT_RATIO) || 1,
+  maxShortSide: parseInt(process.env.MAX_REEL_RESOLUTION) || 2160 // pixels
+});
+
+const greatestCommonDivisor = (a, b) => (b === 0 ? a : greatestCommonDivisor(b, a % b));
+
+// Build the metadata we persist on the reel from an ffmpeg.probe() result
+const buildVideoMetadata = (probeResult) => {
+  const { width, height } = probeResult;
+  const divisor = greatestCommonDivisor(width, height) || 1;
+
+  return {
+    width,
+    height,
+    aspectRatio: Math.round((width / height) * 10000) / 10000,
+    displayAspectRatio: `${width / divisor}:${height / divisor}`,
+    videoCodec: probeResult.videoCodec,
+    audioCodec: probeResult.audioCodec,
+    frameRate: Math.round(probeResult.frameRate * 100) / 100,
+    bitrate: probeResult.bitrate
+  };
+};
+
+// Check probed metadata against the platform limits, returning the first violation or null
+const checkVideoLimits = (probeResult, limits = getVideoLimits()) => {
+  const { duration, width, height } = probeResult;
+
+  if (!duration || duration < limits.minDuration) {
+    return `Video must be at least ${limits.minDuration} seconds long`;
+  }
+
+  if (duration > limits.maxDuration) {
+    return `Video cannot be longer than ${limits.maxDuration} seconds (yours is ${Math.round(duration)}s)`;
+  }
+
+  if (!width || !height) {
+    return 'Could not determine video resolution';
+  }
+
+  if (width / height > limits.maxAspectRatio) {
+    return limits.maxAspectRatio <= 1
+      ? 'Video must be vertical (portrait). Landscape videos are not supported'
+      : `Video aspect ratio is too wide (${width}x${height})`;
+  }
+
+  if (Math.min(width, height) > limits.maxShortSide) {
+    return `Video resolution cannot exceed ${limits.maxShortSide}p`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getVideoLimits,
+  buildVideoMetadata,
+  checkVideoLimits
+};
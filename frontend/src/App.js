@@ -16,6 +16,11 @@ import Explore from './pages/Explore';
 import Trending from './pages/Trending';
 import Liked from './pages/Liked';
 import Saved from './pages/Saved';
+import History from './pages/History';
+import Search from './pages/Search';
+import Hashtag from './pages/Hashtag';
+import Drafts from './pages/Drafts';
+import Trash from './pages/Trash';
 
 // Placeholder component for pages not yet created
 const NotFound = () => (
@@ -70,6 +75,8 @@ function App() {
                   <Route path="/" element={<Home />} />
                   <Route path="/explore" element={<Explore />} />
                   <Route path="/trending" element={<Trending />} />
+                  <Route path="/search" element={<Search />} />
+                  <Route path="/tag/:name" element={<Hashtag />} />
                   <Route path="/profile/:username" element={<Profile />} />
                   
                   {/* Protected Routes */}
@@ -97,6 +104,30 @@ function App() {
                       </ProtectedRoute>
                     } 
                   />
+                  <Route 
+                    path="/history" 
+                    element={
+                      <ProtectedRoute>
+                        <History />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/drafts" 
+                    element={
+                      <ProtectedRoute>
+                        <Drafts />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/trash" 
+                    element={
+                      <ProtectedRoute>
+                        <Trash />
+                      </ProtectedRoute>
+                    } 
+                  />
                   <Route 
                     path="/settings" 
                     element={
@@ -1,81 +1,93 @@
-import React from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import { motion } from 'framer-motion';
-import {
-  FiTrendingUp,
-  FiMusic,
-  FiSmile,
-  FiActivity,
-  FiMonitor,
-  FiHeart,
-  FiMapPin,
-  FiFilm,
-  FiStar,
-  FiBriefcase,
-  FiCamera,
-  FiHome,
-  FiMoreHorizontal
-} from 'react-icons/fi';
+import { FiHome, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import { api } from '../../utils/api';
+import { flattenCategories } from '../../utils/helpers';
 
-const CategoriesList = ({ onCategoryChange, selectedCategory }) => {
-  const location = useLocation();
+const CategoriesList = ({ onCategoryChange, selectedCategory = '' }) => {
+  // Slug of the category the user drilled into; null until they do
+  const [openSlug, setOpenSlug] = useState(null);
 
-  const categories = [
-    { name: 'All', icon: FiHome, color: 'bg-gray-500', slug: '', count: 0 },
-    { name: 'Entertainment', icon: FiFilm, color: 'bg-red-500', slug: 'entertainment', count: 145 },
-    { name: 'Music', icon: FiMusic, color: 'bg-purple-500', slug: 'music', count: 892 },
-    { name: 'Dance', icon: FiActivity, color: 'bg-pink-500', slug: 'dance', count: 267 },
-    { name: 'Comedy', icon: FiSmile, color: 'bg-yellow-500', slug: 'comedy', count: 423 },
-    { name: 'Sports', icon: FiTrendingUp, color: 'bg-green-500', slug: 'sports', count: 156 },
-    { name: 'Gaming', icon: FiMonitor, color: 'bg-blue-500', slug: 'gaming', count: 334 },
-    { name: 'Food', icon: FiHeart, color: 'bg-orange-500', slug: 'food', count: 189 },
-    { name: 'Travel', icon: FiMapPin, color: 'bg-indigo-500', slug: 'travel', count: 278 },
-    { name: 'Fashion', icon: FiStar, color: 'bg-rose-500', slug: 'fashion', count: 412 },
-    { name: 'Education', icon: FiBriefcase, color: 'bg-teal-500', slug: 'education', count: 89 },
-    { name: 'Art', icon: FiCamera, color: 'bg-violet-500', slug: 'art', count: 134 },
-    { name: 'Technology', icon: FiBriefcase, color: 'bg-cyan-500', slug: 'technology', count: 67 },
-    { name: 'Other', icon: FiMoreHorizontal, color: 'bg-gray-400', slug: 'other', count: 203 }
-  ];
+  const { data: categoriesData } = useQuery({
+    queryKey: ['categories'],
+    queryFn: async () => {
+      const response = await api.get('/categories');
+      return response.data;
+    }
+  });
+  const categories = categoriesData?.data?.categories || [];
+  const allCategories = flattenCategories(categories);
+  const selected = allCategories.find(category => category.slug === selectedCategory);
+
+  // List the subcategories of the category the user drilled into, or else
+  // the level the selected category is on
+  const openCategory = openSlug !== null
+    ? allCategories.find(category => category.slug === openSlug)
+    : selected?.children?.length ? selected : selected?.path[selected.path.length - 1];
+  const levelCategories = openCategory ? openCategory.children : categories;
+  const backTo = openCategory?.path[openCategory.path.length - 1];
 
   const handleCategoryClick = (category) => {
     if (onCategoryChange) {
       onCategoryChange(category.slug);
     }
+    if (category.children?.length) {
+      setOpenSlug(category.slug);
+    }
   };
 
   return (
     <div className="space-y-2">
-      {categories.map((category, index) => {
-        const Icon = category.icon;
-        const isActive = selectedCategory === category.slug || 
-          (selectedCategory === '' && category.slug === '');
+      {openCategory && (
+        <button
+          onClick={() => setOpenSlug(backTo?.slug || '')}
+          className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-lg transition-colors"
+        >
+          <FiChevronLeft className="h-4 w-4" />
+          <span>{backTo?.name || 'All categories'}</span>
+        </button>
+      )}
+
+      {[
+        { _id: 'all', name: openCategory ? `All ${openCategory.name}` : 'All', slug: openCategory?.slug || '', isAll: true },
+        ...levelCategories
+      ].map((category, index) => {
+        const isActive = selectedCategory === category.slug;
+        const hasChildren = !category.isAll && category.children?.length > 0;
         
         return (
           <motion.div
-            key={category.slug}
+            key={category._id}
             initial={{ opacity: 0, x: -20 }}
             animate={{ opacity: 1, x: 0 }}
             transition={{ delay: index * 0.05 }}
           >
             <button
-              onClick={() => handleCategoryClick(category)}
+              onClick={() => (category.isAll ? onCategoryChange?.(category.slug) : handleCategoryClick(category))}
               className={`w-full flex items-center space-x-3 p-3 rounded-lg transition-all duration-200 group ${
                 isActive
                   ? 'bg-indigo-50 dark:bg-indigo-900/20 text-indigo-600 dark:text-indigo-400 shadow-sm'
                   : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
               }`}
             >
-              <div className={`p-2 rounded-lg ${category.color} ${
-                isActive ? 'shadow-md' : 'opacity-80 group-hover:opacity-100'
-              } transition-all duration-200`}>
-                <Icon className="h-4 w-4 text-white" />
+              <div
+                className={`p-2 rounded-lg ${category.isAll ? 'bg-gray-500' : ''} ${
+                  isActive ? 'shadow-md' : 'opacity-80 group-hover:opacity-100'
+                } transition-all duration-200`}
+                style={category.isAll ? undefined : { backgroundColor: category.color }}
+              >
+                {category.isAll
+                  ? <FiHome className="h-4 w-4 text-white" />
+                  : <span className="block h-4 w-4 text-xs leading-4 text-center">{category.icon || '🎬'}</span>}
               </div>
               
               <div className="flex-1 text-left">
                 <div className="font-medium text-sm">{category.name}</div>
-                {category.count > 0 && (
+                {category.reelsCount > 0 && (
                   <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
-                    {category.count.toLocaleString()} reels
+                    {category.reelsCount.toLocaleString()} reels
                   </div>
                 )}
               </div>
@@ -86,6 +98,9 @@ const CategoriesList = ({ onCategoryChange, selectedCategory }) => {
                   className="w-2 h-2 bg-indigo-500 rounded-full"
                 />
               )}
+              {hasChildren && (
+                <FiChevronRight className="h-4 w-4 text-gray-400" />
+              )}
             </button>
           </motion.div>
         );
@@ -102,7 +117,7 @@ const CategoriesList = ({ onCategoryChange, selectedCategory }) => {
               key={tag}
               initial={{ opacity: 0, x: -20 }}
               animate={{ opacity: 1, x: 0 }}
-              transition={{ delay: (categories.length * 0.05) + (index * 0.1) }}
+              transition={{ delay: (levelCategories.length * 0.05) + (index * 0.1) }}
             >
               <Link
                 to={`/explore?tag=${tag}`}
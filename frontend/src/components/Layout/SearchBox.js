@@ -0,0 +1,203 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { api } from '../../utils/api';
+import { debounce } from '../../utils/helpers';
+import Avatar from '../Common/Avatar';
+import { FiSearch, FiClock, FiTrendingUp, FiHash, FiGrid, FiX } from 'react-icons/fi';
+
+const EMPTY_SUGGESTIONS = { recent: [], trending: [], users: [], hashtags: [], categories: [] };
+const SUGGESTIONS_ID = 'search-suggestions';
+
+// Header search input with a typeahead dropdown. Suggestions are fetched as
+// the user types and can be picked with the arrow keys and Enter.
+const SearchBox = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchQuery, setSearchQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestQueryRef = useRef('');
+
+  const fetchSuggestions = useMemo(() => debounce(async (q) => {
+    try {
+      const response = await api.get('/search/suggest', { params: { q } });
+      // Ignore responses for text the user has already changed
+      if (latestQueryRef.current === q) {
+        setSuggestions(response.data.data);
+        setActiveIndex(-1);
+      }
+    } catch (error) {
+      console.error('Failed to fetch search suggestions:', error);
+    }
+  }, 200), []);
+
+  useEffect(() => {
+    latestQueryRef.current = searchQuery.trim();
+    if (isOpen) {
+      fetchSuggestions(searchQuery.trim());
+    }
+  }, [searchQuery, isOpen, fetchSuggestions]);
+
+  // Everything in the dropdown, in display order, so arrow keys can walk it
+  const items = [
+    ...suggestions.recent.map(query => ({ type: 'recent', key: `recent-${query}`, label: query, query })),
+    ...suggestions.users.map(suggested => ({ type: 'user', key: `user-${suggested._id}`, label: `@${suggested.username}`, user: suggested })),
+    ...suggestions.hashtags.map(hashtag => ({ type: 'hashtag', key: `hashtag-${hashtag.name}`, label: `#${hashtag.name}`, hashtag })),
+    ...suggestions.categories.map(category => ({ type: 'category', key: `category-${category._id}`, label: category.name, category })),
+    ...suggestions.trending
+      .filter(query => !suggestions.recent.includes(query))
+      .map(query => ({ type: 'trending', key: `trending-${query}`, label: query, query }))
+  ];
+
+  const closeDropdown = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const runSearch = (q) => {
+    if (q.trim()) {
+      navigate(`/search?q=${encodeURIComponent(q.trim())}`);
+      setSearchQuery('');
+      closeDropdown();
+    }
+  };
+
+  const selectItem = (item) => {
+    switch (item.type) {
+      case 'user':
+        navigate(`/profile/${item.user.username}`);
+        break;
+      case 'hashtag':
+        navigate(`/tag/${encodeURIComponent(item.hashtag.name)}`);
+        break;
+      case 'category':
+        navigate(`/explore?category=${item.category.slug}`);
+        break;
+      default: // recent, trending
+        runSearch(item.query);
+        return;
+    }
+    setSearchQuery('');
+    closeDropdown();
+  };
+
+  const removeRecent = async (query) => {
+    try {
+      await api.delete('/search/recent', { params: { q: query } });
+      setSuggestions(current => ({ ...current, recent: current.recent.filter(recent => recent !== query) }));
+    } catch (error) {
+      console.error('Failed to remove recent search:', error);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && items[activeIndex]) {
+      selectItem(items[activeIndex]);
+    } else {
+      runSearch(searchQuery);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (items.length === 0 ? -1 : (index + 1) % items.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (items.length === 0 ? -1 : (index <= 0 ? items.length - 1 : index - 1)));
+    } else if (e.key === 'Escape') {
+      closeDropdown();
+    }
+  };
+
+  const itemIcon = (item) => {
+    switch (item.type) {
+      case 'recent':
+        return <FiClock className="h-4 w-4 text-gray-400" />;
+      case 'trending':
+        return <FiTrendingUp className="h-4 w-4 text-indigo-500" />;
+      case 'hashtag':
+        return <FiHash className="h-4 w-4 text-indigo-500" />;
+      case 'category':
+        return <FiGrid className="h-4 w-4 text-purple-500" />;
+      default:
+        return <Avatar src={item.user.profilePicture} alt={item.user.username} size="small" />;
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full">
+      <div className="relative">
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => {
+            setSearchQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={closeDropdown}
+          onKeyDown={handleKeyDown}
+          placeholder="Search reels, users, or tags..."
+          role="combobox"
+          aria-controls={SUGGESTIONS_ID}
+          aria-expanded={isOpen && items.length > 0}
+          aria-autocomplete="list"
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-full bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+        >
+          <FiSearch className="h-5 w-5" />
+        </button>
+
+        {/* Suggestions */}
+        {isOpen && items.length > 0 && (
+          <ul
+            id={SUGGESTIONS_ID}
+            role="listbox"
+            className="absolute left-0 right-0 mt-2 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 py-2 z-50 max-h-96 overflow-y-auto"
+          >
+            {items.map((item, index) => (
+              <li
+                key={item.key}
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input so the blur doesn't close the list before the click
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectItem(item)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center space-x-3 px-4 py-2 cursor-pointer text-sm text-gray-700 dark:text-gray-300 ${
+                  index === activeIndex ? 'bg-gray-100 dark:bg-gray-700' : ''
+                }`}
+              >
+                {itemIcon(item)}
+                <span className="flex-1 truncate">{item.label}</span>
+                {item.type === 'recent' && user && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      removeRecent(item.query);
+                    }}
+                    title="Remove from recent searches"
+                    className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                  >
+                    <FiX className="h-4 w-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default SearchBox;
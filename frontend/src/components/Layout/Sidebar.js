@@ -1,7 +1,9 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { useQuery } from 'react-query';
 import { useAuth } from '../../context/AuthContext';
+import { api } from '../../utils/api';
 import {
   FiHome,
   FiCompass,
@@ -10,23 +12,28 @@ import {
   FiBookmark,
   FiUser,
   FiSettings,
-  FiUpload
+  FiUpload,
+  FiClock,
+  FiTrash2,
+  FiRotateCcw
 } from 'react-icons/fi';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const { user } = useAuth();
   const location = useLocation();
 
-  const categories = [
-    'Entertainment',
-    'Music',
-    'Dance',
-    'Comedy',
-    'Sports',
-    'Gaming',
-    'Food',
-    'Travel'
-  ];
+  // Categories come from the server so new and renamed ones show up here
+  const { data: categoriesData } = useQuery({
+    queryKey: ['categories'],
+    queryFn: async () => {
+      const response = await api.get('/categories');
+      return response.data;
+    }
+  });
+  const categories = categoriesData?.data?.categories || [];
+  const activeCategory = location.pathname === '/explore'
+    ? new URLSearchParams(location.search).get('category') || ''
+    : null;
 
   const menuItems = [
     { icon: FiHome, label: 'Home', path: '/' },
@@ -35,6 +42,9 @@ const Sidebar = ({ isOpen, onClose }) => {
     ...(user ? [
       { icon: FiHeart, label: 'Liked', path: '/liked' },
       { icon: FiBookmark, label: 'Saved', path: '/saved' },
+      { icon: FiRotateCcw, label: 'History', path: '/history' },
+      { icon: FiClock, label: 'Drafts & Scheduled', path: '/drafts' },
+      { icon: FiTrash2, label: 'Trash', path: '/trash' },
       { icon: FiUser, label: 'Profile', path: `/profile/${user.username}` },
       { icon: FiSettings, label: 'Settings', path: '/settings' }
     ] : [])
@@ -94,21 +104,14 @@ const Sidebar = ({ isOpen, onClose }) => {
         </h3>
         <div className="space-y-2">
           {[
-            { name: 'All', icon: '🏠', slug: '', count: 0 },
-            { name: 'Entertainment', icon: '🎬', slug: 'entertainment', count: 145 },
-            { name: 'Music', icon: '🎵', slug: 'music', count: 892 },
-            { name: 'Dance', icon: '💃', slug: 'dance', count: 267 },
-            { name: 'Comedy', icon: '😄', slug: 'comedy', count: 423 },
-            { name: 'Sports', icon: '⚽', slug: 'sports', count: 156 },
-            { name: 'Gaming', icon: '🎮', slug: 'gaming', count: 334 },
-            { name: 'Food', icon: '🍕', slug: 'food', count: 189 },
-            { name: 'Travel', icon: '✈️', slug: 'travel', count: 278 }
+            { name: 'All', icon: '🏠', slug: '', reelsCount: 0 },
+            ...categories
           ].map((category) => {
-            const isActive = location.pathname === `/category/${category.slug}`;
+            const isActive = activeCategory === category.slug;
             return (
               <Link
                 key={category.slug}
-                to={category.slug ? `/category/${category.slug}` : '/'}
+                to={category.slug ? `/explore?category=${category.slug}` : '/explore'}
                 className={`flex items-center justify-between px-3 py-2 rounded-lg transition-colors ${
                   isActive
                     ? 'bg-indigo-50 dark:bg-indigo-900/20 text-indigo-600 dark:text-indigo-400'
@@ -120,9 +123,9 @@ const Sidebar = ({ isOpen, onClose }) => {
                   <span className="text-sm">{category.icon}</span>
                   <span className="text-sm font-medium">{category.name}</span>
                 </div>
-                {category.count > 0 && (
+                {category.reelsCount > 0 && (
                   <span className="text-xs text-gray-500 dark:text-gray-400">
-                    {category.count}
+                    {category.reelsCount}
                   </span>
                 )}
               </Link>
@@ -5,7 +5,7 @@ import ReactPlayer from 'react-player';
 import { useAuth } from '../../context/AuthContext';
 import { useMutation, useQueryClient } from 'react-query';
 import { api } from '../../utils/api';
-import { formatRelativeTime } from '../../utils/helpers';
+import { formatRelativeTime, getSessionId } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import {
   FiHeart,
@@ -18,11 +18,71 @@ import {
   FiPlay,
   FiPause,
   FiVolume2,
-  FiVolumeX
+  FiVolumeX,
+  FiImage,
+  FiTrash2,
+  FiSlash,
+  FiMinusCircle,
+  FiUserX
 } from 'react-icons/fi';
 import Avatar from '../Common/Avatar';
 import LoadingSpinner from '../Common/LoadingSpinner';
 
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'inappropriate', label: 'Inappropriate' },
+  { value: 'copyright', label: 'Copyright' },
+  { value: 'violence', label: 'Violence' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'misinformation', label: 'Misinformation' },
+  { value: 'other', label: 'Other' }
+];
+
+// Candidate @mentions. Like the backend, a mention can't follow a word
+// character or a dot (so emails aren't mentions); that's checked by hand since
+// lookbehind isn't supported by every browser we target.
+const MENTION_PATTERN = /(@\w+)/;
+const MENTION_BLOCKER = /[\w.]/;
+
+// Text with its resolved @mentions linked to their profiles. Mentions that
+// didn't resolve, or that the user removed, stay plain text.
+const MentionText = ({ text, mentions = [] }) => {
+  const usernames = new Set(mentions.map(mention => mention?.username).filter(Boolean));
+  let offset = 0;
+  // split keeps the captured mentions at the odd indexes
+  return text.split(MENTION_PATTERN).map((part, index) => {
+    const start = offset;
+    offset += part.length;
+    const username = part.slice(1);
+    const isMention = index % 2 === 1 &&
+      usernames.has(username) &&
+      !(start > 0 && MENTION_BLOCKER.test(text[start - 1]));
+    return isMention ? (
+      <Link
+        key={index}
+        to={`/profile/${username}`}
+        onClick={(e) => e.stopPropagation()}
+        className="font-semibold hover:underline"
+      >
+        {part}
+      </Link>
+    ) : (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    );
+  });
+};
+
+// Watch stats for one activation. startProgress is where playback began, so
+// a resumed reel doesn't count the part skipped over as watched.
+const newWatchStats = (startProgress = 0) => ({
+  watchTime: 0,
+  startProgress,
+  maxProgress: startProgress,
+  loops: 0,
+  lastSeconds: 0,
+  lastPlayed: 0
+});
+
 const ReelCard = ({ reel, isActive, onReelChange }) => {
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -37,13 +97,22 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
   const [isLiked, setIsLiked] = useState(reel.isLiked);
   const [isBookmarked, setIsBookmarked] = useState(reel.isBookmarked);
   const [showMenu, setShowMenu] = useState(false);
+  const [showReportReasons, setShowReportReasons] = useState(false);
+
+  // Watch stats for the current activation, reported when the reel stops being active
+  const watchStatsRef = useRef(newWatchStats());
+  // Partially watched reels pick up where the viewer left off, once per load
+  const hasResumedRef = useRef(false);
 
   // Auto-play when active
   useEffect(() => {
     if (isActive) {
       setIsPlaying(true);
-      // Mark as viewed
-      markAsViewed.mutate();
+      const player = playerRef.current;
+      const duration = player?.getDuration();
+      watchStatsRef.current = newWatchStats(duration ? Math.min(player.getCurrentTime() / duration, 1) : 0);
+      // Report the view once the user moves on (or the card unmounts)
+      return () => reportView();
     } else {
       setIsPlaying(false);
     }
@@ -89,8 +158,8 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
 
   // Mark as viewed mutation
   const markAsViewed = useMutation({
-    mutationFn: async () => {
-      await api.post(`/reels/${reel._id}/view`);
+    mutationFn: async (stats) => {
+      await api.post(`/reels/${reel._id}/view`, { ...stats, sessionId: getSessionId() });
     },
     onError: (error) => {
       console.error('Failed to mark reel as viewed:', error);
@@ -106,9 +175,11 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
     onSuccess: () => {
       toast.success('Reel reported successfully');
       setShowMenu(false);
+      setShowReportReasons(false);
     },
     onError: (error) => {
-      toast.error('Failed to report reel');
+      toast.error(error.response?.data?.message || 'Failed to report reel');
+      setShowReportReasons(false);
     }
   });
 
@@ -148,12 +219,117 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
     }
   };
 
+  const reportView = () => {
+    const { watchTime, startProgress, maxProgress, loops, lastSeconds } = watchStatsRef.current;
+    if (watchTime <= 0) return;
+
+    markAsViewed.mutate({
+      watchTime: Math.round(watchTime * 10) / 10,
+      completionRate: Math.round(Math.max(Math.min(maxProgress, 1) - startProgress, 0) * 100),
+      loops,
+      position: Math.round(lastSeconds * 10) / 10
+    });
+  };
+
+  // Creators can use the frame they're looking at as the reel's cover
+  const thumbnailMutation = useMutation({
+    mutationFn: async (timestamp) => {
+      const response = await api.put(`/reels/${reel._id}/thumbnail`, { timestamp });
+      return response.data;
+    },
+    onSuccess: () => {
+      toast.success('Cover updated');
+      setShowMenu(false);
+      queryClient.invalidateQueries(['reels']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update cover');
+    }
+  });
+
+  // Deleted reels go to the trash, where they can be restored for a while
+  const deleteMutation = useMutation({
+    mutationFn: async () => {
+      const response = await api.delete(`/reels/${reel._id}`);
+      return response.data;
+    },
+    onSuccess: () => {
+      toast.success('Reel moved to trash');
+      setShowMenu(false);
+      queryClient.invalidateQueries(['reels']);
+      queryClient.invalidateQueries(['trash']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete reel');
+    }
+  });
+
+  // Negative feedback: the reel, its category or its creator stop showing up
+  // in feeds and search until undone in Settings
+  const feedbackMutation = useMutation({
+    mutationFn: async (type) => {
+      const response = await api.post('/feed/feedback', { type, reelId: reel._id });
+      return response.data;
+    },
+    onSuccess: (data, type) => {
+      const messages = {
+        not_interested: "Got it, you won't see this reel again",
+        fewer_category: `You'll see fewer ${reel.category?.name} reels`,
+        hide_creator: `Reels from @${reel.author?.username} are hidden`
+      };
+      toast.success(messages[type]);
+      setShowMenu(false);
+      queryClient.invalidateQueries(['reels']);
+      queryClient.invalidateQueries(['feed-feedback']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update your feed');
+    }
+  });
+
+  const isOwnReel = user && reel.author?._id === user._id;
+
   const handleReport = (reason) => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
     reportMutation.mutate(reason);
   };
 
   const handleProgress = ({ played, playedSeconds }) => {
     setProgress(played);
+
+    const stats = watchStatsRef.current;
+    if (isActive && isPlaying) {
+      // The player loops, so a jump from the end back to the start is a completed loop
+      if (stats.lastPlayed > 0.9 && played < 0.1) {
+        stats.loops += 1;
+        stats.startProgress = 0;
+        stats.maxProgress = 1;
+      } else {
+        const delta = playedSeconds - stats.lastSeconds;
+        // Ignore seeks, only count continuous playback
+        if (delta > 0 && delta < 2) {
+          stats.watchTime += delta;
+        }
+      }
+      stats.maxProgress = Math.max(stats.maxProgress, played);
+    }
+    stats.lastSeconds = playedSeconds;
+    stats.lastPlayed = played;
+  };
+
+  const handleReady = () => {
+    if (!hasResumedRef.current && reel.resumePosition > 0) {
+      hasResumedRef.current = true;
+      playerRef.current?.seekTo(reel.resumePosition, 'seconds');
+      const duration = playerRef.current?.getDuration();
+      if (duration) {
+        watchStatsRef.current = newWatchStats(Math.min(reel.resumePosition / duration, 1));
+      }
+    }
+    setIsPlaying(isActive);
   };
 
   const handleDuration = (duration) => {
@@ -174,10 +350,10 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
 
   return (
     <div className="relative w-full max-w-sm mx-auto bg-black rounded-lg overflow-hidden shadow-lg" style={{ aspectRatio: '9/16', height: '500px' }}>
-      {/* Video Player */}
+      {/* Video Player - streams adaptive HLS once transcoding is done */}
       <ReactPlayer
         ref={playerRef}
-        url={reel.videoUrl}
+        url={reel.hls?.masterUrl || reel.videoUrl}
         playing={isPlaying}
         muted={isMuted}
         loop
@@ -185,12 +361,13 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
         height="100%"
         onProgress={handleProgress}
         onDuration={handleDuration}
-        onReady={() => setIsPlaying(isActive)}
+        onReady={handleReady}
         className="absolute inset-0"
         config={{
           file: {
             attributes: {
-              style: { objectFit: 'cover' }
+              style: { objectFit: 'cover' },
+              poster: reel.thumbnailUrl || undefined
             }
           }
         }}
@@ -263,7 +440,9 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
             </Link>
 
             {reel.description && (
-              <p className="text-sm mb-2 line-clamp-3">{reel.description}</p>
+              <p className="text-sm mb-2 line-clamp-3">
+                <MentionText text={reel.description} mentions={reel.mentions} />
+              </p>
             )}
 
             {/* Tags */}
@@ -272,7 +451,7 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
                 {reel.tags.slice(0, 3).map((tag, index) => (
                   <Link
                     key={index}
-                    to={`/explore?tag=${tag}`}
+                    to={`/tag/${encodeURIComponent(tag)}`}
                     className="text-xs bg-white bg-opacity-20 px-2 py-1 rounded-full hover:bg-opacity-30 transition-colors"
                   >
                     #{tag}
@@ -287,12 +466,12 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
             )}
 
             {/* Category */}
-            {reel.category && (
+            {reel.category?.slug && (
               <Link
-                to={`/category/${reel.category}`}
+                to={`/explore?category=${reel.category.slug}`}
                 className="inline-block text-xs bg-indigo-500 bg-opacity-80 px-2 py-1 rounded-full hover:bg-opacity-100 transition-colors"
               >
-                {reel.category}
+                {reel.category.name}
               </Link>
             )}
           </div>
@@ -371,15 +550,79 @@ const ReelCard = ({ reel, isActive, onReelChange }) => {
                   initial={{ opacity: 0, scale: 0.9 }}
                   animate={{ opacity: 1, scale: 1 }}
                   exit={{ opacity: 0, scale: 0.9 }}
-                  className="absolute bottom-full right-0 mb-2 bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[150px]"
+                  className="absolute bottom-full right-0 mb-2 bg-white dark:bg-gray-800 rounded-lg shadow-lg py-2 min-w-[180px]"
                 >
                   <button
-                    onClick={() => handleReport('inappropriate')}
+                    onClick={() => setShowReportReasons(!showReportReasons)}
+                    disabled={reportMutation.isLoading}
                     className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
                   >
                     <FiFlag className="h-4 w-4" />
                     <span>Report</span>
                   </button>
+                  {showReportReasons && (
+                    <div className="border-t border-gray-200 dark:border-gray-700 py-1">
+                      {REPORT_REASONS.map(reason => (
+                        <button
+                          key={reason.value}
+                          onClick={() => handleReport(reason.value)}
+                          className="w-full text-left pl-10 pr-4 py-1.5 text-xs text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        >
+                          {reason.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {user && !isOwnReel && (
+                    <div className="border-t border-gray-200 dark:border-gray-700">
+                      <button
+                        onClick={() => feedbackMutation.mutate('not_interested')}
+                        disabled={feedbackMutation.isLoading}
+                        className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <FiSlash className="h-4 w-4" />
+                        <span>Not interested</span>
+                      </button>
+                      {reel.category?.name && (
+                        <button
+                          onClick={() => feedbackMutation.mutate('fewer_category')}
+                          disabled={feedbackMutation.isLoading}
+                          className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        >
+                          <FiMinusCircle className="h-4 w-4" />
+                          <span>Show fewer {reel.category.name}</span>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => feedbackMutation.mutate('hide_creator')}
+                        disabled={feedbackMutation.isLoading}
+                        className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        <FiUserX className="h-4 w-4" />
+                        <span>Hide @{reel.author?.username}</span>
+                      </button>
+                    </div>
+                  )}
+                  {isOwnReel && (
+                    <button
+                      onClick={() => thumbnailMutation.mutate(Math.round(progress * duration * 10) / 10)}
+                      disabled={thumbnailMutation.isLoading}
+                      className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      <FiImage className="h-4 w-4" />
+                      <span>{thumbnailMutation.isLoading ? 'Updating cover...' : 'Use this frame as cover'}</span>
+                    </button>
+                  )}
+                  {isOwnReel && (
+                    <button
+                      onClick={() => deleteMutation.mutate()}
+                      disabled={deleteMutation.isLoading}
+                      className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      <FiTrash2 className="h-4 w-4" />
+                      <span>Move to trash</span>
+                    </button>
+                  )}
                   <Link
                     to={`/reel/${reel._id}`}
                     className="flex items-center space-x-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
@@ -6,15 +6,19 @@ import ReelCard from './ReelCard';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import ErrorMessage from '../Common/ErrorMessage';
 import { api } from '../../utils/api';
+import { getSessionId } from '../../utils/helpers';
 import { FiFilter, FiX } from 'react-icons/fi';
 
 const ReelsFeed = ({ 
   category = null, 
+  categoryName = null,
   userId = null, 
   showNSFW = false, 
   searchQuery = '', 
   tags = [],
   showTrending = false,
+  trendingWindow = 'today',
+  feed = null,
   limit
 }) => {
   const [sortBy, setSortBy] = useState('newest');
@@ -34,12 +38,22 @@ const ReelsFeed = ({
     error,
     refetch
   } = useInfiniteQuery({
-    queryKey: ['reels', { category, userId, showNSFW, searchQuery, tags, sortBy, showTrending }],
-    queryFn: async ({ pageParam = 1 }) => {
+    queryKey: ['reels', { category, userId, showNSFW, searchQuery, tags, sortBy, showTrending, trendingWindow, feed }],
+    queryFn: async ({ pageParam }) => {
+      // Personalized feeds are ranked by the server and ignore the filters below
+      if (feed) {
+        const response = await api.get(`/feed/${feed}`, {
+          params: { limit: limit || 10, ...(pageParam && { cursor: pageParam }) },
+          headers: { 'X-Session-Id': getSessionId() }
+        });
+        return response.data;
+      }
+
       const params = new URLSearchParams({
-        page: pageParam,
+        ...(pageParam && { cursor: pageParam }),
         limit: limit || 10,
         sortBy: showTrending ? 'trending' : sortBy,
+        ...(showTrending && { window: trendingWindow }),
         ...(category && { category }),
         ...(userId && { userId }),
         ...(showNSFW !== undefined && { showNSFW }),
@@ -52,20 +66,14 @@ const ReelsFeed = ({
       const response = await api.get(`${endpoint}?${params}`);
       return response.data;
     },
-    getNextPageParam: (lastPage) => {
-      const pagination = lastPage?.pagination;
-      if (!pagination) {
-        return undefined;
-      }
-      const { currentPage, totalPages } = pagination;
-      return currentPage < totalPages ? currentPage + 1 : undefined;
-    },
+    // The server hands back an opaque cursor for the page after the last reel
+    getNextPageParam: (lastPage) => lastPage?.pagination?.nextCursor || undefined,
     enabled: true,
     staleTime: 5 * 60 * 1000, // 5 minutes
   });
 
-  // Flatten reels data
-  const reels = data?.pages?.flatMap(page => page.data || []) || [];
+  // Flatten reels data (the trending endpoint nests them under data.reels)
+  const reels = data?.pages?.flatMap(page => (Array.isArray(page.data) ? page.data : page.data?.reels) || []) || [];
   
   // Debug logging
   console.log('ReelsFeed Debug:', {
@@ -138,10 +146,9 @@ const ReelsFeed = ({
   }, [activeReel, reels]);
 
   const sortOptions = [
-    { value: 'latest', label: 'Latest' },
+    { value: 'newest', label: 'Latest' },
     { value: 'oldest', label: 'Oldest' },
-    { value: 'most-liked', label: 'Most Liked' },
-    { value: 'most-viewed', label: 'Most Viewed' },
+    { value: 'popular', label: 'Most Popular' },
     { value: 'trending', label: 'Trending' }
   ];
 
@@ -187,7 +194,9 @@ const ReelsFeed = ({
           {searchQuery
             ? `No reels match your search "${searchQuery}"`
             : category
-            ? `No reels in "${category}" category yet`
+            ? `No reels in "${categoryName || category}" category yet`
+            : feed === 'following'
+            ? 'Reels from creators you follow will show up here'
             : 'Be the first to upload a reel!'}
         </p>
       </div>
@@ -201,7 +210,9 @@ const ReelsFeed = ({
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-4">
             <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
-              {category ? `${category} Reels` : 'All Reels'}
+              {category
+                ? `${categoryName || category} Reels`
+                : feed === 'for-you' ? 'For You' : feed === 'following' ? 'Following' : 'All Reels'}
             </h2>
             <span className="text-sm text-gray-500 dark:text-gray-400">
               {reels.length} reels
@@ -210,17 +221,19 @@ const ReelsFeed = ({
           
           <div className="flex items-center space-x-2">
             {/* Sort Dropdown */}
-            <select
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
-              className="text-sm border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-1 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-indigo-500"
-            >
-              {sortOptions.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.label}
-                </option>
-              ))}
-            </select>
+            {!feed && (
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="text-sm border border-gray-300 dark:border-gray-600 rounded-lg px-3 py-1 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-indigo-500"
+              >
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            )}
 
             {/* Filter Button */}
             <button
@@ -280,8 +293,13 @@ const ReelsFeed = ({
             <div
               key={reel._id}
               ref={el => reelRefs.current[reel._id] = el}
-              className="h-screen flex items-center justify-center snap-start snap-always py-8"
+              className="h-screen flex flex-col items-center justify-center snap-start snap-always py-8"
             >
+              {reel.feedReason && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  {reel.feedReason}
+                </p>
+              )}
               <ReelCard
                 reel={reel}
                 isActive={index === activeReel}
@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { FiClock, FiEdit3, FiSend, FiCalendar, FiTrash2, FiCornerUpLeft } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { formatDate, formatDuration } from '../utils/helpers';
+
+// datetime-local inputs want local time without seconds or a timezone
+const toDateTimeLocal = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const DraftRow = ({ reel, onPublish, onUnschedule, onDelete, isBusy }) => {
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [publishAt, setPublishAt] = useState(
+    toDateTimeLocal(reel.publishAt ? new Date(reel.publishAt) : new Date(Date.now() + 60 * 60 * 1000))
+  );
+
+  const isScheduled = reel.status === 'scheduled';
+
+  return (
+    <div className="flex items-center space-x-4 bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+      <div className="w-16 h-28 flex-shrink-0 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden">
+        {reel.thumbnailUrl && (
+          <img src={reel.thumbnailUrl} alt={reel.title} className="w-full h-full object-cover" />
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center space-x-2 mb-1">
+          <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+            isScheduled
+              ? 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900 dark:text-indigo-200'
+              : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200'
+          }`}>
+            {isScheduled ? 'Scheduled' : 'Draft'}
+          </span>
+          <span className="text-xs text-gray-500 dark:text-gray-400 capitalize">{reel.visibility}</span>
+        </div>
+        <h3 className="font-semibold text-gray-900 dark:text-white truncate">{reel.title}</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {reel.category?.name} · {formatDuration(reel.duration)}
+          {isScheduled
+            ? ` · Goes live ${formatDate(reel.publishAt, 'MMM dd, yyyy HH:mm')}`
+            : ` · Saved ${formatDate(reel.updatedAt)}`}
+        </p>
+
+        {isScheduling && (
+          <div className="flex items-center space-x-2 mt-2">
+            <input
+              type="datetime-local"
+              value={publishAt}
+              min={toDateTimeLocal(new Date())}
+              onChange={(e) => setPublishAt(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <button
+              onClick={() => {
+                onPublish(reel._id, new Date(publishAt).toISOString());
+                setIsScheduling(false);
+              }}
+              disabled={isBusy || !publishAt}
+              className="text-sm bg-indigo-600 text-white px-3 py-1 rounded hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setIsScheduling(false)}
+              className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        <button
+          onClick={() => onPublish(reel._id, null)}
+          disabled={isBusy}
+          title="Publish now"
+          className="p-2 rounded-lg text-green-600 hover:bg-green-50 dark:hover:bg-gray-700 disabled:opacity-50"
+        >
+          <FiSend className="h-5 w-5" />
+        </button>
+        <button
+          onClick={() => setIsScheduling(!isScheduling)}
+          disabled={isBusy}
+          title={isScheduled ? 'Reschedule' : 'Schedule'}
+          className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-50 dark:hover:bg-gray-700 disabled:opacity-50"
+        >
+          <FiCalendar className="h-5 w-5" />
+        </button>
+        {isScheduled && (
+          <button
+            onClick={() => onUnschedule(reel._id)}
+            disabled={isBusy}
+            title="Move back to drafts"
+            className="p-2 rounded-lg text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <FiCornerUpLeft className="h-5 w-5" />
+          </button>
+        )}
+        <button
+          onClick={() => onDelete(reel._id)}
+          disabled={isBusy}
+          title="Delete"
+          className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-gray-700 disabled:opacity-50"
+        >
+          <FiTrash2 className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const Drafts = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  // Fetch drafts and scheduled reels
+  const {
+    data: draftsResponse,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['drafts'],
+    queryFn: async () => {
+      const response = await api.get('/reels/drafts');
+      return response.data;
+    },
+    enabled: !!user
+  });
+
+  const onActionSuccess = (data) => {
+    toast.success(data.message);
+    queryClient.invalidateQueries(['drafts']);
+    queryClient.invalidateQueries(['reels']);
+    queryClient.invalidateQueries(['trash']);
+  };
+
+  const onActionError = (error) => {
+    toast.error(error.response?.data?.message || 'Something went wrong');
+  };
+
+  const publishMutation = useMutation({
+    mutationFn: async ({ reelId, publishAt }) => {
+      const response = await api.post(`/reels/${reelId}/publish`, publishAt ? { publishAt } : {});
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const unscheduleMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.post(`/reels/${reelId}/unschedule`);
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.delete(`/reels/${reelId}`);
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const handleDelete = (reelId) => {
+    if (window.confirm('Move this reel to the trash?')) {
+      deleteMutation.mutate(reelId);
+    }
+  };
+
+  const isBusy = publishMutation.isLoading || unscheduleMutation.isLoading || deleteMutation.isLoading;
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Error Loading Drafts
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error.message || 'Failed to load your drafts'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const reels = draftsResponse?.data?.reels || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <FiClock className="text-3xl text-indigo-600 dark:text-indigo-400" />
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Drafts & Scheduled
+            </h1>
+          </div>
+          <p className="text-gray-600 dark:text-gray-400">
+            Reels only you can see until they're published
+          </p>
+        </div>
+
+        {reels.length === 0 ? (
+          <div className="text-center py-16">
+            <FiEdit3 className="h-16 w-16 mx-auto text-gray-400 mb-4" />
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+              No Drafts
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
+              Save a reel as a draft or schedule it when uploading.
+            </p>
+            <button
+              onClick={() => navigate('/upload')}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-3 px-6 rounded-lg transition-colors duration-200"
+            >
+              Upload a Reel
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reels.map((reel) => (
+              <DraftRow
+                key={reel._id}
+                reel={reel}
+                isBusy={isBusy}
+                onPublish={(reelId, publishAt) => publishMutation.mutate({ reelId, publishAt })}
+                onUnschedule={(reelId) => unscheduleMutation.mutate(reelId)}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Drafts;
@@ -1,12 +1,16 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useQuery } from 'react-query';
 import api from '../services/api';
 import ReelsFeed from '../components/Reels/ReelsFeed';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
-import { FiSearch, FiFilter } from 'react-icons/fi';
+import { FiSearch, FiFilter, FiChevronRight } from 'react-icons/fi';
+import { flattenCategories } from '../utils/helpers';
 
 const Explore = () => {
-  const [selectedCategory, setSelectedCategory] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The selected category's slug lives in the URL so category links can open it
+  const selectedCategory = searchParams.get('category') || '';
   const [searchQuery, setSearchQuery] = useState('');
   const [showFilters, setShowFilters] = useState(false);
 
@@ -20,6 +24,18 @@ const Explore = () => {
   });
 
   const categories = categoriesData?.data?.categories || [];
+  const activeCategory = flattenCategories(categories).find(category => category.slug === selectedCategory);
+
+  // The grid shows the selected category's subcategories, or its siblings
+  // when it has none
+  const levelParent = activeCategory?.children?.length
+    ? activeCategory
+    : activeCategory?.path[activeCategory.path.length - 1];
+  const levelCategories = levelParent ? levelParent.children : categories;
+
+  const setSelectedCategory = (slug) => {
+    setSearchParams(slug ? { category: slug } : {});
+  };
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -63,6 +79,31 @@ const Explore = () => {
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
             Browse by Category
           </h2>
+
+          {/* Breadcrumbs back up the category tree */}
+          {activeCategory && (
+            <nav className="flex flex-wrap items-center text-sm mb-4">
+              <button
+                onClick={() => setSelectedCategory('')}
+                className="text-gray-600 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400"
+              >
+                All Categories
+              </button>
+              {[...activeCategory.path, activeCategory].map((category) => (
+                <React.Fragment key={category._id}>
+                  <FiChevronRight className="mx-1 text-gray-400" />
+                  <button
+                    onClick={() => setSelectedCategory(category.slug)}
+                    className={category.slug === selectedCategory
+                      ? 'font-medium text-indigo-600 dark:text-indigo-400'
+                      : 'text-gray-600 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400'}
+                  >
+                    {category.name}
+                  </button>
+                </React.Fragment>
+              ))}
+            </nav>
+          )}
           
           {categoriesLoading ? (
             <div className="flex justify-center py-8">
@@ -70,11 +111,11 @@ const Explore = () => {
             </div>
           ) : (
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-6 gap-4">
-              {/* All Categories Option */}
+              {/* All Categories Option, or the whole parent category when drilled in */}
               <button
-                onClick={() => setSelectedCategory('')}
+                onClick={() => setSelectedCategory(levelParent?.slug || '')}
                 className={`p-4 rounded-lg border-2 transition-all duration-200 ${
-                  selectedCategory === ''
+                  selectedCategory === (levelParent?.slug || '')
                     ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20'
                     : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
                 }`}
@@ -82,21 +123,21 @@ const Explore = () => {
                 <div className="text-center">
                   <div className="text-2xl mb-2">🎬</div>
                   <h3 className="font-medium text-gray-900 dark:text-white text-sm">
-                    All Categories
+                    {levelParent ? `All ${levelParent.name}` : 'All Categories'}
                   </h3>
                   <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                    View all reels
+                    {levelParent ? `${levelParent.reelsCount || 0} reels` : 'View all reels'}
                   </p>
                 </div>
               </button>
 
               {/* Dynamic Categories */}
-              {categories.map((category) => (
+              {levelCategories.map((category) => (
                 <button
                   key={category._id || category.name}
-                  onClick={() => setSelectedCategory(category.name)}
+                  onClick={() => setSelectedCategory(category.slug)}
                   className={`p-4 rounded-lg border-2 transition-all duration-200 ${
-                    selectedCategory === category.name
+                    selectedCategory === category.slug
                       ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20'
                       : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
                   }`}
@@ -109,6 +150,11 @@ const Explore = () => {
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
                       {category.reelsCount || 0} reels
                     </p>
+                    {category.children?.length > 0 && (
+                      <p className="text-xs text-indigo-600 dark:text-indigo-400 mt-1">
+                        {category.children.length} subcategories
+                      </p>
+                    )}
                   </div>
                 </button>
               ))}
@@ -119,11 +165,12 @@ const Explore = () => {
         {/* Reels Feed */}
         <div>
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-            {selectedCategory ? `${selectedCategory} Reels` : searchQuery ? `Results for "${searchQuery}"` : 'All Reels'}
+            {selectedCategory ? `${activeCategory?.name || selectedCategory} Reels` : searchQuery ? `Results for "${searchQuery}"` : 'All Reels'}
           </h2>
           
           <ReelsFeed 
             category={selectedCategory}
+            categoryName={activeCategory?.name}
             searchQuery={searchQuery}
             key={`${selectedCategory}-${searchQuery}`} // Force re-render when filters change
           />
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import ReelCard from '../components/Reels/ReelCard';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { FiHash } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { formatNumber } from '../utils/helpers';
+
+const SORTS = [
+  { id: 'top', label: 'Top' },
+  { id: 'recent', label: 'Recent' }
+];
+
+const Hashtag = () => {
+  const { name } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [sort, setSort] = useState('top');
+
+  // Fetch the hashtag with its counts
+  const { data: hashtag, isLoading, error } = useQuery({
+    queryKey: ['hashtag', name],
+    queryFn: async () => {
+      const response = await api.get(`/hashtags/${encodeURIComponent(name)}`);
+      return response.data.data.hashtag;
+    }
+  });
+
+  // Fetch reels with the tag for the selected sort
+  const {
+    data: reelsData,
+    isLoading: reelsLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['hashtag-reels', name, sort],
+    queryFn: async ({ pageParam }) => {
+      const response = await api.get(`/hashtags/${encodeURIComponent(name)}/reels`, {
+        params: { sort, ...(pageParam && { cursor: pageParam }) }
+      });
+      return response.data;
+    },
+    getNextPageParam: (lastPage) => lastPage?.pagination?.nextCursor || undefined,
+    enabled: !!hashtag
+  });
+
+  const followMutation = useMutation({
+    mutationFn: async () => {
+      const response = await api.post(`/hashtags/${encodeURIComponent(name)}/follow`);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      toast.success(data.message);
+      queryClient.setQueryData(['hashtag', name], current => current && { ...current, ...data.data });
+      queryClient.invalidateQueries(['reels']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update hashtag');
+    }
+  });
+
+  const handleFollow = () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    followMutation.mutate();
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-6xl mb-4">#️⃣</div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            {error.response?.status === 404 ? 'Hashtag Not Found' : 'Error Loading Hashtag'}
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error.response?.status === 404
+              ? `No reels have been tagged #${name} yet.`
+              : error.message || 'Failed to load hashtag'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const reels = reelsData?.pages.flatMap(page => page.data || []) || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+        {/* Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <div className="flex items-center space-x-3 mb-4">
+              <FiHash className="text-3xl text-indigo-600 dark:text-indigo-400" />
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+                {hashtag.name}
+              </h1>
+            </div>
+            <p className="text-gray-600 dark:text-gray-400">
+              {formatNumber(hashtag.reelsCount)} reels · {formatNumber(hashtag.followersCount)} followers
+            </p>
+          </div>
+
+          <button
+            onClick={handleFollow}
+            disabled={followMutation.isLoading}
+            className={`px-6 py-2 rounded-lg font-medium transition-colors duration-200 disabled:opacity-50 ${
+              hashtag.isFollowing
+                ? 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+                : 'bg-indigo-600 hover:bg-indigo-700 text-white'
+            }`}
+          >
+            {hashtag.isFollowing ? 'Following' : 'Follow'}
+          </button>
+        </div>
+
+        {/* Sort tabs */}
+        <div className="flex space-x-2 mb-6">
+          {SORTS.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => setSort(option.id)}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition-colors duration-200 ${
+                sort === option.id
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {reelsLoading ? (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : reels.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">🎬</div>
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+              No Reels Yet
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              There are no reels tagged #{hashtag.name} for you to watch right now.
+            </p>
+          </div>
+        ) : (
+          <div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
+              {reels.map((reel) => (
+                <ReelCard key={reel._id} reel={reel} compact={true} />
+              ))}
+            </div>
+
+            {hasNextPage && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={() => fetchNextPage()}
+                  disabled={isFetchingNextPage}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-6 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                >
+                  {isFetchingNextPage ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Hashtag;
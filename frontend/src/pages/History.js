@@ -0,0 +1,207 @@
+import React from 'react';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import ReelCard from '../components/Reels/ReelCard';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { FiRotateCcw, FiPause, FiPlay, FiTrash2, FiX } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { formatDuration, formatRelativeTime } from '../utils/helpers';
+
+const History = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  // Fetch watch history, most recent first
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['watch-history'],
+    queryFn: async ({ pageParam }) => {
+      const response = await api.get('/users/history', {
+        params: pageParam ? { cursor: pageParam } : {}
+      });
+      return response.data;
+    },
+    getNextPageParam: (lastPage) => lastPage?.pagination?.nextCursor || undefined,
+    enabled: !!user
+  });
+
+  const onActionSuccess = (data) => {
+    toast.success(data.message);
+    queryClient.invalidateQueries(['watch-history']);
+    queryClient.invalidateQueries(['reels']);
+  };
+
+  const onActionError = (error) => {
+    toast.error(error.response?.data?.message || 'Something went wrong');
+  };
+
+  const removeMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.delete(`/users/history/${reelId}`);
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const clearMutation = useMutation({
+    mutationFn: async () => {
+      const response = await api.delete('/users/history');
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const pauseMutation = useMutation({
+    mutationFn: async (paused) => {
+      const response = await api.put('/users/history/pause', { paused });
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const handleClear = () => {
+    if (window.confirm('Clear your entire watch history? This cannot be undone.')) {
+      clearMutation.mutate();
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Error Loading History
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error.message || 'Failed to load your watch history'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const reels = data?.pages.flatMap(page => page.data || []) || [];
+  const isPaused = data?.pages[0]?.paused || false;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+        {/* Header */}
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <div className="flex items-center space-x-3 mb-4">
+              <FiRotateCcw className="text-3xl text-indigo-600 dark:text-indigo-400" />
+              <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+                Watch History
+              </h1>
+            </div>
+            <p className="text-gray-600 dark:text-gray-400">
+              {isPaused
+                ? 'History is paused, reels you watch now won\'t be added'
+                : 'Pick up partially watched reels where you left off'}
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => pauseMutation.mutate(!isPaused)}
+              disabled={pauseMutation.isLoading}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 shadow hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              {isPaused ? <FiPlay className="h-4 w-4" /> : <FiPause className="h-4 w-4" />}
+              <span>{isPaused ? 'Resume history' : 'Pause history'}</span>
+            </button>
+            {reels.length > 0 && (
+              <button
+                onClick={handleClear}
+                disabled={clearMutation.isLoading}
+                className="flex items-center space-x-2 px-4 py-2 rounded-lg text-sm text-red-600 bg-white dark:bg-gray-800 shadow hover:bg-red-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                <FiTrash2 className="h-4 w-4" />
+                <span>Clear all</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        {reels.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">📺</div>
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+              No Watch History
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Reels you watch will show up here.
+            </p>
+          </div>
+        ) : (
+          <div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
+              {reels.map((reel) => (
+                <div key={reel._id}>
+                  <ReelCard reel={reel} compact={true} />
+                  <div className="flex items-center justify-between mt-2 px-1">
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      Watched {formatRelativeTime(reel.watchedAt)}
+                      {reel.resumePosition > 0 && ` · Resume at ${formatDuration(reel.resumePosition)}`}
+                    </p>
+                    <button
+                      onClick={() => removeMutation.mutate(reel._id)}
+                      disabled={removeMutation.isLoading}
+                      title="Remove from history"
+                      className="p-1 rounded text-gray-500 hover:text-red-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                    >
+                      <FiX className="h-4 w-4" />
+                    </button>
+                  </div>
+                  {reel.resumePosition > 0 && reel.duration > 0 && (
+                    <div className="h-1 mx-1 mt-1 bg-gray-200 dark:bg-gray-700 rounded">
+                      <div
+                        className="h-1 bg-indigo-600 rounded"
+                        style={{ width: `${Math.min(reel.resumePosition / reel.duration, 1) * 100}%` }}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {hasNextPage && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={() => fetchNextPage()}
+                  disabled={isFetchingNextPage}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-6 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                >
+                  {isFetchingNextPage ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default History;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { FiPlay, FiUsers, FiTrendingUp, FiUpload } from 'react-icons/fi';
@@ -6,6 +6,12 @@ import ReelsFeed from '../components/Reels/ReelsFeed';
 
 const Home = () => {
   const { user } = useAuth();
+  const [feedMode, setFeedMode] = useState('for-you');
+
+  const feedModes = [
+    { id: 'for-you', label: 'Home' },
+    { id: 'following', label: 'Following' }
+  ];
 
   return (
     <div className="min-h-screen">
@@ -74,12 +80,23 @@ const Home = () => {
                   <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
                     Your Feed
                   </h2>
-                  <div className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400">
-                    <FiUsers className="h-4 w-4" />
-                    <span>Personalized for you</span>
+                  <div className="flex items-center space-x-1 bg-gray-100 dark:bg-gray-800 rounded-lg p-1">
+                    {feedModes.map(({ id, label }) => (
+                      <button
+                        key={id}
+                        onClick={() => setFeedMode(id)}
+                        className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors duration-200 ${
+                          feedMode === id
+                            ? 'bg-white dark:bg-gray-700 text-indigo-600 dark:text-indigo-400 shadow-sm'
+                            : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
                 </div>
-                <ReelsFeed />
+                <ReelsFeed feed={feedMode} />
               </>
             ) : (
                 <>
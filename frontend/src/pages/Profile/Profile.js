@@ -19,7 +19,9 @@ import {
   FiFlag,
   FiUserPlus,
   FiUserMinus,
-  FiEdit3
+  FiEdit3,
+  FiAtSign,
+  FiX
 } from 'react-icons/fi';
 import Avatar from '../../components/Common/Avatar';
 import LoadingSpinner from '../../components/Common/LoadingSpinner';
@@ -75,6 +77,35 @@ const Profile = () => {
     enabled: !!profile?._id && profile?._id === currentUser?.id && activeTab === 'bookmarks'
   });
 
+  // Fetch reels the current user is tagged in
+  const {
+    data: mentionsData,
+    isLoading: mentionsLoading
+  } = useQuery({
+    queryKey: ['user-mentions', profile?._id],
+    queryFn: async () => {
+      const response = await api.get('/users/mentions');
+      return response.data;
+    },
+    enabled: !!profile?._id && profile?._id === currentUser?.id && activeTab === 'tagged'
+  });
+
+  // Remove own tag from a reel
+  const removeTagMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.delete(`/reels/${reelId}/mentions`);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      toast.success(data.message);
+      queryClient.invalidateQueries(['user-mentions']);
+      queryClient.invalidateQueries(['reels']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove tag');
+    }
+  });
+
   // Follow/Unfollow mutation
   const followMutation = useMutation({
     mutationFn: async () => {
@@ -143,6 +174,7 @@ const Profile = () => {
   const isOwnProfile = currentUser?.id === profile?._id;
   const reels = reelsData?.data || [];
   const bookmarks = bookmarksData?.data || [];
+  const mentionedReels = mentionsData?.data || [];
 
   const stats = [
     { label: 'Reels', value: profile?.reelsCount || 0, key: 'reels' },
@@ -154,6 +186,7 @@ const Profile = () => {
     { id: 'reels', label: 'Reels', icon: FiGrid, count: reels.length },
     ...(isOwnProfile ? [{ id: 'bookmarks', label: 'Saved', icon: FiBookmark, count: bookmarks.length }] : []),
     ...(isOwnProfile ? [{ id: 'likes', label: 'Liked', icon: FiHeart, count: profile?.likedReelsCount || 0 }] : []),
+    ...(isOwnProfile ? [{ id: 'tagged', label: 'Tagged', icon: FiAtSign, count: mentionedReels.length }] : []),
   ];
 
   return (
@@ -398,6 +431,44 @@ const Profile = () => {
             </div>
           )}
 
+          {activeTab === 'tagged' && (
+            <div>
+              {mentionsLoading ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : mentionedReels.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {mentionedReels.map((reel) => (
+                    <div key={reel._id}>
+                      <div className="aspect-[9/16] bg-black rounded-lg overflow-hidden">
+                        <ReelCard reel={reel} isActive={false} />
+                      </div>
+                      <button
+                        onClick={() => removeTagMutation.mutate(reel._id)}
+                        disabled={removeTagMutation.isLoading}
+                        className="mt-2 flex items-center space-x-1 text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+                      >
+                        <FiX className="h-4 w-4" />
+                        <span>Remove tag</span>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-12">
+                  <FiAtSign className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                    No tagged reels
+                  </h3>
+                  <p className="text-gray-500 dark:text-gray-400">
+                    Reels that @mention you will appear here.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
           {activeTab === 'likes' && (
             <div className="text-center py-12">
               <FiHeart className="h-12 w-12 mx-auto text-gray-400 mb-4" />
@@ -0,0 +1,218 @@
+import React from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useInfiniteQuery } from 'react-query';
+import api from '../services/api';
+import ReelCard from '../components/Reels/ReelCard';
+import Avatar from '../components/Common/Avatar';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { FiSearch, FiHash, FiGrid, FiCheckCircle } from 'react-icons/fi';
+import { getSessionId } from '../utils/helpers';
+
+// Renders [{ text, highlight }] segments from the search API, marking matches
+const Highlighted = ({ segments, className = '' }) => (
+  <span className={className}>
+    {segments.map((segment, index) => (
+      segment.highlight
+        ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-600/40 text-inherit rounded px-0.5">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </span>
+);
+
+const Search = () => {
+  const [searchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+
+  // Fetch search results; later pages only add reels
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['search', query],
+    queryFn: async ({ pageParam }) => {
+      const response = await api.get('/search', {
+        params: { q: query, ...(pageParam && { cursor: pageParam }) },
+        headers: { 'X-Session-Id': getSessionId() }
+      });
+      return response.data;
+    },
+    getNextPageParam: (lastPage) => lastPage?.pagination?.nextCursor || undefined,
+    enabled: !!query
+  });
+
+  if (!query) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <FiSearch className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Search Shortzo
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            Find reels, creators, #hashtags and categories. Use "quotes" for exact phrases.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Search Failed
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error.response?.data?.message || error.message || 'Failed to load search results'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const firstPage = data?.pages[0]?.data || {};
+  const users = firstPage.users || [];
+  const hashtags = firstPage.hashtags || [];
+  const categories = firstPage.categories || [];
+  const reels = data?.pages.flatMap(page => page.data?.reels || []) || [];
+  const hasResults = reels.length + users.length + hashtags.length + categories.length > 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <FiSearch className="text-3xl text-indigo-600 dark:text-indigo-400" />
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Results for "{query}"
+            </h1>
+          </div>
+        </div>
+
+        {!hasResults ? (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">🔍</div>
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+              No Results
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Try different words, or search a #hashtag.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-10">
+            {/* Creators */}
+            {users.length > 0 && (
+              <section>
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Creators</h2>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {users.map((user) => (
+                    <Link
+                      key={user._id}
+                      to={`/profile/${user.username}`}
+                      className="flex items-center space-x-3 bg-white dark:bg-gray-800 rounded-lg shadow p-4 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <Avatar src={user.profilePicture} alt={user.username} size="medium" />
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-1">
+                          <span className="font-medium text-gray-900 dark:text-white truncate">@{user.username}</span>
+                          {user.isVerified && <FiCheckCircle className="h-4 w-4 text-indigo-500 flex-shrink-0" />}
+                        </div>
+                        {user.bio && (
+                          <p className="text-sm text-gray-600 dark:text-gray-400 truncate">{user.bio}</p>
+                        )}
+                      </div>
+                    </Link>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {/* Hashtags and categories */}
+            {(hashtags.length > 0 || categories.length > 0) && (
+              <section className="flex flex-wrap gap-2">
+                {hashtags.map((hashtag) => (
+                  <Link
+                    key={hashtag.name}
+                    to={`/tag/${encodeURIComponent(hashtag.name)}`}
+                    className="flex items-center space-x-1 px-3 py-2 rounded-full bg-white dark:bg-gray-800 shadow text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    <FiHash className="h-4 w-4 text-indigo-500" />
+                    <span>{hashtag.name}</span>
+                    <span className="text-xs text-gray-500">{hashtag.reelsCount}</span>
+                  </Link>
+                ))}
+                {categories.map((category) => (
+                  <Link
+                    key={category._id}
+                    to={`/explore?category=${category.slug}`}
+                    className="flex items-center space-x-1 px-3 py-2 rounded-full bg-white dark:bg-gray-800 shadow text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  >
+                    <FiGrid className="h-4 w-4 text-purple-500" />
+                    <span>{category.name}</span>
+                  </Link>
+                ))}
+              </section>
+            )}
+
+            {/* Reels */}
+            {reels.length > 0 && (
+              <section>
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Reels</h2>
+                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
+                  {reels.map((reel) => (
+                    <div key={reel._id}>
+                      <ReelCard reel={reel} compact={true} />
+                      <div className="mt-2 px-1 space-y-1">
+                        <Highlighted
+                          segments={reel.highlights?.title || []}
+                          className="block text-sm font-medium text-gray-900 dark:text-white"
+                        />
+                        {reel.highlights?.description?.length > 0 && (
+                          <Highlighted
+                            segments={reel.highlights.description}
+                            className="block text-xs text-gray-600 dark:text-gray-400"
+                          />
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {hasNextPage && (
+                  <div className="flex justify-center mt-8">
+                    <button
+                      onClick={() => fetchNextPage()}
+                      disabled={isFetchingNextPage}
+                      className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-6 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                    >
+                      {isFetchingNextPage ? 'Loading...' : 'Load more'}
+                    </button>
+                  </div>
+                )}
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Search;
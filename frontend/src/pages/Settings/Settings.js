@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useForm } from 'react-hook-form';
-import { useMutation, useQueryClient } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { api } from '../../utils/api';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
@@ -18,7 +18,9 @@ import {
   FiX,
   FiBell,
   FiShield,
-  FiGlobe
+  FiGlobe,
+  FiSlash,
+  FiRotateCcw
 } from 'react-icons/fi';
 import Avatar from '../../components/Common/Avatar';
 import LoadingSpinner from '../../components/Common/LoadingSpinner';
@@ -124,6 +126,32 @@ const Settings = () => {
     }
   });
 
+  // Reels, categories and creators the user asked not to see
+  const { data: feedbackData, isLoading: feedbackLoading } = useQuery({
+    queryKey: ['feed-feedback'],
+    queryFn: async () => {
+      const response = await api.get('/feed/feedback');
+      return response.data.data.feedback;
+    },
+    enabled: activeTab === 'hidden'
+  });
+
+  // Undo feed preference mutation
+  const undoFeedbackMutation = useMutation({
+    mutationFn: async (feedbackId) => {
+      const response = await api.delete(`/feed/feedback/${feedbackId}`);
+      return response.data;
+    },
+    onSuccess: () => {
+      toast.success('Preference removed');
+      queryClient.invalidateQueries(['feed-feedback']);
+      queryClient.invalidateQueries(['reels']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove preference');
+    }
+  });
+
   // Delete account mutation
   const deleteAccountMutation = useMutation({
     mutationFn: async () => {
@@ -187,8 +215,20 @@ const Settings = () => {
     { id: 'security', label: 'Security', icon: FiLock },
     { id: 'privacy', label: 'Privacy', icon: FiShield },
     { id: 'notifications', label: 'Notifications', icon: FiBell },
+    { id: 'hidden', label: 'Hidden Content', icon: FiSlash },
   ];
 
+  const describeFeedback = (item) => {
+    switch (item.type) {
+      case 'hide_creator':
+        return { title: `@${item.creator?.username || 'deleted user'}`, detail: 'Creator hidden' };
+      case 'fewer_category':
+        return { title: item.category?.name, detail: 'Showing fewer reels from this category' };
+      default:
+        return { title: item.reel?.title || 'Deleted reel', detail: 'Not interested' };
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
       <div className="max-w-4xl mx-auto px-4">
@@ -688,6 +728,69 @@ const Settings = () => {
                   </div>
                 </motion.div>
               )}
+
+              {/* Hidden Content */}
+              {activeTab === 'hidden' && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="space-y-6"
+                >
+                  <div>
+                    <h2 className="text-xl font-bold text-gray-900 dark:text-white">Hidden Content</h2>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                      Reels, categories and creators you asked not to see in your feeds and search
+                    </p>
+                  </div>
+
+                  {feedbackLoading ? (
+                    <div className="flex justify-center py-8">
+                      <LoadingSpinner />
+                    </div>
+                  ) : feedbackData?.length > 0 ? (
+                    <div className="space-y-4">
+                      {feedbackData.map((item) => {
+                        const { title, detail } = describeFeedback(item);
+                        return (
+                          <div
+                            key={item._id}
+                            className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-lg"
+                          >
+                            <div className="flex items-center space-x-3 min-w-0">
+                              {item.type === 'hide_creator' && (
+                                <Avatar src={item.creator?.profilePicture} alt={item.creator?.username} size="small" />
+                              )}
+                              {item.type === 'not_interested' && item.reel?.thumbnailUrl && (
+                                <img
+                                  src={item.reel.thumbnailUrl}
+                                  alt={item.reel.title}
+                                  className="h-12 w-9 rounded object-cover flex-shrink-0"
+                                />
+                              )}
+                              <div className="min-w-0">
+                                <h4 className="font-medium text-gray-900 dark:text-white truncate">{title}</h4>
+                                <p className="text-sm text-gray-600 dark:text-gray-400">{detail}</p>
+                              </div>
+                            </div>
+                            <button
+                              onClick={() => undoFeedbackMutation.mutate(item._id)}
+                              disabled={undoFeedbackMutation.isLoading}
+                              className="flex items-center space-x-2 px-3 py-2 text-sm text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg transition-colors disabled:opacity-50"
+                            >
+                              <FiRotateCcw className="h-4 w-4" />
+                              <span>Undo</span>
+                            </button>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+                      You haven't hidden anything yet. Use the menu on any reel to see less of it.
+                    </p>
+                  )}
+                </motion.div>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,166 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { FiTrash2, FiRotateCcw, FiXCircle } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { formatDuration, formatRelativeTime } from '../utils/helpers';
+
+const Trash = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  // Fetch reels in the trash
+  const {
+    data: trashResponse,
+    isLoading,
+    error
+  } = useQuery({
+    queryKey: ['trash'],
+    queryFn: async () => {
+      const response = await api.get('/reels/trash');
+      return response.data;
+    },
+    enabled: !!user
+  });
+
+  const onActionSuccess = (data) => {
+    toast.success(data.message);
+    queryClient.invalidateQueries(['trash']);
+    queryClient.invalidateQueries(['drafts']);
+    queryClient.invalidateQueries(['reels']);
+  };
+
+  const onActionError = (error) => {
+    toast.error(error.response?.data?.message || 'Something went wrong');
+  };
+
+  const restoreMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.post(`/reels/${reelId}/restore`);
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const deleteForeverMutation = useMutation({
+    mutationFn: async (reelId) => {
+      const response = await api.delete(`/reels/${reelId}/permanent`);
+      return response.data;
+    },
+    onSuccess: onActionSuccess,
+    onError: onActionError
+  });
+
+  const handleDeleteForever = (reelId) => {
+    if (window.confirm('Delete this reel forever? This cannot be undone.')) {
+      deleteForeverMutation.mutate(reelId);
+    }
+  };
+
+  const isBusy = restoreMutation.isLoading || deleteForeverMutation.isLoading;
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            Error Loading Trash
+          </h2>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error.message || 'Failed to load your deleted reels'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const reels = trashResponse?.data?.reels || [];
+  const retentionDays = trashResponse?.data?.retentionDays;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center space-x-3 mb-4">
+            <FiTrash2 className="text-3xl text-red-600 dark:text-red-400" />
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Trash
+            </h1>
+          </div>
+          <p className="text-gray-600 dark:text-gray-400">
+            Deleted reels can be restored for {retentionDays} days, then they're removed for good
+          </p>
+        </div>
+
+        {reels.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="text-6xl mb-4">🗑️</div>
+            <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+              Trash is Empty
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Reels you delete will show up here.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reels.map((reel) => (
+              <div key={reel._id} className="flex items-center space-x-4 bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+                <div className="w-16 h-28 flex-shrink-0 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden">
+                  {reel.thumbnailUrl && (
+                    <img src={reel.thumbnailUrl} alt={reel.title} className="w-full h-full object-cover opacity-75" />
+                  )}
+                </div>
+
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 dark:text-white truncate">{reel.title}</h3>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {reel.category?.name} · {formatDuration(reel.duration)} · Deleted {formatRelativeTime(reel.deletedAt)}
+                  </p>
+                  <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                    Permanently deleted {formatRelativeTime(reel.purgeAt)}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <button
+                    onClick={() => restoreMutation.mutate(reel._id)}
+                    disabled={isBusy}
+                    className="flex items-center space-x-1 px-3 py-2 rounded-lg text-sm text-indigo-600 hover:bg-indigo-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <FiRotateCcw className="h-4 w-4" />
+                    <span>Restore</span>
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(reel._id)}
+                    disabled={isBusy}
+                    title="Delete forever"
+                    className="p-2 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <FiXCircle className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -108,7 +108,7 @@ const Trending = () => {
           <ReelsFeed 
             sortBy="trending"
             showTrending={true}
-            key={timeRange} // Force re-render when time range changes
+            trendingWindow={timeRange}
           />
         </div>
       </div>
@@ -1,9 +1,19 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useMutation, useQuery } from 'react-query';
 import { useAuth } from '../../context/AuthContext';
 import { api } from '../../utils/api';
+import {
+  getFileFingerprint,
+  getPendingUpload,
+  getUploadStatus,
+  cancelUpload,
+  clearPendingUpload,
+  uploadFileInChunks,
+  completeUpload
+} from '../../utils/resumableUpload';
+import { formatFileSize, flattenCategories } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
@@ -17,10 +27,17 @@ import {
   FiVideo,
   FiTag,
   FiEye,
-  FiEyeOff
+  FiEyeOff,
+  FiRefreshCw
 } from 'react-icons/fi';
 import LoadingSpinner from '../../components/Common/LoadingSpinner';
 
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public', description: 'Anyone can find and watch this reel' },
+  { value: 'unlisted', label: 'Unlisted', description: 'Only people with the link can watch this reel' },
+  { value: 'private', label: 'Private', description: 'Only you can watch this reel' }
+];
+
 const Upload = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -37,6 +54,17 @@ const Upload = () => {
   const [currentStep, setCurrentStep] = useState(1);
   const [tagInput, setTagInput] = useState('');
   const [tags, setTags] = useState([]);
+  // An upload interrupted earlier (e.g. by a page reload) that can be continued
+  const [pendingUpload, setPendingUpload] = useState(null);
+
+  useEffect(() => {
+    const pending = getPendingUpload();
+    if (!pending) return;
+
+    getUploadStatus(pending.id)
+      .then(upload => setPendingUpload({ ...pending, offset: upload.offset }))
+      .catch(() => clearPendingUpload()); // Expired or already finished
+  }, []);
 
   const {
     register,
@@ -49,6 +77,9 @@ const Upload = () => {
       title: '',
       description: '',
       category: '',
+      visibility: 'public',
+      publishMode: 'now',
+      publishAt: '',
       isNSFW: false,
       allowComments: true,
       allowDownload: false
@@ -57,6 +88,8 @@ const Upload = () => {
 
   const watchedCategory = watch('category');
   const watchedIsNSFW = watch('isNSFW');
+  const watchedVisibility = watch('visibility');
+  const watchedPublishMode = watch('publishMode');
 
   // Fetch categories
   const { data: categoriesResponse, isLoading: categoriesLoading, error: categoriesError } = useQuery({
@@ -86,51 +119,28 @@ const Upload = () => {
     });
   }, [categoriesResponse, categories, categoriesLoading, categoriesError]);
 
-  // Fallback categories if API fails (matching backend validation)
-  const fallbackCategories = [
-    { _id: 'entertainment', name: 'Entertainment' },
-    { _id: 'music', name: 'Music' },
-    { _id: 'dance', name: 'Dance' },
-    { _id: 'comedy', name: 'Comedy' },
-    { _id: 'sports', name: 'Sports' },
-    { _id: 'food', name: 'Food' },
-    { _id: 'travel', name: 'Travel' },
-    { _id: 'education', name: 'Education' },
-    { _id: 'technology', name: 'Technology' },
-    { _id: 'infotainment', name: 'Infotainment' },
-    { _id: 'news', name: 'News' },
-    { _id: 'makeup', name: 'Makeup' },
-    { _id: 'beauty', name: 'Beauty' },
-    { _id: 'edits', name: 'Edits' }
-  ];
-
-  const finalCategories = (categories && categories.length > 0) ? categories : fallbackCategories;
-
-  // Upload mutation
+  // Upload mutation: send the video in resumable chunks, then create the reel from it
   const uploadMutation = useMutation({
-    mutationFn: async (formData) => {
-      const response = await api.post('/reels', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        timeout: 150000, // 150 seconds timeout for video uploads
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(progress);
-          
-          // Show processing message when upload completes but request is still pending
-          if (progress === 100) {
-            setTimeout(() => {
-              setUploadProgress(101); // Use 101 to indicate processing phase
-            }, 500);
-          }
-        }
+    mutationFn: async ({ file, formData }) => {
+      const uploadId = await uploadFileInChunks(file, {
+        onProgress: (fraction) => setUploadProgress(Math.min(100, Math.round(fraction * 100)))
       });
-      return response.data;
+
+      setUploadProgress(101); // Use 101 to indicate processing phase
+      return completeUpload(uploadId, formData);
     },
     onSuccess: (data) => {
-      toast.success('Reel uploaded successfully!');
+      setPendingUpload(null);
       console.log('Upload success data:', data);
+
+      // Unpublished reels only show up in the author's drafts
+      if (data.data?.reel?.status === 'draft' || data.data?.reel?.status === 'scheduled') {
+        toast.success(data.data.reel.status === 'draft' ? 'Reel saved as draft' : 'Reel scheduled!');
+        navigate('/drafts');
+        return;
+      }
+
+      toast.success('Reel uploaded successfully!');
       // Navigate to home page where user can see their uploaded reel
       navigate('/');
     },
@@ -162,16 +172,30 @@ const Upload = () => {
       return;
     }
 
-    // Validate file size (100MB max - Cloudinary free plan limit)
-    if (file.size > 100 * 1024 * 1024) {
-      toast.error('File size must be less than 100MB due to Cloudinary limits. Please compress your video.');
+    // Validate file size (350MB max, matching the server's MAX_VIDEO_SIZE default)
+    if (file.size > 350 * 1024 * 1024) {
+      toast.error('File size must be less than 350MB. Please compress your video.');
       return;
     }
 
+    if (pendingUpload && pendingUpload.fingerprint === getFileFingerprint(file)) {
+      toast.success('Continuing your previous upload');
+    }
+
     setSelectedFile(file);
     setVideoPreview(URL.createObjectURL(file));
     setCurrentStep(2);
-  }, []);
+  }, [pendingUpload]);
+
+  const discardPendingUpload = async () => {
+    const pending = pendingUpload;
+    setPendingUpload(null);
+    try {
+      await cancelUpload(pending.id);
+    } catch (error) {
+      console.error('Failed to cancel upload:', error);
+    }
+  };
 
   const handleThumbnailSelect = useCallback((e) => {
     const file = e.target.files[0];
@@ -221,37 +245,29 @@ const Upload = () => {
       return;
     }
 
-    // Calculate video duration if possible
-    const getDuration = () => {
-      return new Promise((resolve) => {
-        if (videoPreview && selectedFile) {
-          const video = document.createElement('video');
-          video.src = videoPreview;
-          video.onloadedmetadata = () => {
-            resolve(Math.round(video.duration) || 30); // Round to integer
-          };
-          video.onerror = () => resolve(30); // fallback
-        } else {
-          resolve(30); // fallback
-        }
-      });
-    };
-
-    const duration = await getDuration();
+    if (data.publishMode === 'schedule' && !(data.publishAt && new Date(data.publishAt) > new Date())) {
+      toast.error('Pick a publish time in the future');
+      return;
+    }
 
+    // The video itself goes up separately in chunks
     const formData = new FormData();
-    formData.append('video', selectedFile);
     if (selectedThumbnail) {
       formData.append('thumbnail', selectedThumbnail);
     }
     formData.append('title', data.title.trim());
     formData.append('description', data.description?.trim() || '');
     formData.append('category', data.category);
+    formData.append('visibility', data.visibility || 'public');
+    if (data.publishMode === 'draft') {
+      formData.append('isDraft', 'true');
+    } else if (data.publishMode === 'schedule') {
+      formData.append('publishAt', new Date(data.publishAt).toISOString());
+    }
     formData.append('tags', JSON.stringify(tags || []));
     formData.append('isNSFW', data.isNSFW ? 'true' : 'false');
     formData.append('allowComments', data.allowComments !== false ? 'true' : 'false');
     formData.append('allowDownload', data.allowDownload !== false ? 'true' : 'false');
-    formData.append('duration', duration.toString());
 
     console.log('Form data being sent:', {
       title: data.title.trim(),
@@ -259,12 +275,11 @@ const Upload = () => {
       category: data.category,
       tags: tags,
       isNSFW: data.isNSFW,
-      duration: duration,
       hasVideo: !!selectedFile,
       hasThumbnail: !!selectedThumbnail
     });
 
-    uploadMutation.mutate(formData);
+    uploadMutation.mutate({ file: selectedFile, formData });
   };
 
   const resetUpload = () => {
@@ -326,6 +341,28 @@ const Upload = () => {
                 animate={{ opacity: 1, y: 0 }}
                 className="text-center py-12"
               >
+                {pendingUpload && (
+                  <div className="mb-6 flex items-center justify-between bg-indigo-50 dark:bg-indigo-900/30 border border-indigo-200 dark:border-indigo-800 rounded-lg p-4 text-left">
+                    <div className="flex items-center space-x-3">
+                      <FiRefreshCw className="h-5 w-5 text-indigo-600 dark:text-indigo-300 flex-shrink-0" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">
+                          Unfinished upload: {pendingUpload.filename}
+                        </p>
+                        <p className="text-xs text-gray-600 dark:text-gray-400">
+                          {formatFileSize(pendingUpload.offset)} of {formatFileSize(pendingUpload.size)} uploaded. Select the same file to continue.
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={discardPendingUpload}
+                      className="text-sm text-gray-600 dark:text-gray-400 hover:text-red-600 transition-colors"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )}
+
                 <div
                   className="border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-12 hover:border-indigo-500 transition-colors cursor-pointer"
                   onClick={() => fileInputRef.current?.click()}
@@ -335,7 +372,7 @@ const Upload = () => {
                     Select Video File
                   </h3>
                   <p className="text-gray-600 dark:text-gray-400 mb-4">
-                    Choose a video file from your device (Max: 100MB)
+                    Choose a video file from your device (Max: 350MB)
                   </p>
                   <button className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 transition-colors">
                     Browse Files
@@ -356,11 +393,11 @@ const Upload = () => {
                   </div>
                   <div className="flex items-center justify-center space-x-2">
                     <FiUpload className="h-4 w-4" />
-                    <span>Max file size: 100MB</span>
+                    <span>Max file size: 350MB</span>
                   </div>
                   <div className="flex items-center justify-center space-x-2">
                     <FiPlay className="h-4 w-4" />
-                    <span>Recommended: 9:16 aspect ratio</span>
+                    <span>Vertical video, up to 3 minutes</span>
                   </div>
                 </div>
               </motion.div>
@@ -465,16 +502,61 @@ const Upload = () => {
                         {...register('category', { required: 'Category is required' })}
                         className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white"
                       >
-                        <option value="">Select a category</option>
-                        {finalCategories.map(category => (
-                          <option key={category._id || category.name} value={category.name}>
-                            {category.name}
+                        <option value="">{categoriesLoading ? 'Loading categories...' : 'Select a category'}</option>
+                        {flattenCategories(categories).map(category => (
+                          <option key={category._id} value={category._id}>
+                            {[...category.path.map(ancestor => ancestor.name), category.name].join(' › ')}
                           </option>
                         ))}
                       </select>
                       {errors.category && (
                         <p className="mt-1 text-sm text-red-600">{errors.category.message}</p>
                       )}
+                      {categoriesError && (
+                        <p className="mt-1 text-sm text-red-600">Failed to load categories, please try again.</p>
+                      )}
+                    </div>
+
+                    {/* Visibility */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Visibility
+                      </label>
+                      <select
+                        {...register('visibility')}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white"
+                      >
+                        {VISIBILITY_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {VISIBILITY_OPTIONS.find(option => option.value === watchedVisibility)?.description}
+                      </p>
+                    </div>
+
+                    {/* Publishing */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Publish
+                      </label>
+                      <select
+                        {...register('publishMode')}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white"
+                      >
+                        <option value="now">Publish now</option>
+                        <option value="schedule">Schedule for later</option>
+                        <option value="draft">Save as draft</option>
+                      </select>
+                      {watchedPublishMode === 'schedule' && (
+                        <input
+                          type="datetime-local"
+                          {...register('publishAt')}
+                          className="mt-2 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white"
+                        />
+                      )}
                     </div>
 
                     {/* Tags */}
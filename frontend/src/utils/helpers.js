@@ -246,3 +246,23 @@ export const removeLocalStorageItem = (key) => {
     return false;
   }
 };
+
+// Stable per-device id so anonymous views can be de-duplicated
+const SESSION_ID_KEY = 'shortzo_session_id';
+
+export const getSessionId = () => {
+  let sessionId = getLocalStorageItem(SESSION_ID_KEY);
+  if (!sessionId) {
+    sessionId = generateId();
+    setLocalStorageItem(SESSION_ID_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+// Flattens the nested category tree from the API into display order. Each
+// category gets its depth and the path of categories above it.
+export const flattenCategories = (categories, path = []) =>
+  categories.flatMap(category => [
+    { ...category, depth: path.length, path },
+    ...flattenCategories(category.children || [], [...path, category])
+  ]);
@@ -0,0 +1,116 @@
+import { api } from './api';
+import { getLocalStorageItem, setLocalStorageItem, removeLocalStorageItem } from './helpers';
+
+// Resumable reel uploads: the video is sent to /uploads in chunks and the
+// session is remembered in localStorage, so an interrupted upload (dropped
+// connection, page reload) continues from the last byte the server has.
+
+const PENDING_UPLOAD_KEY = 'shortzo_pending_upload';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_RETRIES = 5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Identifies the same file when it's selected again after a reload
+export const getFileFingerprint = (file) => `${file.name}-${file.size}-${file.lastModified}`;
+
+export const getPendingUpload = () => getLocalStorageItem(PENDING_UPLOAD_KEY);
+
+export const clearPendingUpload = () => removeLocalStorageItem(PENDING_UPLOAD_KEY);
+
+// Fetch the server's view of an upload session
+export const getUploadStatus = async (uploadId) => {
+  const response = await api.get(`/uploads/${uploadId}`);
+  return response.data.data.upload;
+};
+
+export const cancelUpload = async (uploadId) => {
+  clearPendingUpload();
+  await api.delete(`/uploads/${uploadId}`);
+};
+
+// Send the file in chunks, returning the upload id once the server has every byte.
+// onProgress receives a fraction between 0 and 1.
+export const uploadFileInChunks = async (file, { onProgress, chunkSize = CHUNK_SIZE } = {}) => {
+  const fingerprint = getFileFingerprint(file);
+
+  // The server hands back the existing session (and its offset) for a file it has seen before
+  const response = await api.post('/uploads', {
+    filename: file.name,
+    size: file.size,
+    mimeType: file.type,
+    fingerprint
+  });
+  const { upload } = response.data.data;
+
+  setLocalStorageItem(PENDING_UPLOAD_KEY, {
+    id: upload.id,
+    fingerprint,
+    filename: file.name,
+    size: file.size
+  });
+
+  let offset = upload.offset;
+  let retries = 0;
+  onProgress?.(offset / file.size);
+
+  while (offset < file.size) {
+    const chunkStart = offset;
+
+    try {
+      const chunkResponse = await api.patch(`/uploads/${upload.id}`, file.slice(chunkStart, chunkStart + chunkSize), {
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(chunkStart)
+        },
+        timeout: 120000,
+        onUploadProgress: (progressEvent) => {
+          onProgress?.((chunkStart + progressEvent.loaded) / file.size);
+        }
+      });
+
+      offset = chunkResponse.data.data.upload.offset;
+      retries = 0;
+    } catch (error) {
+      const status = error.response?.status;
+
+      // Out of sync with the server (e.g. part of the last chunk arrived), continue from its offset
+      if (status === 409 && typeof error.response.data?.data?.offset === 'number') {
+        offset = error.response.data.data.offset;
+        continue;
+      }
+
+      // Dropped connections and server hiccups are retried with backoff
+      const isRetryable = !error.response || status >= 500 || status === 409;
+      if (!isRetryable || retries >= MAX_RETRIES) {
+        if (status === 404 || status === 410) {
+          clearPendingUpload();
+        }
+        throw error;
+      }
+
+      retries += 1;
+      await wait(1000 * 2 ** retries);
+
+      try {
+        offset = (await getUploadStatus(upload.id)).offset;
+      } catch (statusError) {
+        // Keep the current offset, the next PATCH will tell us if it's wrong
+      }
+    }
+
+    onProgress?.(offset / file.size);
+  }
+
+  return upload.id;
+};
+
+// Turn a fully uploaded file into a reel; formData carries the reel details and optional thumbnail
+export const completeUpload = async (uploadId, formData) => {
+  const response = await api.post(`/uploads/${uploadId}/complete`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 150000 // Probing and storing the video can take a while
+  });
+  clearPendingUpload();
+  return response.data;
+};